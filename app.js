@@ -1,164 +1,182 @@
 // ===================================
 // IPCA Investment Calculator
 // ===================================
-
-// Configuration
-const CONFIG = {
-    API_BASE_URL: 'https://api.bcb.gov.br/dados/serie/bcdata.sgs.{code}/dados',
-    SERIES: {
-        IPCA: 433,
-        SELIC: 4390
-    },
-    DATE_FORMAT: 'dd/MM/yyyy'
-};
+// Form, results and chart. The calculations live in core.js, which is loaded first.
 
 // Global state
 let chartInstance = null;
+let lastChartRender = null; // Re-renders the current chart (e.g. nominal/real toggle)
+let lastBreakdown = null; // Rows of the monthly table, kept for export
+let lastCalculation = null; // Repeats the last calculation shown (e.g. after a language change)
 
 // ===================================
-// Utility Functions
+// Real (Inflation-Deflated) Values
 // ===================================
 
 /**
- * Format a number as Brazilian Real currency
+ * Whether the chart shows values deflated to end-date purchasing power
  */
-function formatCurrency(value) {
-    return new Intl.NumberFormat('pt-BR', {
-        style: 'currency',
-        currency: 'BRL'
-    }).format(value);
+function isRealValuesMode() {
+    const toggle = document.getElementById('realValuesToggle');
+    return !!toggle && toggle.checked;
 }
 
-/**
- * Format a number as percentage
- */
-function formatPercentage(value) {
-    return new Intl.NumberFormat('pt-BR', {
-        style: 'percent',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(value / 100);
-}
+// ===================================
+// Monte Carlo Projection
+// ===================================
 
 /**
- * Format date to dd/MM/yyyy for API
+ * Read Monte Carlo options from the form (null unless the Monte Carlo model is selected)
  */
-function formatDateForAPI(dateString) {
-    const date = new Date(dateString);
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const year = date.getFullYear();
-    return `${day}/${month}/${year}`;
-}
+function getMonteCarloOptions() {
+    if (document.getElementById('projectionModel').value !== 'montecarlo') {
+        return null;
+    }
 
-/**
- * Format date for display
- */
-function formatDateForDisplay(dateString) {
-    const date = new Date(dateString);
-    return new Intl.DateTimeFormat('pt-BR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    }).format(date);
+    return {
+        paths: parseInt(document.getElementById('simulationPaths').value, 10),
+        seed: parseInt(document.getElementById('simulationSeed').value, 10),
+        targetValue: parseLocaleNumber(document.getElementById('targetValue').value) || 0
+    };
 }
 
 /**
- * Parse API date format (dd/MM/yyyy) to Date object
+ * Show (or clear) the Monte Carlo summary in the results card
  */
-function parseAPIDate(dateString) {
-    const [day, month, year] = dateString.split('/');
-    return new Date(year, month - 1, day);
+function displayMonteCarlo(monteCarlo) {
+    const existingBox = document.getElementById('monteCarloBox');
+    if (existingBox) existingBox.remove();
+    if (!monteCarlo) return;
+
+    const { finalBand, probabilityAboveTarget, targetValue, paths, seed, sampleSize } = monteCarlo;
+    const targetText = targetValue !== null
+        ? `<br>${t('montecarlo.target', { target: formatCurrency(targetValue), probability: formatPercentage(probabilityAboveTarget) })}`
+        : '';
+
+    const box = document.createElement('div');
+    box.id = 'monteCarloBox';
+    box.className = 'info-box';
+    box.innerHTML = `
+        <p class="info-text">
+            ${t('montecarlo.summary', { paths: formatNumber(paths), seed, sampleSize })}
+            P10 <span>${formatCurrency(finalBand.p10)}</span> ·
+            P50 <span>${formatCurrency(finalBand.p50)}</span> ·
+            P90 <span>${formatCurrency(finalBand.p90)}</span>.${targetText}
+        </p>
+    `;
+
+    const resultsCard = document.getElementById('resultsCard');
+    resultsCard.insertBefore(box, resultsCard.lastElementChild);
 }
 
 // ===================================
-// API Functions
+// Tesouro IPCA+ com Juros Semestrais (NTN-B)
 // ===================================
 
 /**
- * Fetch series data from Banco Central API
+ * Read the NTN-B inputs (maturity, current yield for mark-to-market, coupon reinvestment)
  */
-async function fetchSeriesData(seriesCode, startDate, endDate) {
-    const startDateFormatted = formatDateForAPI(startDate);
-    const endDateFormatted = formatDateForAPI(endDate);
-
-    // Replace placeholder with actual code
-    const baseUrl = CONFIG.API_BASE_URL.replace('{code}', seriesCode);
-    const url = `${baseUrl}?formato=json&dataInicial=${startDateFormatted}&dataFinal=${endDateFormatted}`;
-
-    try {
-        const response = await fetch(url);
-
-        if (!response.ok) {
-            throw new Error(`Erro na API: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-
-        if (!data || data.length === 0) {
-            throw new Error('Nenhum dado disponível para o período selecionado');
-        }
+function getNTNBOptions() {
+    const currentYield = parseLocaleNumber(document.getElementById('ntnbCurrentYield').value);
+    return {
+        maturityDate: document.getElementById('ntnbMaturity').value,
+        currentYield: isNaN(currentYield) ? null : currentYield,
+        reinvestCoupons: document.getElementById('ntnbReinvest').checked
+    };
+}
 
-        return data;
-    } catch (error) {
-        console.error(`Erro ao buscar dados da série ${seriesCode}:`, error);
-        throw new Error('Não foi possível obter os dados. Verifique sua conexão e tente novamente.');
+/**
+ * Show the NTN-B figures (prices, mark-to-market and coupon rows), or hide them
+ */
+function displayNTNB(ntnb) {
+    const section = document.getElementById('ntnbResults');
+    if (!ntnb) {
+        section.style.display = 'none';
+        return;
     }
+
+    const formatPrice = (value) => value === null ? '-' : formatCurrency(value);
+    document.getElementById('ntnbPurchasePrice').textContent = formatCurrency(ntnb.purchasePrice);
+    document.getElementById('ntnbVNA').textContent = formatCurrency(ntnb.vnaEnd);
+    document.getElementById('ntnbCurvePrice').textContent = ntnb.matured ? t('ntnb.matured') : formatPrice(ntnb.curvePrice);
+    document.getElementById('ntnbMarketPrice').textContent = formatPrice(ntnb.marketPrice);
+    document.getElementById('ntnbMarketValue').textContent = formatPrice(ntnb.marketValue);
+    document.getElementById('ntnbMarkToMarket').textContent = ntnb.marketValue === null
+        ? '-'
+        : formatCurrency(ntnb.marketValue - ntnb.curveValue);
+    document.getElementById('ntnbTotalCoupons').textContent = formatCurrency(ntnb.totalCoupons);
+
+    document.querySelector('#couponTable tbody').innerHTML = ntnb.coupons.length === 0
+        ? `<tr><td colspan="5">${t('ntnb.noCoupons')}</td></tr>`
+        : ntnb.coupons.map(coupon => `
+            <tr>
+                <th scope="row">${formatShortDate(coupon.date)}</th>
+                <td>${formatCurrency(coupon.vna)}</td>
+                <td>${formatCurrency(coupon.couponPerUnit)}</td>
+                <td>${formatCurrency(coupon.amount)}</td>
+                <td>${t(coupon.reinvested ? 'ntnb.reinvested' : 'ntnb.paid')}</td>
+            </tr>
+        `).join('');
+
+    section.style.display = 'block';
 }
 
 // ===================================
-// Calculation Functions
+// Taxes and Fees
 // ===================================
 
 /**
- * Calculate cumulative variation for a series
- * Uses compound formula: (1 + rate1/100) * (1 + rate2/100) * ... - 1
+ * Read tax and fee options from the form (null when net values are disabled)
  */
-function calculateCumulativeRate(seriesData) {
-    let cumulativeFactor = 1;
-
-    for (const item of seriesData) {
-        const monthlyRate = parseFloat(item.valor);
-        cumulativeFactor *= (1 + monthlyRate / 100);
+function getTaxOptions() {
+    if (!document.getElementById('applyTaxes').checked) {
+        return null;
     }
 
-    // Return percentage variation
-    return (cumulativeFactor - 1) * 100;
+    return {
+        isExempt: document.getElementById('taxExempt').checked,
+        annualFee: parseLocaleNumber(document.getElementById('annualFee').value) || 0
+    };
 }
 
+// ===================================
+// UI Functions
+// ===================================
+
 /**
- * Calculate investment value adjusted by series rate + fixed rate
- * Fixed rate is applied monthly as (annualRate / 12)
- * For "Fixed Only" scenario, series rate is effectively 0
+ * Message shown for an error: BCB client errors get a hint on what to do next
  */
-function calculateCompoundValue(initialValue, seriesData, annualFixedRate, useSeriesRate = true) {
-    let adjustedValue = initialValue;
-    const monthlyFixedRate = annualFixedRate / 12; // Convert annual to monthly
+function describeError(error) {
+    if (typeof error === 'string') return error;
 
-    for (const item of seriesData) {
-        const monthlySeriesRate = useSeriesRate ? parseFloat(item.valor) : 0;
-        // Compound both Series rate and fixed rate
-        adjustedValue *= (1 + monthlySeriesRate / 100) * (1 + monthlyFixedRate / 100);
+    const attempts = error.attempts > 1 ? t('error.hint.attempts', { count: error.attempts }) : '';
+    const message = error.message.replace(/\.$/, '');
+    if (error instanceof SeriesTimeoutError) {
+        return t('error.hint.timeout', { message, attempts });
     }
-
-    return adjustedValue;
+    if (error instanceof SeriesNetworkError) {
+        return t('error.hint.network', { series: getSeriesLabel(error.seriesCode), attempts });
+    }
+    if (error instanceof SeriesHTTPError) {
+        return error.status === 429 || error.status >= 500
+            ? t('error.hint.unstable', { message, attempts })
+            : t('error.hint.checkDates', { message: error.message });
+    }
+    if (error instanceof SeriesGapError) {
+        return t('error.hint.gaps', { message: error.message });
+    }
+    if (error instanceof SeriesValidationError) {
+        return t('error.hint.later', { message: error.message });
+    }
+    return error.message;
 }
 
 /**
- * Calculate investment evolution over time
- * Returns both Series-only and Series+fixed values for comparison
+ * Show error message (an Error or a plain message)
  */
-
-// ===================================
-// UI Functions
-// ===================================
-
-/**
- * Show error message
- */
-function showError(message) {
+function showError(error) {
     const errorElement = document.getElementById('errorMessage');
-    errorElement.textContent = message;
+    errorElement.textContent = describeError(error);
     errorElement.style.display = 'block';
 
     // Hide after 5 seconds
@@ -197,7 +215,7 @@ function setLoadingState(isLoading) {
 /**
  * Display results
  */
-function displayResults(initialValue, finalValue, totalVariation, startDate, endDate, fixedRate, seriesLabel, isProjection = false, averageRate = 0) {
+function displayResults(initialValue, finalValue, totalVariation, startDate, endDate, fixedRate, seriesLabel, isProjection = false, projectionInfo = null, cashFlowSummary = null, taxSummary = null, rateConvention = CONFIG.DEFAULT_RATE_CONVENTION, realSummary = null, officialCorrection = null) {
     // Update result values
     document.getElementById('initialValue').textContent = formatCurrency(initialValue);
     document.getElementById('finalValue').textContent = formatCurrency(finalValue);
@@ -205,14 +223,57 @@ function displayResults(initialValue, finalValue, totalVariation, startDate, end
     // Update label to reflect IPCA/SELIC/None
     const variationLabel = document.getElementById('resultVariationLabel') ||
         document.getElementById('totalVariation').previousElementSibling;
-    variationLabel.textContent = seriesLabel ? `Variação Total (${seriesLabel})` : 'Variação do Índice';
+    variationLabel.textContent = seriesLabel ? t('results.variationOf', { index: seriesLabel }) : t('results.indexVariation');
 
     document.getElementById('totalVariation').textContent = formatPercentage(totalVariation);
-    document.getElementById('fixedRateDisplay').textContent = formatPercentage(fixedRate) + ' a.a.';
-
-    // Calculate total gain
-    const totalGainPercent = ((finalValue - initialValue) / initialValue) * 100;
+    document.getElementById('fixedRateDisplay').textContent = t('rate.perYear', { rate: formatPercentage(fixedRate) });
+    document.getElementById('rateConventionDisplay').textContent = t(CONFIG.RATE_CONVENTIONS[rateConvention]);
+
+    // Calculate net gain on the money actually put in
+    const totalContributed = cashFlowSummary ? cashFlowSummary.totalContributed : initialValue;
+    const totalWithdrawn = cashFlowSummary ? cashFlowSummary.totalWithdrawn : 0;
+    const netGain = finalValue + totalWithdrawn - totalContributed;
+    const totalGainPercent = (netGain / totalContributed) * 100;
     document.getElementById('totalGain').textContent = formatPercentage(totalGainPercent);
+    document.getElementById('totalContributed').textContent = formatCurrency(totalContributed);
+    document.getElementById('totalWithdrawn').textContent = formatCurrency(totalWithdrawn);
+    document.getElementById('totalEarnings').textContent = formatCurrency(netGain);
+
+    // Real return (deflated by IPCA)
+    if (realSummary) {
+        document.getElementById('realReturnLabel').textContent = t(realSummary.isNet ? 'results.realReturnNet' : 'results.realReturn');
+        document.getElementById('realReturn').textContent = formatPercentage(realSummary.realTotalReturn);
+        document.getElementById('realAnnualizedReturn').textContent = t('rate.perYear', { rate: formatPercentage(realSummary.realAnnualizedReturn) });
+        document.getElementById('periodInflation').textContent = formatPercentage(realSummary.inflation);
+    }
+
+    // Gross vs net (after taxes and fees)
+    const netResults = document.getElementById('netResults');
+    if (taxSummary) {
+        const netGainPercent = ((taxSummary.netValue + taxSummary.netWithdrawn - totalContributed) / totalContributed) * 100;
+        document.getElementById('grossFinalValue').textContent = formatCurrency(finalValue);
+        document.getElementById('netFinalValue').textContent = formatCurrency(taxSummary.netValue);
+        document.getElementById('taxTotal').textContent = formatCurrency(taxSummary.taxes);
+        document.getElementById('feeTotal').textContent = formatCurrency(taxSummary.fees);
+        document.getElementById('netGain').textContent = formatPercentage(netGainPercent);
+        netResults.style.display = 'grid';
+    } else {
+        netResults.style.display = 'none';
+    }
+
+    // Index correction with the exact decimal rules of the Banco Central citizen calculator
+    const officialItem = document.getElementById('officialCorrectionItem');
+    if (officialCorrection) {
+        document.getElementById('officialCorrectionValue').textContent = formatCurrency(Number(officialCorrection.value));
+        const { decimal } = getNumberSeparators();
+        document.getElementById('officialCorrectionFactor').textContent = t('results.officialFactor', {
+            factor: officialCorrection.factor.replace('.', decimal),
+            percentage: officialCorrection.percentage.replace('.', decimal)
+        });
+        officialItem.style.display = '';
+    } else {
+        officialItem.style.display = 'none';
+    }
 
     const startDateFormatted = formatDateForDisplay(startDate);
     const endDateFormatted = formatDateForDisplay(endDate);
@@ -235,9 +296,9 @@ function displayResults(initialValue, finalValue, totalVariation, startDate, end
         warningDiv.className = 'warning-box';
         warningDiv.innerHTML = `
             <p class="warning-text">
-                ⚠️ <strong>Atenção:</strong> O período selecionado avança para o futuro. 
-                Para os meses sem dados oficiais, foi utilizada uma projeção baseada na média dos últimos 12 meses do ${seriesLabel || 'índice'} 
-                (<strong>${averageRate.toFixed(2)}% ao mês</strong>).
+                ${t('results.projectionWarning', {
+                    model: projectionInfo ? projectionInfo.description : t('results.defaultProjectionModel')
+                })}
             </p>
         `;
         resultsCard.insertBefore(warningDiv, resultsCard.lastElementChild);
@@ -250,244 +311,460 @@ function displayResults(initialValue, finalValue, totalVariation, startDate, end
 }
 
 /**
- * Create or update chart with dual lines showing Series and fixed rate contributions
+ * Show (or clear) the notice that cached data was used because the API failed
  */
+function showStaleDataNotice(staleDates, cardId = 'resultsCard') {
+    const existingNotice = document.getElementById('staleDataNotice');
+    if (existingNotice) existingNotice.remove();
+
+    const dates = staleDates.filter(Boolean);
+    if (dates.length === 0) return;
+
+    const oldest = new Date(Math.min(...dates));
+    const formatted = new Intl.DateTimeFormat(getLocale(), { dateStyle: 'short', timeStyle: 'short' }).format(oldest);
+
+    const card = document.getElementById(cardId);
+    const noticeDiv = document.createElement('div');
+    noticeDiv.id = 'staleDataNotice';
+    noticeDiv.className = 'warning-box';
+    noticeDiv.innerHTML = `
+        <p class="warning-text">
+            ${t('results.staleNotice', { date: formatted })}
+        </p>
+    `;
+    card.insertBefore(noticeDiv, card.children[1]);
+}
 
 // ===================================
-// Form Validation
+// Cash Flow Schedule
 // ===================================
 
 /**
- * Validate form inputs
+ * Add a one-off contribution/withdrawal row to the form
  */
-function validateForm(amount, startDate, endDate) {
-    // Validate amount
-    if (!amount || amount <= 0) {
-        throw new Error('Por favor, insira um valor de investimento válido (maior que zero).');
-    }
-
-    // Validate dates
-    if (!startDate || !endDate) {
-        throw new Error('Por favor, selecione as datas inicial e final.');
-    }
-
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    // Check if start date is before end date
-    if (start >= end) {
-        throw new Error('A data inicial deve ser anterior à data final.');
-    }
+function addCashFlowRow(entry = {}) {
+    const list = document.getElementById('cashFlowList');
+    const row = document.createElement('div');
+    row.className = 'cash-flow-row';
+    row.innerHTML = `
+        <input type="date" class="form-input cash-flow-date" data-i18n-aria-label="cashFlow.date">
+        <select class="form-input cash-flow-type" data-i18n-aria-label="cashFlow.type">
+            <option value="contribution" data-i18n="cashFlow.contribution"></option>
+            <option value="withdrawal" data-i18n="cashFlow.withdrawal"></option>
+        </select>
+        <input type="text" inputmode="decimal" class="form-input cash-flow-amount" data-decimal-placeholder="1000.00"
+            data-i18n-aria-label="cashFlow.amount">
+        <button type="button" class="btn btn-icon" data-i18n-aria-label="cashFlow.remove">✕</button>
+    `;
+    translatePage(row);
+
+    row.querySelector('.cash-flow-date').value = entry.date || '';
+    row.querySelector('.cash-flow-type').value = entry.amount < 0 ? 'withdrawal' : 'contribution';
+    row.querySelector('.cash-flow-amount').value = entry.amount ? formatDecimalInput(Math.abs(entry.amount)) : '';
+    row.querySelector('.btn-icon').addEventListener('click', () => row.remove());
+
+    list.appendChild(row);
+}
 
-    // Check if date range is reasonable (IPCA data available from 1980)
-    const minDate = new Date('1980-01-01');
-    if (start < minDate) {
-        throw new Error('A data inicial deve ser posterior a janeiro de 1980.');
-    }
+/**
+ * Read the contribution/withdrawal schedule from the form
+ * Amounts are signed: contributions are positive, withdrawals negative
+ */
+function getCashFlowSchedule() {
+    const monthlyValue = parseLocaleNumber(document.getElementById('monthlyAmount').value) || 0;
+    const monthlyType = document.getElementById('monthlyFlowType').value;
+
+    const entries = [...document.querySelectorAll('#cashFlowList .cash-flow-row')].map(row => {
+        const amount = parseLocaleNumber(row.querySelector('.cash-flow-amount').value);
+        const isWithdrawal = row.querySelector('.cash-flow-type').value === 'withdrawal';
+        return {
+            date: row.querySelector('.cash-flow-date').value,
+            amount: isWithdrawal ? -amount : amount
+        };
+    });
 
-    return true;
+    return {
+        monthlyAmount: monthlyType === 'withdrawal' ? -monthlyValue : monthlyValue,
+        adjustByIPCA: document.getElementById('adjustMonthlyByIPCA').checked,
+        entries: entries
+    };
 }
 
 // ===================================
-// Main Application Logic
+// Scenario Comparison
 // ===================================
 
+const COMPARISON_COLORS = ['#4facfe', '#43e97b', '#f093fb', '#f6ad55', '#f5576c', '#a3bffa'];
+
 /**
- * Handle form submission
+ * Add a comparison scenario row (type, rate and label) to the form
  */
-async function handleCalculation(event) {
-    event.preventDefault();
-
-    // Hide previous errors
-    hideError();
-
-    // Get form values
-    const amount = parseFloat(document.getElementById('investmentAmount').value);
-    const fixedRate = parseFloat(document.getElementById('fixedRate').value) || 0;
-    const startDate = document.getElementById('startDate').value;
-    const endDate = document.getElementById('endDate').value;
-    const scenarioType = document.getElementById('scenarioType').value;
+function addComparisonRow(input = {}) {
+    const list = document.getElementById('comparisonList');
+    const row = document.createElement('div');
+    row.className = 'comparison-row';
+    row.innerHTML = `
+        <select class="form-input comparison-type" data-i18n-aria-label="comparison.type">
+            ${document.getElementById('scenarioType').innerHTML}
+        </select>
+        <input type="text" inputmode="decimal" class="form-input comparison-rate" data-i18n-placeholder="comparison.ratePlaceholder"
+            data-i18n-aria-label="comparison.rate">
+        <input type="text" class="form-input comparison-label" data-i18n-placeholder="comparison.namePlaceholder"
+            data-i18n-aria-label="comparison.name">
+        <button type="button" class="btn btn-icon" data-i18n-aria-label="comparison.remove">✕</button>
+    `;
+    translatePage(row);
+
+    row.querySelector('.comparison-type').value = input.scenarioType || 'cdi_pct';
+    row.querySelector('.comparison-rate').value = input.rate !== undefined ? formatDecimalInput(input.rate) : '';
+    row.querySelector('.comparison-label').value = input.label || '';
+    row.querySelector('.btn-icon').addEventListener('click', () => row.remove());
+
+    list.appendChild(row);
+}
 
-    try {
-        // Validate inputs
-        validateForm(amount, startDate, endDate);
+/**
+ * Read the comparison scenarios from the form
+ * The rate is a fixed spread (% a.a.) or, for percentage scenarios, the % of the index
+ */
+function getComparisonScenarioInputs() {
+    return [...document.querySelectorAll('#comparisonList .comparison-row')].map(row => {
+        const scenarioType = row.querySelector('.comparison-type').value;
+        const rateValue = parseLocaleNumber(row.querySelector('.comparison-rate').value);
+        const defaultRate = scenarioType.endsWith('_pct') ? 100 : 0;
+
+        return {
+            scenarioType,
+            rate: isNaN(rateValue) ? defaultRate : rateValue,
+            label: row.querySelector('.comparison-label').value.trim()
+        };
+    });
+}
 
-        // Show loading state
-        setLoadingState(true);
+/**
+ * Render the comparison table and break-even summary
+ */
+function displayComparison(comparison) {
+    const { scenarios, winnerIndex, breakEvens, useNet } = comparison;
+    const tbody = document.querySelector('#comparisonTable tbody');
+
+    tbody.innerHTML = '';
+    scenarios.forEach((scenario, index) => {
+        const row = document.createElement('tr');
+        if (index === winnerIndex) row.className = 'winner';
+        row.innerHTML = `
+            <th scope="row">${index === winnerIndex ? '🏆 ' : ''}</th>
+            <td>${formatCurrency(scenario.finalValue)}</td>
+            <td>${formatPercentage(scenario.totalReturn)}</td>
+            <td>${t('rate.perYear', { rate: formatPercentage(scenario.annualizedReturn) })}</td>
+            <td>${formatPercentage(scenario.realTotalReturn)}</td>
+            <td>${t('rate.perYear', { rate: formatPercentage(scenario.realAnnualizedReturn) })}</td>
+        `;
+        // Labels are user input: never render them as HTML
+        row.querySelector('th').append(scenario.label);
+        tbody.appendChild(row);
+    });
 
-        // Determine series code based on scenario
-        let seriesCode = CONFIG.SERIES.IPCA;
-        let seriesLabel = 'IPCA';
-        let useSeriesRate = true;
-
-        if (scenarioType === 'selic_fixed') {
-            seriesCode = CONFIG.SERIES.SELIC;
-            seriesLabel = 'SELIC';
-        } else if (scenarioType === 'fixed_only') {
-            // still fetch IPCA to get timeline/dates
-            seriesCode = CONFIG.SERIES.IPCA;
-            seriesLabel = null; // No series label for fixed only
-            useSeriesRate = false;
+    document.getElementById('comparisonValueNote').textContent = t(useNet ? 'comparison.netNote' : 'comparison.grossNote');
+
+    const winnerLabel = scenarios[winnerIndex].label;
+    const list = document.getElementById('breakEvenList');
+    list.innerHTML = '';
+    breakEvens.forEach(breakEven => {
+        const item = document.createElement('li');
+        const params = { winner: winnerLabel, other: breakEven.otherLabel };
+        if (breakEven.index === 0) {
+            item.textContent = t('comparison.aheadAllPeriod', params);
+        } else if (breakEven.index > 0) {
+            item.textContent = t('comparison.overtakes', { ...params, date: formatShortDate(parseAPIDate(breakEven.dateString)) });
+        } else {
+            item.textContent = t('comparison.tiesAtEnd', params);
         }
+        list.appendChild(item);
+    });
 
-        // Fetch Data
-        const seriesData = await fetchSeriesData(seriesCode, startDate, endDate);
+    document.getElementById('comparisonCard').style.display = 'block';
+}
 
-        // Check if we need to project future data
-        const lastDataDate = parseAPIDate(seriesData[seriesData.length - 1].data);
-        const endDateTime = new Date(endDate + 'T00:00:00'); // Ensure time component doesn't mess up comparison
+/**
+ * Hide the comparison card (single scenario calculation)
+ */
+function hideComparison() {
+    document.getElementById('comparisonCard').style.display = 'none';
+}
 
-        let finalSeriesData = seriesData;
-        let isProjection = false;
-        let averageRate = 0;
+/**
+ * Chart with one line per scenario; break-even months are marked on the winner's line
+ */
+function updateComparisonChart(comparison) {
+    setChartAnalysisVisible(false);
+    const ctx = document.getElementById('investmentChart');
 
-        if (endDateTime > lastDataDate) {
-            isProjection = true;
-            averageRate = calculateAverageRate(seriesData);
-            const futureData = generateFutureData(lastDataDate, endDateTime, averageRate);
-            finalSeriesData = [...seriesData, ...futureData];
-        }
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
 
-        const totalVariation = calculateCumulativeRate(finalSeriesData);
-        const finalValue = calculateCompoundValue(amount, finalSeriesData, fixedRate, useSeriesRate);
-        const evolution = calculateInvestmentEvolution(amount, finalSeriesData, fixedRate, useSeriesRate);
+    const { scenarios, winnerIndex, breakEvens, dateStrings } = comparison;
+    const showReal = isRealValuesMode();
+    const breakEvenIndexes = new Set(breakEvens.filter(item => item.index > 0).map(item => item.index));
+    const labels = dateStrings.map(dateString => formatShortDate(parseAPIDate(dateString)));
+
+    const datasets = scenarios.map((scenario, index) => {
+        const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+        const isWinner = index === winnerIndex;
+
+        return {
+            label: isWinner ? `🏆 ${scenario.label}` : scenario.label,
+            data: showReal ? scenario.realValues : scenario.values,
+            borderColor: color,
+            borderWidth: isWinner ? 3 : 2,
+            fill: false,
+            tension: 0.4,
+            pointRadius: (ctx) => isWinner && breakEvenIndexes.has(ctx.dataIndex) ? 6 : 0,
+            pointStyle: 'crossRot',
+            pointHoverRadius: 6,
+            segment: {
+                borderDash: (ctx) => scenario.projectionFlags[ctx.p0DataIndex] ? [5, 5] : undefined
+            },
+            pointHoverBackgroundColor: color,
+            pointHoverBorderColor: '#ffffff',
+            pointHoverBorderWidth: 2
+        };
+    });
 
-        const displayVariation = useSeriesRate ? totalVariation : 0;
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: buildChartOptions({
+            title: (context) => {
+                const index = context[0].dataIndex;
+                let title = t('chart.dateTitle', { date: labels[index] });
+                if (scenarios.some(scenario => scenario.projectionFlags[index])) {
+                    title += t('chart.projectionSuffix');
+                }
+                if (breakEvenIndexes.has(index)) {
+                    title += t('chart.breakEvenSuffix');
+                }
+                return title;
+            },
+            afterBody: () => showReal ? t('chart.realValuesNote') : ''
+        })
+    });
 
-        displayResults(amount, finalValue, displayVariation, startDate, endDate, fixedRate, seriesLabel, isProjection, averageRate);
-        updateChart(evolution, amount, fixedRate, seriesLabel);
+    document.getElementById('chartCard').style.display = 'block';
+}
 
-    } catch (error) {
-        console.error('Erro no cálculo:', error);
-        showError(error.message);
-    } finally {
-        setLoadingState(false);
-    }
+// ===================================
+// Portfolios
+// ===================================
+
+/**
+ * Add a position row (name, scenario, rate, amount and purchase date) to the form
+ */
+function addPositionRow(position = {}) {
+    const list = document.getElementById('positionList');
+    const row = document.createElement('div');
+    row.className = 'position-row';
+    row.innerHTML = `
+        <input type="text" class="form-input position-label" data-i18n-placeholder="comparison.namePlaceholder"
+            data-i18n-aria-label="position.name">
+        <select class="form-input position-type" data-i18n-aria-label="comparison.type">
+            ${document.getElementById('scenarioType').innerHTML}
+        </select>
+        <input type="text" inputmode="decimal" class="form-input position-rate" data-i18n-placeholder="comparison.ratePlaceholder"
+            data-i18n-aria-label="comparison.rate">
+        <input type="text" inputmode="decimal" class="form-input position-amount" data-i18n-placeholder="position.amountPlaceholder"
+            data-i18n-aria-label="position.amount">
+        <input type="date" class="form-input position-date" data-i18n-aria-label="position.date">
+        <button type="button" class="btn btn-icon" data-i18n-aria-label="position.remove">✕</button>
+    `;
+    translatePage(row);
+
+    row.querySelector('.position-label').value = position.label || '';
+    row.querySelector('.position-type').value = position.scenarioType || 'ipca_fixed';
+    row.querySelector('.position-rate').value = position.rate !== undefined ? formatDecimalInput(position.rate) : '';
+    row.querySelector('.position-amount').value = position.amount !== undefined ? formatDecimalInput(position.amount) : '';
+    row.querySelector('.position-date').value = position.startDate || '';
+    row.querySelector('.btn-icon').addEventListener('click', () => row.remove());
+
+    list.appendChild(row);
 }
 
-function calculateAverageRate(seriesData) {
-    // Take up to the last 12 months
-    const slice = seriesData.slice(-12);
-    if (slice.length === 0) return 0;
+/**
+ * Read the portfolio positions from the form
+ * The rate is a fixed spread (% a.a.) or, for percentage scenarios, the % of the index
+ */
+function getPortfolioPositions() {
+    return [...document.querySelectorAll('#positionList .position-row')].map(row => {
+        const scenarioType = row.querySelector('.position-type').value;
+        const rateValue = parseLocaleNumber(row.querySelector('.position-rate').value);
+        const defaultRate = scenarioType.endsWith('_pct') ? 100 : 0;
+
+        return {
+            label: row.querySelector('.position-label').value.trim(),
+            scenarioType,
+            rate: isNaN(rateValue) ? defaultRate : rateValue,
+            amount: parseLocaleNumber(row.querySelector('.position-amount').value),
+            startDate: row.querySelector('.position-date').value
+        };
+    });
+}
 
-    const sum = slice.reduce((acc, item) => acc + parseFloat(item.valor), 0);
-    return sum / slice.length;
+/**
+ * Fill the saved portfolios select, keeping `selected` chosen
+ */
+function populatePortfolioSelect(selected = '') {
+    const select = document.getElementById('portfolioSelect');
+    select.innerHTML = `<option value="" data-i18n="portfolio.new">${t('portfolio.new')}</option>`;
+    Object.keys(readPortfolios()).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = selected;
 }
 
-function generateFutureData(startDate, endDate, rate) {
-    const futureData = [];
-    let currentDate = new Date(startDate);
+/**
+ * Replace the positions in the form with a saved portfolio (or an empty one)
+ */
+function loadPortfolio(name) {
+    const portfolio = readPortfolios()[name];
+    document.getElementById('positionList').innerHTML = '';
+    document.getElementById('portfolioName').value = portfolio ? name : '';
+    (portfolio ? portfolio.positions : []).forEach(position => addPositionRow(position));
+}
 
-    // Move to next month first
-    currentDate.setMonth(currentDate.getMonth() + 1);
+/**
+ * Save the positions in the form under the given name
+ */
+function handleSavePortfolio() {
+    hideError();
+    const name = document.getElementById('portfolioName').value.trim();
+    const positions = getPortfolioPositions();
 
-    while (currentDate <= endDate) {
-        futureData.push({
-            data: formatDateForAPI(currentDate.toISOString().split('T')[0]),
-            valor: rate.toFixed(4),
-            isProjection: true
-        });
-        currentDate.setMonth(currentDate.getMonth() + 1);
+    try {
+        if (!name) {
+            throw new Error(t('error.portfolio.nameRequired'));
+        }
+        if (positions.length === 0) {
+            throw new Error(t('error.portfolio.noPositions'));
+        }
+        savePortfolio(name, positions);
+        populatePortfolioSelect(name);
+    } catch (error) {
+        showError(error);
     }
+}
+
+/**
+ * Delete the selected saved portfolio
+ */
+function handleDeletePortfolio() {
+    const name = document.getElementById('portfolioSelect').value;
+    if (!name || !confirm(t('portfolio.confirmDelete', { name }))) return;
 
-    return futureData;
+    deletePortfolio(name);
+    populatePortfolioSelect();
+    loadPortfolio('');
 }
 
-function calculateInvestmentEvolution(initialValue, seriesData, annualFixedRate, useSeriesRate = true) {
-    const evolution = [];
-    let currentValueSeries = initialValue;
-    let currentValueCombined = initialValue;
-    const monthlyFixedRate = annualFixedRate / 12;
+/**
+ * Render the consolidated portfolio summary and allocation
+ */
+function displayPortfolio(portfolio, name) {
+    document.getElementById('portfolioTitle').textContent = name ? t('portfolio.titleNamed', { name }) : t('portfolio.title');
+    document.getElementById('portfolioInvested').textContent = formatCurrency(portfolio.totalInvested);
+    document.getElementById('portfolioFinalValue').textContent = formatCurrency(portfolio.finalValue);
+    document.getElementById('portfolioReturn').textContent = formatPercentage(portfolio.totalReturn);
+
+    const tbody = document.querySelector('#portfolioTable tbody');
+    tbody.innerHTML = '';
+    portfolio.positions.forEach(position => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <th scope="row"></th>
+            <td>${formatDateForDisplay(position.startDate)}</td>
+            <td>${formatCurrency(position.invested)}</td>
+            <td>${formatCurrency(position.finalValue)}</td>
+            <td>${formatPercentage(position.totalReturn)}</td>
+        `;
+        // Labels are user input: never render them as HTML
+        row.querySelector('th').append(position.label);
+        tbody.appendChild(row);
+    });
 
-    for (const item of seriesData) {
-        const monthlySeriesRate = useSeriesRate ? parseFloat(item.valor) : 0;
+    document.querySelector('#allocationTable tbody').innerHTML = portfolio.allocation.map(item => `
+        <tr>
+            <th scope="row">${item.label}</th>
+            <td>${formatCurrency(item.value)}</td>
+            <td>${formatPercentage(item.share)}</td>
+        </tr>
+    `).join('');
 
-        currentValueSeries *= (1 + monthlySeriesRate / 100);
-        currentValueCombined *= (1 + monthlySeriesRate / 100) * (1 + monthlyFixedRate / 100);
+    document.getElementById('portfolioValueNote').textContent = t(portfolio.useNet ? 'comparison.netNote' : 'comparison.grossNote');
 
-        evolution.push({
-            date: parseAPIDate(item.data),
-            valueSeries: currentValueSeries,
-            valueCombined: currentValueCombined,
-            dateString: item.data,
-            isProjection: !!item.isProjection,
-            monthlyRate: monthlySeriesRate
-        });
-    }
+    const card = document.getElementById('portfolioCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
 
-    return evolution;
+/**
+ * Hide the portfolio card (single scenario calculation)
+ */
+function hidePortfolio() {
+    document.getElementById('portfolioCard').style.display = 'none';
 }
 
-function updateChart(evolution, initialValue, fixedRate, seriesLabel) {
+/**
+ * Chart stacked by position; the top of the stack is the consolidated value
+ */
+function updatePortfolioChart(portfolio) {
+    setChartAnalysisVisible(false);
     const ctx = document.getElementById('investmentChart');
 
     if (chartInstance) {
         chartInstance.destroy();
     }
 
-    const labels = evolution.map(item => item.dateString);
-    const valuesSeries = evolution.map(item => item.valueSeries);
-    const valuesCombined = evolution.map(item => item.valueCombined);
-
-    // Gradients
-    const gradientSeries = ctx.getContext('2d').createLinearGradient(0, 0, 0, 400);
-    gradientSeries.addColorStop(0, 'rgba(67, 233, 123, 0.3)');
-    gradientSeries.addColorStop(1, 'rgba(67, 233, 123, 0.05)');
-
-    const gradientCombined = ctx.getContext('2d').createLinearGradient(0, 0, 0, 400);
-    gradientCombined.addColorStop(0, 'rgba(79, 172, 254, 0.5)');
-    gradientCombined.addColorStop(1, 'rgba(0, 242, 254, 0.1)');
-
-    const datasets = [];
-
-    // Helper for segment styling
-    const segmentStyle = (ctx, colorSolid, colorDashed) => {
-        return ctx.p0DataIndex < evolution.findIndex(e => e.isProjection) || evolution.every(e => !e.isProjection)
-            ? undefined // default style (solid)
-            : [6, 6]; // dashed
-    };
+    const { positions, dateStrings } = portfolio;
+    const showReal = isRealValuesMode();
+    const labels = dateStrings.map(dateString => formatShortDate(parseAPIDate(dateString)));
 
-    // Series Line (IPCA/SELIC)
-    datasets.push({
-        label: seriesLabel ? `Somente ${seriesLabel}` : 'Valor Base',
-        data: valuesSeries,
-        borderColor: '#43e97b',
-        backgroundColor: gradientSeries,
-        borderWidth: 2,
-        fill: true,
-        tension: 0.4,
-        pointRadius: 0,
-        pointHoverRadius: 6,
-        segment: {
-            borderDash: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? [5, 5] : undefined,
-            borderColor: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? '#81e6d9' : '#43e97b'
-        },
-        pointHoverBackgroundColor: '#43e97b',
-        pointHoverBorderColor: '#ffffff',
-        pointHoverBorderWidth: 2
-    });
+    const datasets = positions.map((position, index) => {
+        const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
 
-    // Combined Line
-    if (fixedRate > 0 && seriesLabel) {
-        datasets.push({
-            label: `${seriesLabel} + ${fixedRate.toFixed(2)}% a.a.`,
-            data: valuesCombined,
-            borderColor: '#4facfe',
-            backgroundColor: gradientCombined,
-            borderWidth: 3,
-            fill: true,
+        return {
+            label: position.label,
+            data: showReal ? position.realValues : position.values,
+            borderColor: color,
+            backgroundColor: color + '55',
+            borderWidth: 1.5,
+            fill: index === 0 ? 'origin' : '-1',
             tension: 0.4,
             pointRadius: 0,
-            pointHoverRadius: 6,
+            pointHoverRadius: 5,
             segment: {
-                borderDash: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? [5, 5] : undefined,
-                borderColor: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? '#90cdf4' : '#4facfe'
-            },
-            pointHoverBackgroundColor: '#4facfe',
-            pointHoverBorderColor: '#ffffff',
-            pointHoverBorderWidth: 2
-        });
-    }
+                borderDash: (ctx) => position.projectionFlags[ctx.p0DataIndex] ? [5, 5] : undefined
+            }
+        };
+    });
+
+    const options = buildChartOptions({
+        title: (context) => {
+            const index = context[0].dataIndex;
+            const isProjection = positions.some(position => position.projectionFlags[index]);
+            return t('chart.dateTitle', { date: labels[index] }) + (isProjection ? t('chart.projectionSuffix') : '');
+        },
+        footer: (context) => {
+            const total = context.reduce((sum, item) => sum + item.parsed.y, 0);
+            return t('chart.portfolioTotal', { total: formatCurrency(total) }) + (showReal ? t('chart.endDateReais') : '');
+        }
+    });
+    options.scales.y.stacked = true;
 
     chartInstance = new Chart(ctx, {
         type: 'line',
@@ -495,99 +772,1721 @@ function updateChart(evolution, initialValue, fixedRate, seriesLabel) {
             labels: labels,
             datasets: datasets
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            interaction: {
-                intersect: false,
-                mode: 'index',
-            },
-            plugins: {
-                legend: {
-                    position: 'top',
-                    labels: {
-                        color: '#a0aec0',
-                        font: {
-                            family: "'Inter', sans-serif"
-                        }
-                    }
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(21, 25, 50, 0.9)',
-                    titleColor: '#fff',
-                    bodyColor: '#a0aec0',
-                    borderColor: 'rgba(255, 255, 255, 0.1)',
-                    borderWidth: 1,
-                    padding: 10,
-                    callbacks: {
-                        title: (context) => {
-                            const index = context[0].dataIndex;
-                            const item = evolution[index];
-                            let title = `Data: ${item.dateString}`;
-                            if (item.isProjection) {
-                                title += ' (Projeção)';
-                            }
-                            return title;
-                        },
-                        label: function (context) {
-                            let label = context.dataset.label || '';
-                            if (label) {
-                                label += ': ';
-                            }
-                            if (context.parsed.y !== null) {
-                                label += formatCurrency(context.parsed.y);
-                            }
-                            return label;
-                        },
-                        afterBody: (context) => {
-                            const index = context[0].dataIndex;
-                            const item = evolution[index];
-                            const rateLabel = seriesLabel || 'Taxa';
-                            return `\n${rateLabel}: ${item.monthlyRate.toFixed(2)}%`;
-                        }
-                    }
-                }
-            },
-            scales: {
-                x: {
-                    grid: {
-                        color: 'rgba(255, 255, 255, 0.1)'
-                    },
-                    ticks: {
-                        color: '#718096'
-                    }
-                },
-                y: {
-                    grid: {
-                        color: 'rgba(255, 255, 255, 0.1)'
-                    },
-                    ticks: {
-                        color: '#718096',
-                        callback: function (value) {
-                            return 'R$ ' + value.toLocaleString('pt-BR', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
-                        }
-                    }
-                }
-            }
-        }
+        options
     });
 
-    // Show chart card
-    const chartCard = document.getElementById('chartCard');
-    chartCard.style.display = 'block';
+    document.getElementById('chartCard').style.display = 'block';
 }
 
-// ===================================
-// Initialize Application
-// ===================================
-
 /**
- * Set default dates (last year)
+ * Evaluate every position with the shared settings of the form and show the consolidated portfolio
  */
-function setDefaultDates() {
-    const today = new Date();
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(today.getFullYear() - 1);
+async function handlePortfolioCalculation() {
+    hideError();
+
+    const positions = getPortfolioPositions();
+    const endDate = document.getElementById('endDate').value;
+    const mainScenario = getMainScenarioInput();
+    const baseParams = {
+        endDate,
+        rateConvention: document.getElementById('rateConvention').value,
+        proRataMode: document.getElementById('proRataMode').value,
+        schedule: null,
+        taxOptions: getTaxOptions(),
+        projection: getProjectionOptions(getScenario(mainScenario.scenarioType, mainScenario.rate).indexId),
+        monteCarlo: null,
+        ntnb: getNTNBOptions()
+    };
+
+    try {
+        if (positions.length === 0) {
+            throw new Error(t('error.portfolio.noPositions'));
+        }
+        validateProjection(baseParams.projection);
+        positions.forEach(position => {
+            validateForm(position.amount, position.startDate, endDate, null,
+                baseParams.taxOptions, position.scenarioType, position.scenarioType.endsWith('_pct') ? position.rate : null);
+            if (position.scenarioType === 'ntnb') {
+                validateNTNB(baseParams.ntnb, position.startDate, endDate, null, baseParams.taxOptions);
+            }
+        });
+
+        setLoadingState(true);
+
+        const results = [];
+        for (const position of positions) {
+            results.push(await calculateScenario(position,
+                { ...baseParams, amount: position.amount, startDate: position.startDate }));
+        }
+
+        const portfolio = aggregatePortfolio(positions, results);
+        document.getElementById('resultsCard').style.display = 'none';
+        document.getElementById('breakdownCard').style.display = 'none';
+        hideComparison();
+        hideReadjustment();
+        hideLoan();
+        hideStatement();
+        displayPortfolio(portfolio, document.getElementById('portfolioName').value.trim());
+        lastChartRender = () => updatePortfolioChart(portfolio);
+        lastChartRender();
+        lastCalculation = handlePortfolioCalculation;
+
+        showStaleDataNotice(results.flatMap(result => result.staleDates), 'portfolioCard');
+    } catch (error) {
+        console.error('Erro no cálculo da carteira:', error);
+        showError(error);
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+// ===================================
+// Contract Readjustment
+// ===================================
+
+/**
+ * Fill an index select from the registry
+ */
+function populateIndexSelect(selectId, selected) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = Object.entries(CONFIG.INDEXES)
+        .map(([indexId, index]) => `<option value="${indexId}">${index.label}</option>`)
+        .join('');
+    select.value = selected;
+}
+
+/**
+ * Read the optional cap/floor (% per readjustment) and the negative-as-zero choice
+ */
+function getReadjustmentOptions() {
+    const parseOptional = (id) => {
+        const value = document.getElementById(id).value;
+        return value === '' ? null : parseLocaleNumber(value);
+    };
+
+    return {
+        cap: parseOptional('contractCap'),
+        floor: parseOptional('contractFloor'),
+        ignoreNegative: document.getElementById('contractIgnoreNegative').checked
+    };
+}
+
+/**
+ * Month/year of a reference month, e.g. "03/2024"
+ */
+function formatReferenceMonth(date) {
+    return `${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+/**
+ * Render the readjustment summary and the table of periods
+ */
+function displayReadjustment(result, contractValue) {
+    const adjustmentLabel = (adjustment) => adjustment ? t(`readjustment.adjustment.${adjustment}`) : '';
+
+    document.getElementById('readjustmentInitialValue').textContent = formatCurrency(contractValue);
+    document.getElementById('readjustmentFinalValue').textContent = formatCurrency(result.finalValue);
+    document.getElementById('readjustmentTotalRate').textContent = formatPercentage(result.totalRate);
+
+    document.querySelector('#readjustmentTable tbody').innerHTML = result.periods.map(period => `
+        <tr class="${period.isProjection ? 'projection' : ''}">
+            <th scope="row">${period.period === 0 ? t('readjustment.initial') : t('readjustment.ordinal', { period: period.period })}</th>
+            <td>${formatShortDate(period.date)}</td>
+            <td>${period.referenceStart ? t('common.range', {
+                start: formatReferenceMonth(period.referenceStart), end: formatReferenceMonth(period.referenceEnd)
+            }) : '-'}</td>
+            <td>${period.accumulatedRate === null ? '-' : formatPercentage(period.accumulatedRate)}</td>
+            <td>${period.appliedRate === null ? '-' : formatPercentage(period.appliedRate) + adjustmentLabel(period.adjustment)}</td>
+            <td>${formatCurrency(period.value)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('readjustmentNote').textContent =
+        t(result.isProjection ? 'readjustment.noteProjection' : 'readjustment.note', { index: result.indexLabel });
+
+    const card = document.getElementById('readjustmentCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Hide the readjustment card (investment calculations)
+ */
+function hideReadjustment() {
+    document.getElementById('readjustmentCard').style.display = 'none';
+}
+
+/**
+ * Stepped chart of the contract value, which only changes on anniversaries
+ */
+function updateReadjustmentChart(result) {
+    setChartAnalysisVisible(false);
+    const ctx = document.getElementById('investmentChart');
+
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    const { periods } = result;
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: periods.map(period => formatShortDate(period.date)),
+            datasets: [{
+                label: t('chart.contractValue', { index: result.indexLabel }),
+                data: periods.map(period => period.value),
+                borderColor: '#4facfe',
+                backgroundColor: 'rgba(79, 172, 254, 0.15)',
+                borderWidth: 3,
+                fill: true,
+                stepped: true,
+                pointRadius: 4,
+                pointHoverRadius: 6,
+                segment: {
+                    borderDash: (ctx) => periods[ctx.p1DataIndex]?.isProjection ? [5, 5] : undefined
+                }
+            }]
+        },
+        options: buildChartOptions({
+            title: (context) => {
+                const period = periods[context[0].dataIndex];
+                return t('chart.effectiveFrom', { date: formatShortDate(period.date) }) +
+                    (period.isProjection ? t('chart.projectionSuffix') : '');
+            },
+            afterBody: (context) => {
+                const period = periods[context[0].dataIndex];
+                return period.appliedRate === null ? '' : t('chart.readjustment', { rate: formatPercentage(period.appliedRate) });
+            }
+        })
+    });
+
+    document.getElementById('chartCard').style.display = 'block';
+}
+
+/**
+ * Readjust the contract over the period of the form and show the table and chart
+ */
+async function handleReadjustmentCalculation() {
+    hideError();
+
+    const contractValue = parseLocaleNumber(document.getElementById('contractValue').value);
+    const startDate = document.getElementById('startDate').value;
+    const endDate = document.getElementById('endDate').value;
+    const indexId = document.getElementById('contractIndex').value;
+    const options = getReadjustmentOptions();
+    const projection = getProjectionOptions(indexId);
+
+    try {
+        validateReadjustment(contractValue, startDate, endDate, indexId, options);
+        validateProjection(projection);
+
+        setLoadingState(true);
+        const result = await calculateContractReadjustment(contractValue, startDate, endDate, indexId, options, projection);
+
+        document.getElementById('resultsCard').style.display = 'none';
+        document.getElementById('breakdownCard').style.display = 'none';
+        hideComparison();
+        hidePortfolio();
+        hideLoan();
+        hideStatement();
+        displayReadjustment(result, contractValue);
+        lastChartRender = () => updateReadjustmentChart(result);
+        lastChartRender();
+        lastCalculation = handleReadjustmentCalculation;
+
+        showStaleDataNotice(result.staleDates, 'readjustmentCard');
+    } catch (error) {
+        console.error('Erro no cálculo do reajuste:', error);
+        showError(error);
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+// ===================================
+// Financing
+// ===================================
+
+/**
+ * Add an extra amortization row (date and amount) to the financing form
+ */
+function addLoanExtraRow(entry = {}) {
+    const list = document.getElementById('loanExtraList');
+    const row = document.createElement('div');
+    row.className = 'loan-extra-row';
+    row.innerHTML = `
+        <input type="date" class="form-input loan-extra-date" data-i18n-aria-label="loanExtra.date">
+        <input type="text" inputmode="decimal" class="form-input loan-extra-amount" data-decimal-placeholder="10000.00"
+            data-i18n-aria-label="loanExtra.amount">
+        <button type="button" class="btn btn-icon" data-i18n-aria-label="loanExtra.remove">✕</button>
+    `;
+    translatePage(row);
+
+    row.querySelector('.loan-extra-date').value = entry.date || '';
+    row.querySelector('.loan-extra-amount').value = entry.amount ? formatDecimalInput(entry.amount) : '';
+    row.querySelector('.btn-icon').addEventListener('click', () => row.remove());
+
+    list.appendChild(row);
+}
+
+/**
+ * Read the extra amortizations from the form
+ */
+function getLoanExtraAmortizations() {
+    return [...document.querySelectorAll('#loanExtraList .loan-extra-row')].map(row => ({
+        date: row.querySelector('.loan-extra-date').value,
+        amount: parseLocaleNumber(row.querySelector('.loan-extra-amount').value)
+    }));
+}
+
+/**
+ * Render the financing totals and the full schedule (totals in the last row)
+ */
+function displayLoan(loan) {
+    const { rows, totals } = loan;
+
+    document.getElementById('loanTitle').textContent = t('loan.title', { system: loan.systemLabel, index: loan.indexLabel });
+    document.getElementById('loanPrincipal').textContent = formatCurrency(loan.principal);
+    document.getElementById('loanTotalPaid').textContent = formatCurrency(totals.totalPaid);
+    document.getElementById('loanTotalInterest').textContent = formatCurrency(totals.interest);
+    document.getElementById('loanTotalCorrection').textContent = formatCurrency(totals.correction);
+    document.getElementById('loanFirstInstallment').textContent = formatCurrency(rows[0].installment);
+    document.getElementById('loanLastInstallment').textContent = formatCurrency(rows[rows.length - 1].installment);
+
+    const body = rows.map(row => `
+        <tr class="${row.isProjection ? 'projection' : ''}">
+            <th scope="row">${row.number}</th>
+            <td>${formatShortDate(parseAPIDate(row.dateString))}</td>
+            <td>${formatPercentage(row.indexRate)}</td>
+            <td>${formatCurrency(row.correction)}</td>
+            <td>${formatCurrency(row.interest)}</td>
+            <td>${formatCurrency(row.amortization)}</td>
+            <td>${row.extraAmortization > 0 ? formatCurrency(row.extraAmortization) : '-'}</td>
+            <td>${formatCurrency(row.installment)}</td>
+            <td>${formatCurrency(row.balance)}</td>
+        </tr>
+    `).join('');
+    const totalRow = `
+        <tr class="subtotal">
+            <th scope="row" colspan="3">${t('common.total')}</th>
+            <td>${formatCurrency(totals.correction)}</td>
+            <td>${formatCurrency(totals.interest)}</td>
+            <td>${formatCurrency(totals.amortization)}</td>
+            <td>${formatCurrency(totals.extraAmortization)}</td>
+            <td>${formatCurrency(totals.installments)}</td>
+            <td>-</td>
+        </tr>
+    `;
+    document.querySelector('#loanTable tbody').innerHTML = body + totalRow;
+
+    const notes = [];
+    if (rows.length < loan.termMonths) {
+        notes.push(t('loan.paidOff', { count: rows.length }));
+    }
+    if (loan.isProjection) {
+        notes.push(t('loan.projectionNote'));
+    }
+    document.getElementById('loanNote').textContent = notes.join(' ');
+
+    const card = document.getElementById('loanCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Hide the financing card (other calculations)
+ */
+function hideLoan() {
+    document.getElementById('loanCard').style.display = 'none';
+}
+
+/**
+ * Outstanding balance vs cumulative amount paid, month by month
+ */
+function updateLoanChart(loan) {
+    setChartAnalysisVisible(false);
+    const ctx = document.getElementById('investmentChart');
+
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    const rows = [{ dateString: formatDateForAPI(parseInputDate(loan.startDate)), balance: loan.principal, totalPaid: 0, isProjection: false },
+        ...loan.rows];
+    const projectionDash = (ctx) => rows[ctx.p1DataIndex].isProjection ? [5, 5] : undefined;
+
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: rows.map(row => formatShortDate(parseAPIDate(row.dateString))),
+            datasets: [
+                {
+                    label: t('chart.outstandingBalance'),
+                    data: rows.map(row => row.balance),
+                    borderColor: '#f5576c',
+                    backgroundColor: 'rgba(245, 87, 108, 0.1)',
+                    borderWidth: 3,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    segment: { borderDash: projectionDash }
+                },
+                {
+                    label: t('chart.totalPaid'),
+                    data: rows.map(row => row.totalPaid),
+                    borderColor: '#43e97b',
+                    backgroundColor: 'rgba(67, 233, 123, 0.1)',
+                    borderWidth: 3,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    segment: { borderDash: projectionDash }
+                }
+            ]
+        },
+        options: buildChartOptions({
+            title: (context) => {
+                const row = rows[context[0].dataIndex];
+                const prefix = row.number ? t('chart.installment', { number: row.number }) : t('chart.contract');
+                return prefix + formatShortDate(parseAPIDate(row.dateString)) + (row.isProjection ? t('chart.projectionSuffix') : '');
+            }
+        })
+    });
+
+    document.getElementById('chartCard').style.display = 'block';
+}
+
+/**
+ * Build the financing schedule from the form and show the table and chart
+ */
+async function handleLoanCalculation() {
+    hideError();
+
+    const principal = parseLocaleNumber(document.getElementById('loanAmount').value);
+    const startDate = document.getElementById('startDate').value;
+    const termMonths = Number(document.getElementById('loanTerm').value);
+    const indexId = document.getElementById('loanIndex').value;
+    const annualRate = parseLocaleNumber(document.getElementById('loanRate').value) || 0;
+    const system = document.getElementById('loanSystem').value;
+    const extraAmortizations = getLoanExtraAmortizations();
+    const projection = getProjectionOptions(indexId);
+
+    try {
+        validateLoan(principal, startDate, termMonths, indexId, annualRate, system, extraAmortizations);
+        validateProjection(projection);
+
+        setLoadingState(true);
+        const loan = await calculateLoan(principal, startDate, termMonths, indexId, annualRate, system,
+            extraAmortizations, projection);
+        const loanView = { ...loan, startDate, termMonths };
+
+        document.getElementById('resultsCard').style.display = 'none';
+        document.getElementById('breakdownCard').style.display = 'none';
+        hideComparison();
+        hidePortfolio();
+        hideReadjustment();
+        hideStatement();
+        displayLoan(loanView);
+        lastChartRender = () => updateLoanChart(loanView);
+        lastChartRender();
+        lastCalculation = handleLoanCalculation;
+
+        showStaleDataNotice(loan.staleDates, 'loanCard');
+    } catch (error) {
+        console.error('Erro no cálculo do financiamento:', error);
+        showError(error);
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+// ===================================
+// Transaction Statement
+// ===================================
+
+/**
+ * Load the chosen CSV file into the statement text area
+ */
+async function handleStatementFile(event) {
+    const [file] = event.target.files;
+    if (!file) return;
+
+    try {
+        document.getElementById('statementText').value = await file.text();
+    } catch (error) {
+        showError(t('error.statement.unreadableFile', { name: file.name }));
+    }
+}
+
+/**
+ * Implied return of a statement, e.g. "IPCA + 5,20% a.a." or "CDI − 1,10% a.a."
+ */
+function formatImpliedSpread(analysis) {
+    const sign = analysis.impliedSpread < 0 ? '−' : '+';
+    return t('statement.impliedSpread', { index: analysis.indexLabel, sign, rate: formatPercentage(Math.abs(analysis.impliedSpread)) });
+}
+
+/**
+ * Render the returns of the statement, its implied spread and the list of flows
+ */
+function displayStatement(analysis) {
+    const { twr } = analysis;
+
+    document.getElementById('statementBought').textContent = formatCurrency(analysis.totalBought);
+    document.getElementById('statementSold').textContent = formatCurrency(analysis.totalSold);
+    document.getElementById('statementFinalLabel').textContent = t('statement.finalValueOn', { date: formatShortDate(analysis.finalDate) });
+    document.getElementById('statementFinalValue').textContent = formatCurrency(analysis.finalValue);
+    document.getElementById('statementXIRR').textContent = t('rate.perYear', { rate: formatPercentage(analysis.xirr) });
+    document.getElementById('statementTWR').textContent = twr.total === null
+        ? t('statement.unavailable')
+        : t('statement.twr', { total: formatPercentage(twr.total), annualized: formatPercentage(twr.annualized) });
+    document.getElementById('statementImplied').textContent = formatImpliedSpread(analysis);
+    document.getElementById('statementIndexOnlyLabel').textContent = t('statement.indexOnly', { index: analysis.indexLabel });
+    document.getElementById('statementIndexOnly').textContent =
+        formatCurrency(analysis.indexOnly.evolution[analysis.indexOnly.evolution.length - 1].valueCombined);
+
+    const rows = analysis.transactions.map(transaction => `
+        <tr>
+            <td>${formatShortDate(transaction.date)}</td>
+            <td>${t(`statement.${transaction.type}`)}</td>
+            <td>${formatCurrency(transaction.amount)}</td>
+        </tr>
+    `).join('');
+    document.querySelector('#statementTable tbody').innerHTML = rows + `
+        <tr class="subtotal">
+            <td>${formatShortDate(analysis.finalDate)}</td>
+            <td>${t('statement.finalValue')}</td>
+            <td>${formatCurrency(analysis.finalValue)}</td>
+        </tr>
+    `;
+
+    const notes = [t('statement.impliedNote', { index: analysis.indexLabel })];
+    if (twr.total === null) {
+        notes.push(t('statement.twrUnavailable'));
+    } else if (twr.method === 'dietz') {
+        notes.push(t('statement.twrDietz'));
+    }
+    if (analysis.isProjection) {
+        notes.push(t('statement.projectionNote'));
+    }
+    document.getElementById('statementNote').textContent = notes.join(' ');
+
+    const card = document.getElementById('statementCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Hide the statement card (other calculations)
+ */
+function hideStatement() {
+    document.getElementById('statementCard').style.display = 'none';
+}
+
+/**
+ * Benchmark at the implied spread against the index alone, with the statement's flows
+ */
+function updateStatementChart(analysis) {
+    setChartAnalysisVisible(false);
+    const ctx = document.getElementById('investmentChart');
+
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    const { evolution } = analysis.benchmark;
+    const indexOnlyValues = analysis.indexOnly.evolution.map(point => point.valueCombined);
+    const projectionDash = (ctx) => evolution[ctx.p1DataIndex].isProjection ? [5, 5] : undefined;
+
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: evolution.map(point => formatShortDate(point.date)),
+            datasets: [
+                {
+                    label: t('chart.impliedReturn', { label: formatImpliedSpread(analysis) }),
+                    data: evolution.map(point => point.valueCombined),
+                    borderColor: '#43e97b',
+                    backgroundColor: 'rgba(67, 233, 123, 0.1)',
+                    borderWidth: 3,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    segment: { borderDash: projectionDash }
+                },
+                {
+                    label: t('chart.indexOnly', { index: analysis.indexLabel }),
+                    data: indexOnlyValues,
+                    borderColor: '#4facfe',
+                    backgroundColor: 'rgba(79, 172, 254, 0.1)',
+                    borderWidth: 3,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    segment: { borderDash: projectionDash }
+                }
+            ]
+        },
+        options: buildChartOptions({
+            afterBody: (context) => {
+                const flow = evolution[context[0].dataIndex].cashFlow;
+                if (!flow) return '';
+                return t(flow > 0 ? 'chart.monthBuy' : 'chart.monthSell', { amount: formatCurrency(Math.abs(flow)) });
+            }
+        })
+    });
+
+    document.getElementById('chartCard').style.display = 'block';
+}
+
+/**
+ * Analyze the pasted/imported statement against the chosen index
+ */
+async function handleStatementCalculation() {
+    hideError();
+
+    const text = document.getElementById('statementText').value;
+    const indexId = document.getElementById('statementIndex').value;
+    const projection = getProjectionOptions(indexId);
+
+    try {
+        if (!text.trim()) {
+            throw new Error(t('error.statement.empty'));
+        }
+        const statement = parseStatementCSV(text);
+        buildStatementFlows(statement);
+        validateProjection(projection);
+
+        setLoadingState(true);
+        const analysis = await analyzeStatement(statement, indexId, projection);
+
+        document.getElementById('resultsCard').style.display = 'none';
+        document.getElementById('breakdownCard').style.display = 'none';
+        hideComparison();
+        hidePortfolio();
+        hideReadjustment();
+        hideLoan();
+        displayStatement(analysis);
+        lastChartRender = () => updateStatementChart(analysis);
+        lastChartRender();
+        lastCalculation = handleStatementCalculation;
+
+        showStaleDataNotice(analysis.staleDates, 'statementCard');
+    } catch (error) {
+        console.error('Erro na análise do extrato:', error);
+        showError(error);
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+// ===================================
+// Projection Options
+// ===================================
+
+/**
+ * Add a year/rate row to the projection table
+ */
+function addProjectionTableRow(row = {}) {
+    const list = document.getElementById('projectionTableList');
+    const element = document.createElement('div');
+    element.className = 'projection-table-row';
+    element.innerHTML = `
+        <input type="number" class="form-input projection-year" placeholder="${new Date().getFullYear() + list.children.length}"
+            step="1" min="1980" data-i18n-aria-label="projectionTable.year">
+        <input type="text" inputmode="decimal" class="form-input projection-rate" data-decimal-placeholder="4.50"
+            data-i18n-aria-label="projectionTable.rate">
+        <button type="button" class="btn btn-icon" data-i18n-aria-label="projectionTable.remove">✕</button>
+    `;
+    translatePage(element);
+
+    element.querySelector('.projection-year').value = row.year || '';
+    element.querySelector('.projection-rate').value = row.rate !== undefined ? formatDecimalInput(row.rate) : '';
+    element.querySelector('.btn-icon').addEventListener('click', () => element.remove());
+
+    list.appendChild(element);
+}
+
+/**
+ * Read the projection model from the form
+ */
+function getProjectionOptions(indexId) {
+    const table = [...document.querySelectorAll('#projectionTableList .projection-table-row')].map(row => ({
+        year: parseInt(row.querySelector('.projection-year').value, 10),
+        rate: parseLocaleNumber(row.querySelector('.projection-rate').value)
+    }));
+
+    return {
+        model: document.getElementById('projectionModel').value,
+        months: parseInt(document.getElementById('projectionMonths').value, 10),
+        annualRate: parseLocaleNumber(document.getElementById('expectedAnnualRate').value),
+        table,
+        indexId
+    };
+}
+
+/**
+ * Show only the inputs of the selected projection model
+ */
+function updateProjectionFields() {
+    const model = document.getElementById('projectionModel').value;
+    document.getElementById('projectionMonthsGroup').style.display = model === 'geometric' || model === 'montecarlo' ? 'flex' : 'none';
+    document.getElementById('monteCarloGroup').style.display = model === 'montecarlo' ? 'block' : 'none';
+    document.getElementById('expectedRateGroup').style.display = model === 'expected' ? 'flex' : 'none';
+    document.getElementById('projectionTableGroup').style.display = model === 'table' ? 'flex' : 'none';
+}
+
+// ===================================
+// Monthly Breakdown and Export
+// ===================================
+
+/**
+ * Trigger a browser download of generated content
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Export the breakdown as an .xlsx workbook with numeric cells (SheetJS)
+ */
+function exportBreakdownXLSX(rows, seriesLabel) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error(t('error.xlsxUnavailable'));
+    }
+
+    const data = [getBreakdownHeaders(seriesLabel), ...rows.map(row => [
+        row.label,
+        row.indexRate / 100,
+        row.fixedRate / 100,
+        row.valueSeries,
+        row.valueCombined,
+        t(row.isProjection ? 'common.yes' : 'common.no')
+    ])];
+
+    const sheet = XLSX.utils.aoa_to_sheet(data);
+    // Percent and currency formats for the numeric columns
+    for (let r = 1; r < data.length; r++) {
+        ['B', 'C'].forEach(column => { sheet[`${column}${r + 1}`].z = '0.0000%'; });
+        ['D', 'E'].forEach(column => { sheet[`${column}${r + 1}`].z = '#,##0.00'; });
+    }
+    sheet['!cols'] = [{ wch: 14 }, { wch: 16 }, { wch: 14 }, { wch: 22 }, { wch: 22 }, { wch: 10 }];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, t('export.sheetName'));
+    XLSX.writeFile(workbook, `${t('export.fileName')}.xlsx`);
+}
+
+/**
+ * Render the month-by-month table under the chart
+ */
+function displayBreakdown(evolution, seriesLabel) {
+    const rows = buildBreakdownRows(evolution);
+    const table = document.getElementById('breakdownTable');
+
+    table.querySelector('thead').innerHTML = `<tr>${getBreakdownHeaders(seriesLabel)
+        .map(header => `<th scope="col">${header}</th>`).join('')}</tr>`;
+
+    table.querySelector('tbody').innerHTML = rows.map(row => `
+        <tr class="${row.type === 'year' ? 'subtotal' : ''}${row.isProjection ? ' projection' : ''}">
+            <th scope="row">${row.label}</th>
+            <td>${formatPercentage(row.indexRate)}</td>
+            <td>${formatPercentage(row.fixedRate)}</td>
+            <td>${formatCurrency(row.valueSeries)}</td>
+            <td>${formatCurrency(row.valueCombined)}</td>
+            <td>${t(row.isProjection ? 'common.yes' : 'common.no')}</td>
+        </tr>
+    `).join('');
+
+    lastBreakdown = { rows, seriesLabel };
+    document.getElementById('breakdownCard').style.display = 'block';
+}
+
+// ===================================
+// Goal Solver
+// ===================================
+
+/**
+ * Read the solver inputs from the form
+ */
+function getSolverOptions() {
+    return {
+        target: parseLocaleNumber(document.getElementById('solverTarget').value),
+        unknown: document.getElementById('solverUnknown').value,
+        horizonYears: parseInt(document.getElementById('solverHorizon').value, 10)
+    };
+}
+
+/**
+ * Show the horizon input only when solving for the end date
+ */
+function updateSolverFields() {
+    const isDateUnknown = document.getElementById('solverUnknown').value === 'endDate';
+    document.getElementById('solverHorizonGroup').style.display = isDateUnknown ? 'flex' : 'none';
+}
+
+/**
+ * Solve the goal, write the answer into the form and run the calculation with it
+ */
+async function handleSolveGoal() {
+    hideError();
+    const resultBox = document.getElementById('solverResult');
+    resultBox.style.display = 'none';
+
+    const params = getCalculationParams();
+    const scenarioInput = getMainScenarioInput();
+    const solver = getSolverOptions();
+    const isPercentageScenario = scenarioInput.scenarioType.endsWith('_pct');
+
+    try {
+        if (!(solver.target > 0)) {
+            throw new Error(t('error.solver.target'));
+        }
+        if (solver.unknown === 'endDate' && !(solver.horizonYears >= 1 && solver.horizonYears <= 100)) {
+            throw new Error(t('error.solver.horizon'));
+        }
+
+        // The unknown input may be empty: validate the others with a placeholder
+        // (the search horizon stands in for the end date)
+        const amount = solver.unknown === 'amount' ? 1 : params.amount;
+        let endDate = params.endDate;
+        if (solver.unknown === 'endDate' && params.startDate) {
+            const start = parseInputDate(params.startDate);
+            endDate = formatInputDate(new Date(start.getFullYear() + solver.horizonYears, start.getMonth(), start.getDate()));
+        }
+        const percentage = isPercentageScenario ? (solver.unknown === 'rate' ? 100 : scenarioInput.rate) : null;
+        validateProjection(params.projection);
+        validateForm(amount, params.startDate, endDate, params.schedule, params.taxOptions, scenarioInput.scenarioType, percentage);
+        if (scenarioInput.scenarioType === 'ntnb') {
+            validateNTNB(params.ntnb, params.startDate, endDate, params.schedule, params.taxOptions);
+        }
+
+        setLoadingState(true);
+        const solution = await solveGoal(scenarioInput, { ...params, amount }, solver.target, solver.unknown, solver.horizonYears);
+
+        let answer;
+        if (solution.unknown === 'amount') {
+            document.getElementById('investmentAmount').value = formatDecimalInput(solution.value, 2);
+            answer = t('solver.amount', { value: formatCurrency(solution.value) });
+        } else if (solution.unknown === 'rate') {
+            document.getElementById(isPercentageScenario ? 'indexPercentage' : 'fixedRate').value = formatDecimalInput(solution.value, 4);
+            answer = t(isPercentageScenario ? 'solver.percentage' : 'solver.rate', { value: formatPercentage(solution.value) });
+        } else {
+            document.getElementById('endDate').value = solution.value;
+            answer = t('solver.date', { value: formatDateForDisplay(solution.value) });
+        }
+
+        resultBox.innerHTML = t('solver.result', {
+            answer, finalValue: formatCurrency(solution.finalValue), target: formatCurrency(solver.target)
+        });
+        resultBox.style.display = 'block';
+    } catch (error) {
+        console.error('Erro ao resolver a meta:', error);
+        showError(error);
+        setLoadingState(false);
+        return;
+    }
+
+    setLoadingState(false);
+    syncPermalink();
+    await handleCalculation({ preventDefault() {} });
+}
+
+// ===================================
+// Main Application Logic
+// ===================================
+
+/**
+ * Read the main scenario from the form
+ * The rate is the fixed spread (% a.a.) or, for percentage scenarios, the % of the index
+ */
+function getMainScenarioInput() {
+    const scenarioType = document.getElementById('scenarioType').value;
+    const isPercentageScenario = scenarioType.endsWith('_pct');
+    const rate = isPercentageScenario
+        ? parseLocaleNumber(document.getElementById('indexPercentage').value)
+        : parseLocaleNumber(document.getElementById('fixedRate').value) || 0;
+
+    return { scenarioType, rate, label: '' };
+}
+
+/**
+ * Read the parameters shared by every scenario from the form
+ * Expected rates and rate tables describe the main scenario's index.
+ */
+function getCalculationParams() {
+    const mainScenario = getMainScenarioInput();
+
+    return {
+        amount: parseLocaleNumber(document.getElementById('investmentAmount').value),
+        startDate: document.getElementById('startDate').value,
+        endDate: document.getElementById('endDate').value,
+        rateConvention: document.getElementById('rateConvention').value,
+        proRataMode: document.getElementById('proRataMode').value,
+        schedule: getCashFlowSchedule(),
+        taxOptions: getTaxOptions(),
+        ntnb: getNTNBOptions(),
+        projection: getProjectionOptions(getScenario(mainScenario.scenarioType, mainScenario.rate).indexId),
+        monteCarlo: getMonteCarloOptions()
+    };
+}
+
+/**
+ * Handle form submission
+ */
+async function handleCalculation(event) {
+    event.preventDefault();
+
+    // Hide previous errors
+    hideError();
+
+    // Get form values
+    const params = getCalculationParams();
+    const scenarioInputs = [getMainScenarioInput(), ...getComparisonScenarioInputs()];
+
+    try {
+        // Validate inputs before fetching anything
+        validateProjection(params.projection, params.monteCarlo);
+        scenarioInputs.forEach(input => validateForm(params.amount, params.startDate, params.endDate,
+            params.schedule, params.taxOptions, input.scenarioType, input.scenarioType.endsWith('_pct') ? input.rate : null));
+        if (scenarioInputs.some(input => input.scenarioType === 'ntnb')) {
+            validateNTNB(params.ntnb, params.startDate, params.endDate, params.schedule, params.taxOptions);
+        }
+
+        // Show loading state
+        setLoadingState(true);
+
+        // Only the main scenario is simulated (its bands are drawn on the single-scenario chart)
+        const results = [];
+        for (const [index, input] of scenarioInputs.entries()) {
+            results.push(await calculateScenario(input, index === 0 ? params : { ...params, monteCarlo: null }));
+        }
+
+        const main = results[0];
+        hidePortfolio();
+        hideReadjustment();
+        hideLoan();
+        hideStatement();
+        displayResults(params.amount, main.finalValue, main.totalVariation, params.startDate, params.endDate, main.fixedRate,
+            main.seriesLabel, main.isProjection, main.projectionInfo, main.cashFlowSummary, main.taxSummary, params.rateConvention,
+            main.realSummary, main.officialCorrection);
+        displayMonteCarlo(main.monteCarlo);
+        displayNTNB(main.ntnb || null);
+
+        if (results.length > 1) {
+            const comparison = compareScenarios(results, params.startDate, params.endDate);
+            displayComparison(comparison);
+            lastChartRender = () => updateComparisonChart(comparison);
+        } else {
+            hideComparison();
+            resetChartRange(main.evolution.length);
+            lastChartRender = () => updateChart(main.evolution, params.amount, main.fixedRate, main.seriesLabel, main.monteCarlo);
+        }
+        lastChartRender();
+        displayBreakdown(main.evolution, main.seriesLabel);
+        lastCalculation = () => handleCalculation({ preventDefault() {} });
+
+        showStaleDataNotice(results.flatMap(result => result.staleDates));
+        recordSimulation();
+
+    } catch (error) {
+        console.error('Erro no cálculo:', error);
+        showError(error);
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+/**
+ * Shared Chart.js options (dark theme, currency axis and tooltips)
+ * Extra tooltip callbacks (title, afterBody...) are merged over the currency label
+ */
+function buildChartOptions(tooltipCallbacks = {}) {
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            intersect: false,
+            mode: 'index',
+        },
+        plugins: {
+            legend: {
+                position: 'top',
+                labels: {
+                    color: '#a0aec0',
+                    font: {
+                        family: "'Inter', sans-serif"
+                    }
+                }
+            },
+            tooltip: {
+                backgroundColor: 'rgba(21, 25, 50, 0.9)',
+                titleColor: '#fff',
+                bodyColor: '#a0aec0',
+                borderColor: 'rgba(255, 255, 255, 0.1)',
+                borderWidth: 1,
+                padding: 10,
+                callbacks: {
+                    label: function (context) {
+                        let label = context.dataset.label || '';
+                        if (label) {
+                            label += ': ';
+                        }
+                        if (context.parsed.y !== null) {
+                            label += formatCurrency(context.parsed.y);
+                        }
+                        return label;
+                    },
+                    ...tooltipCallbacks
+                }
+            }
+        },
+        scales: {
+            x: {
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.1)'
+                },
+                ticks: {
+                    color: '#718096'
+                }
+            },
+            y: {
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.1)'
+                },
+                ticks: {
+                    color: '#718096',
+                    callback: function (value) {
+                        return formatCurrency(value, 0);
+                    }
+                }
+            }
+        }
+    };
+}
+
+// ===================================
+// Chart Views
+// ===================================
+
+/**
+ * View chosen in the chart controls; start/end are point indexes of the visible range
+ */
+function getChartViewOptions() {
+    const start = parseInt(document.getElementById('rangeStart').value, 10) || 0;
+    const end = parseInt(document.getElementById('rangeEnd').value, 10) || 0;
+    const mode = document.getElementById('chartView').value;
+
+    // Log scale and rebasing only apply to the monthly values
+    document.getElementById('logScaleToggle').disabled = mode !== 'monthly';
+    document.getElementById('rebaseToggle').disabled = mode !== 'monthly';
+
+    return {
+        mode,
+        logScale: mode === 'monthly' && document.getElementById('logScaleToggle').checked,
+        rebase: mode === 'monthly' && document.getElementById('rebaseToggle').checked,
+        start: Math.min(start, end),
+        end: Math.max(start, end)
+    };
+}
+
+/**
+ * Size the range sliders for a new evolution and select the whole period
+ */
+function resetChartRange(pointCount) {
+    const rangeStart = document.getElementById('rangeStart');
+    const rangeEnd = document.getElementById('rangeEnd');
+    rangeStart.max = rangeEnd.max = String(Math.max(pointCount - 1, 0));
+    rangeStart.value = '0';
+    rangeEnd.value = rangeEnd.max;
+}
+
+/**
+ * The view controls, range sliders and data table belong to the single-scenario chart
+ */
+function setChartAnalysisVisible(isVisible) {
+    ['chartAnalysisControls', 'chartRangeControls', 'chartDataDetails'].forEach(id => {
+        document.getElementById(id).style.display = isVisible ? '' : 'none';
+    });
+    if (!isVisible) {
+        document.getElementById('investmentChart').setAttribute('aria-label', t('chart.ariaDefault'));
+    }
+}
+
+/**
+ * Rebased performance points (base 100)
+ */
+function formatIndexPoints(value) {
+    return formatNumber(value, 2);
+}
+
+/**
+ * Period, returns and balances of the visible range
+ */
+function displayRangeSummary(summary, seriesLabel) {
+    const period = t('common.range', { start: formatReferenceMonth(summary.startDate), end: formatReferenceMonth(summary.endDate) });
+    const months = t('range.months', {
+        count: summary.months,
+        months: formatNumber(summary.months, Number.isInteger(summary.months) ? 0 : 1)
+    });
+    const parts = [
+        `${period} (${months})`,
+        t('range.return', { total: formatPercentage(summary.totalReturn), annualized: formatPercentage(summary.annualizedReturn) })
+    ];
+    if (seriesLabel) {
+        parts.push(`${seriesLabel}: ${formatPercentage(summary.indexVariation)}`);
+    }
+    parts.push(t('range.balance', { start: formatCurrency(summary.startValue), end: formatCurrency(summary.endValue) }));
+    if (summary.netFlows !== 0) {
+        parts.push(t(summary.netFlows > 0 ? 'range.contributions' : 'range.withdrawals', { amount: formatCurrency(Math.abs(summary.netFlows)) }));
+    }
+
+    document.getElementById('rangeSummary').textContent =
+        parts.join(' · ') + (summary.isProjection ? t('range.includesProjection') : '');
+}
+
+/**
+ * Fill the table that mirrors the chart (read by screen readers and for exact values)
+ * Also describes the canvas with the same caption.
+ */
+function renderChartDataTable(caption, labels, datasets, formatValue) {
+    const table = document.getElementById('chartDataTable');
+    table.querySelector('caption').textContent = caption;
+
+    const headerRow = document.createElement('tr');
+    [t('chart.periodColumn'), ...datasets.map(dataset => dataset.label)].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    table.querySelector('thead').replaceChildren(headerRow);
+
+    const rows = labels.map((label, index) => {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = label;
+        row.appendChild(th);
+        datasets.forEach(dataset => {
+            const td = document.createElement('td');
+            const value = dataset.data[index];
+            td.textContent = value === null || value === undefined ? '—' : formatValue(value);
+            row.appendChild(td);
+        });
+        return row;
+    });
+    table.querySelector('tbody').replaceChildren(...rows);
+
+    document.getElementById('investmentChart').setAttribute('aria-label',
+        t('chart.ariaSummary', { caption, count: labels.length }));
+}
+
+/**
+ * Index and combined rates per period (yearly bars or rolling 12-month lines), in %
+ * Projected periods are lighter (bars) or dashed (lines); partial years are marked with *.
+ */
+function updateReturnsChart(entries, fixedRate, seriesLabel, type, caption) {
+    const ctx = document.getElementById('investmentChart');
+
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    const labels = entries.map(entry => entry.label);
+    const seriesStyle = (color, projectedColor) => type === 'bar'
+        ? { backgroundColor: entries.map(entry => entry.isProjection ? projectedColor : color), borderRadius: 4 }
+        : {
+            borderColor: color,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.3,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            spanGaps: false,
+            segment: {
+                borderDash: (ctx) => entries[ctx.p1DataIndex]?.isProjection ? [5, 5] : undefined
+            }
+        };
+
+    const datasets = [{
+        label: seriesLabel || t('chart.rate'),
+        data: entries.map(entry => entry.indexRate),
+        ...seriesStyle('#43e97b', 'rgba(67, 233, 123, 0.4)')
+    }];
+    if (fixedRate > 0 && seriesLabel) {
+        datasets.push({
+            label: t('scenario.indexPlusRate', { index: seriesLabel, rate: t('rate.perYear', { rate: formatPercentage(fixedRate) }) }),
+            data: entries.map(entry => entry.combinedRate),
+            ...seriesStyle('#4facfe', 'rgba(79, 172, 254, 0.4)')
+        });
+    }
+
+    const options = buildChartOptions({
+        title: (context) => {
+            const entry = entries[context[0].dataIndex];
+            let title = entry.label.replace('*', '');
+            if (entry.isPartial) title += t('chart.partialYear');
+            if (entry.isProjection) title += t('range.includesProjection');
+            return title;
+        },
+        label: (context) => context.parsed.y === null
+            ? `${context.dataset.label}: —`
+            : `${context.dataset.label}: ${formatPercentage(context.parsed.y)}`
+    });
+    options.scales.y.ticks.callback = (value) => `${formatNumber(value, 0, 1)}%`;
+
+    chartInstance = new Chart(ctx, {
+        type,
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: options
+    });
+
+    renderChartDataTable(`${caption} (%)`, labels, datasets, formatPercentage);
+}
+
+/**
+ * Create or update chart with dual lines showing Series and fixed rate contributions
+ */
+function updateChart(evolution, initialValue, fixedRate, seriesLabel, monteCarlo = null) {
+    setChartAnalysisVisible(true);
+    const view = getChartViewOptions();
+    const visible = evolution.slice(view.start, view.end + 1);
+    displayRangeSummary(summarizeRange(evolution, initialValue, view.start, view.end), seriesLabel);
+
+    if (view.mode === 'yearly') {
+        updateReturnsChart(buildYearlyReturns(visible).map(entry => ({
+            ...entry,
+            label: String(entry.year) + (entry.isPartial ? '*' : '')
+        })), fixedRate, seriesLabel, 'bar', t('chart.yearlyCaption'));
+    } else if (view.mode === 'rolling') {
+        const rolling = buildRollingReturns(evolution).slice(view.start, view.end + 1);
+        updateReturnsChart(rolling.map(entry => ({ ...entry, label: formatShortDate(parseAPIDate(entry.dateString)) })),
+            fixedRate, seriesLabel, 'line', t('chart.rollingCaption'));
+    } else {
+        // Bands are only drawn when the visible range reaches the projection
+        const bands = monteCarlo && visible.some(point => point.isProjection)
+            ? { ...monteCarlo, bands: monteCarlo.bands.slice(view.start, view.end + 1) }
+            : null;
+        updateMonthlyChart(visible, fixedRate, seriesLabel, bands, view);
+    }
+
+    // Show chart card
+    const chartCard = document.getElementById('chartCard');
+    chartCard.style.display = 'block';
+}
+
+/**
+ * Values month by month; rebased to 100 (performance only) and/or on a logarithmic axis
+ */
+function updateMonthlyChart(evolution, fixedRate, seriesLabel, monteCarlo, view) {
+    const ctx = document.getElementById('investmentChart');
+
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    const labels = evolution.map(item => formatShortDate(item.date));
+    const showReal = isRealValuesMode() && evolution[0].valueReal !== undefined;
+    let valuesSeries = evolution.map(item => showReal ? item.valueSeriesReal : item.valueSeries);
+    let valuesCombined = evolution.map(item => showReal ? item.valueReal : item.valueCombined);
+    if (view.rebase) {
+        // Real performance discounts the IPCA accumulated since the start of the first visible month
+        const performance = buildPerformanceIndex(evolution);
+        const realFactor = (index) => showReal ? evolution[index].deflator / evolution[0].flowDeflator : 1;
+        valuesSeries = performance.map((point, index) => point.series * realFactor(index));
+        valuesCombined = performance.map((point, index) => point.combined * realFactor(index));
+    }
+
+    // Gradients
+    const gradientSeries = ctx.getContext('2d').createLinearGradient(0, 0, 0, 400);
+    gradientSeries.addColorStop(0, 'rgba(67, 233, 123, 0.3)');
+    gradientSeries.addColorStop(1, 'rgba(67, 233, 123, 0.05)');
+
+    const gradientCombined = ctx.getContext('2d').createLinearGradient(0, 0, 0, 400);
+    gradientCombined.addColorStop(0, 'rgba(79, 172, 254, 0.5)');
+    gradientCombined.addColorStop(1, 'rgba(0, 242, 254, 0.1)');
+
+    const datasets = [];
+
+    // Helper for segment styling
+    const segmentStyle = (ctx, colorSolid, colorDashed) => {
+        return ctx.p0DataIndex < evolution.findIndex(e => e.isProjection) || evolution.every(e => !e.isProjection)
+            ? undefined // default style (solid)
+            : [6, 6]; // dashed
+    };
+
+    // Pro-rated (partial) months are marked with a visible point
+    const proRataPointRadius = (ctx) => evolution[ctx.dataIndex]?.proRata !== undefined ? 4 : 0;
+    // NTN-B coupon months are marked on the position line
+    const couponPointRadius = (ctx) => evolution[ctx.dataIndex]?.coupon > 0 ? 7 : proRataPointRadius(ctx);
+    const couponPointStyle = (ctx) => evolution[ctx.dataIndex]?.coupon > 0 ? 'triangle' : 'circle';
+
+    // Series Line (IPCA/SELIC)
+    datasets.push({
+        label: seriesLabel ? (fixedRate > 0 ? t('chart.seriesOnly', { index: seriesLabel }) : seriesLabel) : t('chart.baseValue'),
+        data: valuesSeries,
+        borderColor: '#43e97b',
+        backgroundColor: gradientSeries,
+        borderWidth: 2,
+        fill: true,
+        tension: 0.4,
+        pointRadius: proRataPointRadius,
+        pointHoverRadius: 6,
+        segment: {
+            borderDash: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? [5, 5] : undefined,
+            borderColor: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? '#81e6d9' : '#43e97b'
+        },
+        pointHoverBackgroundColor: '#43e97b',
+        pointHoverBorderColor: '#ffffff',
+        pointHoverBorderWidth: 2
+    });
+
+    // Combined Line
+    if (fixedRate > 0 && seriesLabel) {
+        datasets.push({
+            label: t('scenario.indexPlusRate', { index: seriesLabel, rate: t('rate.perYear', { rate: formatPercentage(fixedRate) }) }),
+            data: valuesCombined,
+            borderColor: '#4facfe',
+            backgroundColor: gradientCombined,
+            borderWidth: 3,
+            fill: true,
+            tension: 0.4,
+            pointRadius: couponPointRadius,
+            pointStyle: couponPointStyle,
+            pointBackgroundColor: (ctx) => evolution[ctx.dataIndex]?.coupon > 0 ? '#f6ad55' : '#4facfe',
+            pointHoverRadius: 6,
+            segment: {
+                borderDash: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? [5, 5] : undefined,
+                borderColor: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? '#90cdf4' : '#4facfe'
+            },
+            pointHoverBackgroundColor: '#4facfe',
+            pointHoverBorderColor: '#ffffff',
+            pointHoverBorderWidth: 2
+        });
+    }
+
+    // Monte Carlo percentile bands over the projected segment (joined to the last official point)
+    if (monteCarlo && !view.rebase) {
+        const firstProjected = monteCarlo.bands.findIndex(band => band.isProjection);
+        const bandValues = (key) => monteCarlo.bands.map((band, index) => {
+            if (index < firstProjected - 1) return null;
+            return showReal ? band[key] * evolution[index].deflator : band[key];
+        });
+        const bandStyle = { borderWidth: 1, pointRadius: 0, pointHoverRadius: 4, tension: 0.4, spanGaps: false };
+
+        datasets.push({
+            ...bandStyle,
+            label: 'P10 (Monte Carlo)',
+            data: bandValues('p10'),
+            borderColor: 'rgba(246, 173, 85, 0.8)',
+            fill: false
+        });
+        datasets.push({
+            ...bandStyle,
+            label: 'P90 (Monte Carlo)',
+            data: bandValues('p90'),
+            borderColor: 'rgba(246, 173, 85, 0.8)',
+            backgroundColor: 'rgba(246, 173, 85, 0.15)',
+            fill: '-1'
+        });
+        datasets.push({
+            ...bandStyle,
+            label: 'P50 (Monte Carlo)',
+            data: bandValues('p50'),
+            borderColor: '#f6ad55',
+            borderWidth: 2,
+            borderDash: [4, 4],
+            fill: false
+        });
+    }
+
+    // Net value line (after taxes and fees)
+    if (!view.rebase && evolution.length > 0 && evolution[0].valueNet !== undefined) {
+        datasets.push({
+            label: t('chart.netValue'),
+            data: evolution.map(item => showReal ? item.valueNetReal : item.valueNet),
+            borderColor: '#f5576c',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.4,
+            pointRadius: 0,
+            pointHoverRadius: 6,
+            segment: {
+                borderDash: (ctx) => evolution[ctx.p0DataIndex]?.isProjection ? [5, 5] : undefined
+            },
+            pointHoverBackgroundColor: '#f5576c',
+            pointHoverBorderColor: '#ffffff',
+            pointHoverBorderWidth: 2
+        });
+    }
+
+    // Net invested line (only meaningful with contributions/withdrawals)
+    if (!view.rebase && evolution.some(item => item.cashFlow !== 0)) {
+        datasets.push({
+            label: t('chart.totalInvested'),
+            data: evolution.map(item => showReal ? item.totalInvestedReal : item.totalInvested),
+            borderColor: '#f093fb',
+            borderWidth: 2,
+            borderDash: [2, 2],
+            fill: false,
+            stepped: true,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            pointHoverBackgroundColor: '#f093fb'
+        });
+    }
+
+    // A logarithmic axis cannot show zero or negative balances
+    if (view.logScale) {
+        datasets.forEach(dataset => {
+            dataset.data = dataset.data.map(value => value > 0 ? value : null);
+        });
+    }
+
+    const options = buildChartOptions({
+        title: (context) => {
+            const index = context[0].dataIndex;
+            const item = evolution[index];
+            let title = t('chart.dateTitle', { date: labels[index] });
+            if (item.isProjection) {
+                title += item.projectionLabel ? t('chart.projectionWith', { label: item.projectionLabel }) : t('chart.projectionSuffix');
+            }
+            if (item.proRataLabel) {
+                title += ` (${item.proRataLabel})`;
+            }
+            return title;
+        },
+        afterBody: (context) => {
+            const index = context[0].dataIndex;
+            const item = evolution[index];
+            const rateLabel = seriesLabel || t('chart.rate');
+            const lines = [`\n${rateLabel}: ${formatPercentage(item.monthlyRate)}`];
+            if (item.coupon > 0) {
+                lines.push(t('chart.coupon', {
+                    amount: formatCurrency(item.coupon),
+                    status: t(item.couponReinvested ? 'chart.couponReinvested' : 'chart.couponPaid')
+                }));
+            } else if (item.cashFlow !== 0) {
+                lines.push(t(item.cashFlow > 0 ? 'chart.contribution' : 'chart.withdrawal', { amount: formatCurrency(Math.abs(item.cashFlow)) }));
+            }
+            lines.push(t('chart.earnings', { amount: formatCurrency(item.earnings) }));
+            if (showReal) {
+                lines.push(t(view.rebase ? 'chart.realPerformance' : 'chart.realValues'));
+            }
+            return lines;
+        },
+        ...(view.rebase ? { label: (context) => `${context.dataset.label}: ${formatIndexPoints(context.parsed.y)}` } : {})
+    });
+    if (view.rebase) {
+        options.scales.y.ticks.callback = (value) => formatIndexPoints(value);
+    }
+    if (view.logScale) {
+        options.scales.y.type = 'logarithmic';
+    }
+
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: options
+    });
+
+    const valueLabel = view.rebase ? t('chart.unitRebased') : (showReal ? t('chart.unitReal') : 'R$');
+    renderChartDataTable(t('chart.monthlyCaption', { unit: valueLabel }), labels, datasets,
+        view.rebase ? formatIndexPoints : formatCurrency);
+}
+
+// ===================================
+// Permalink
+// ===================================
+
+/**
+ * Form inputs serialized into the URL (query keys are the input ids)
+ */
+const PERMALINK_FIELDS = ['scenarioType', 'investmentAmount', 'fixedRate', 'indexPercentage', 'startDate', 'endDate',
+    'rateConvention', 'proRataMode', 'ntnbMaturity', 'ntnbCurrentYield', 'ntnbReinvest',
+    'monthlyFlowType', 'monthlyAmount', 'adjustMonthlyByIPCA',
+    'projectionModel', 'projectionMonths', 'expectedAnnualRate', 'simulationPaths', 'simulationSeed', 'targetValue',
+    'applyTaxes', 'taxExempt', 'annualFee'];
+
+// Row lists of the simulation: one repeated parameter per row, its values joined by "~"
+// (cashFlow=2024-03-01~-500, comparison=cdi_pct~110~CDB, projectionYear=2027~4.5)
+const PERMALINK_LISTS = {
+    cashFlow: {
+        listId: 'cashFlowList',
+        read: () => getCashFlowSchedule().entries.map(entry => [entry.date, entry.amount]),
+        restore: ([date, amount]) => addCashFlowRow({ date, amount: parseFloat(amount) })
+    },
+    comparison: {
+        listId: 'comparisonList',
+        read: () => getComparisonScenarioInputs().map(input => [input.scenarioType, input.rate, input.label]),
+        restore: ([scenarioType, rate, ...label]) => addComparisonRow({ scenarioType, rate: parseFloat(rate), label: label.join('~') })
+    },
+    projectionYear: {
+        listId: 'projectionTableList',
+        read: () => getProjectionOptions().table.map(row => [row.year, row.rate]),
+        restore: ([year, rate]) => addProjectionTableRow({ year: parseInt(year, 10), rate: parseFloat(rate) })
+    }
+};
+
+/**
+ * Value of a simulation input as written in the link (checkboxes as 1/0)
+ */
+function getPermalinkValue(input) {
+    if (input.type === 'checkbox') return input.checked ? '1' : '0';
+    // Numbers are shared in one notation whatever the language of the page
+    if (input.inputMode === 'decimal' && input.value !== '') return String(parseLocaleNumber(input.value));
+    return input.value;
+}
+
+/**
+ * Page default of a simulation input, in the notation of getPermalinkValue
+ */
+function getDefaultPermalinkValue(input) {
+    if (input.type === 'checkbox') return input.defaultChecked ? '1' : '0';
+    if (input.tagName === 'SELECT') {
+        const option = Array.from(input.options).find(item => item.defaultSelected) || input.options[0];
+        return option ? option.value : '';
+    }
+    return input.defaultValue;
+}
+
+/**
+ * Set a simulation input from its link value
+ * Select values that no longer exist (e.g. an unknown scenario) are ignored.
+ */
+function setPermalinkValue(input, value) {
+    if (input.type === 'checkbox') {
+        input.checked = value === '1';
+    } else if (input.tagName === 'SELECT') {
+        if (Array.from(input.options).some(option => option.value === value)) input.value = value;
+    } else {
+        input.value = input.inputMode === 'decimal' && value !== '' ? formatDecimalInput(parseFloat(value)) : value;
+    }
+}
+
+/**
+ * Query string describing the current form state
+ * Inputs left at the page default are omitted; the dates are always written.
+ */
+function buildPermalinkQuery() {
+    const query = new URLSearchParams();
+    PERMALINK_FIELDS.forEach(id => {
+        const input = document.getElementById(id);
+        const value = getPermalinkValue(input);
+        if (value !== '' && value !== getDefaultPermalinkValue(input)) query.set(id, value);
+    });
+    Object.entries(PERMALINK_LISTS).forEach(([key, list]) => {
+        list.read().forEach(values => {
+            query.append(key, values.map(value => (typeof value === 'number' && !isFinite(value) ? '' : value)).join('~'));
+        });
+    });
+    return `?${query.toString()}`;
+}
+
+/**
+ * Put the simulation inputs back to the page defaults (dates of the last year, no rows)
+ */
+function resetSimulationForm() {
+    PERMALINK_FIELDS.forEach(id => {
+        const input = document.getElementById(id);
+        setPermalinkValue(input, getDefaultPermalinkValue(input));
+    });
+    setDefaultDates();
+    Object.values(PERMALINK_LISTS).forEach(list => {
+        document.getElementById(list.listId).innerHTML = '';
+    });
+    updateScenarioFields();
+    updateProjectionFields();
+}
+
+/**
+ * Fill the form from a query string; returns false when it carries no simulation
+ * The form is reset first, so inputs missing from the link take their defaults.
+ */
+function applyPermalinkQuery(search) {
+    const query = new URLSearchParams(search);
+    const keys = [...PERMALINK_FIELDS, ...Object.keys(PERMALINK_LISTS)];
+    if (!keys.some(key => query.has(key))) return false;
+
+    resetSimulationForm();
+    PERMALINK_FIELDS.filter(id => query.has(id)).forEach(id => setPermalinkValue(document.getElementById(id), query.get(id)));
+    Object.entries(PERMALINK_LISTS).forEach(([key, list]) => {
+        query.getAll(key).forEach(value => list.restore(value.split('~')));
+    });
+    updateScenarioFields();
+    updateProjectionFields();
+    return true;
+}
+
+/**
+ * Hide every result (cards, chart and monthly table) and forget the last calculation
+ */
+function clearSimulationResults() {
+    hideError();
+    hideComparison();
+    hidePortfolio();
+    hideReadjustment();
+    hideLoan();
+    hideStatement();
+    ['resultsCard', 'chartCard', 'breakdownCard', 'solverResult'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    if (chartInstance) {
+        chartInstance.destroy();
+        chartInstance = null;
+    }
+    lastChartRender = null;
+    lastBreakdown = null;
+    lastCalculation = null;
+}
+
+/**
+ * Keep the URL in sync while the form is edited
+ * Edits after a calculation open a new history entry so back returns to that simulation.
+ */
+function syncPermalink() {
+    const url = buildPermalinkQuery();
+    if (url === location.search) return;
+
+    if (history.state && history.state.simulated) {
+        history.pushState({ simulated: false }, '', url);
+    } else {
+        history.replaceState({ simulated: false }, '', url);
+    }
+}
+
+/**
+ * Mark the current URL as a calculated simulation (one history entry per simulation)
+ */
+function recordSimulation() {
+    const url = buildPermalinkQuery();
+    if (history.state && history.state.simulated && url !== location.search) {
+        history.pushState({ simulated: true }, '', url);
+    } else {
+        history.replaceState({ simulated: true }, '', url);
+    }
+}
+
+/**
+ * Restore a simulation when navigating back/forward
+ */
+function handlePermalinkNavigation() {
+    if (applyPermalinkQuery(location.search)) {
+        handleCalculation({ preventDefault() {} });
+    } else {
+        // Back to the page without a simulation
+        resetSimulationForm();
+        clearSimulationResults();
+    }
+}
+
+/**
+ * Copy the permalink of the current simulation to the clipboard
+ */
+async function copyPermalink() {
+    const button = document.getElementById('copyLinkBtn');
+    const url = `${location.origin}${location.pathname}${buildPermalinkQuery()}`;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = t('permalink.copied');
+    } catch (error) {
+        // Clipboard API unavailable (e.g. insecure context): let the user copy by hand
+        window.prompt(t('permalink.prompt'), url);
+    }
+    setTimeout(() => { button.textContent = t('permalink.copy'); }, 2000);
+}
+
+// ===================================
+// Language
+// ===================================
+
+/**
+ * Translate the static text of the page (or of a newly added row) from its data-i18n attributes
+ * Decimal inputs get their example value (data-decimal-placeholder) in the notation of the locale.
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    root.querySelectorAll('[data-decimal-placeholder]').forEach(element => {
+        const example = element.dataset.decimalPlaceholder;
+        const [, decimals = ''] = example.split('.');
+        element.placeholder = formatNumber(parseFloat(example), decimals.length);
+    });
+}
+
+/**
+ * Fill the language select and translate the page to the current locale
+ */
+function applyLocale() {
+    document.documentElement.lang = getLocale();
+    const select = document.getElementById('localeSelect');
+    select.innerHTML = Object.entries(LOCALES)
+        .map(([locale, name]) => `<option value="${locale}">${name}</option>`)
+        .join('');
+    select.value = getLocale();
+
+    translatePage();
+    populateScenarioOptions();
+    populatePortfolioSelect(document.getElementById('portfolioSelect').value);
+}
+
+/**
+ * Switch the language: typed numbers are rewritten in the new notation and the results recalculated
+ */
+function handleLocaleChange(event) {
+    const previousLocale = getLocale();
+    const decimalInputs = [...document.querySelectorAll('input[inputmode="decimal"]')];
+    const values = decimalInputs.map(input => parseLocaleNumber(input.value, previousLocale));
+
+    setLocale(event.target.value);
+    saveLocale(getLocale());
+    decimalInputs.forEach((input, index) => {
+        if (!isNaN(values[index])) input.value = formatDecimalInput(values[index]);
+    });
+    applyLocale();
+
+    if (lastCalculation) lastCalculation();
+}
+
+// ===================================
+// Initialize Application
+// ===================================
+
+/**
+ * Set default dates (last year)
+ */
+function setDefaultDates() {
+    const today = new Date();
+    const oneYearAgo = new Date();
+    oneYearAgo.setFullYear(today.getFullYear() - 1);
 
     // Format dates for input (yyyy-MM-dd)
     const formatForInput = (date) => {
@@ -601,17 +2500,117 @@ function setDefaultDates() {
     document.getElementById('endDate').value = formatForInput(today);
 }
 
+/**
+ * Build the scenario select from the index registry
+ * The scenario selects of comparison and portfolio rows are rebuilt too, keeping their values.
+ */
+function populateScenarioOptions() {
+    const options = Object.entries(CONFIG.INDEXES).map(([indexId, index]) =>
+        `<option value="${indexId}_fixed">${t('scenario.optionFixed', { index: index.label })}</option>`);
+    Object.entries(CONFIG.INDEXES)
+        .filter(([, index]) => index.percentageLabel)
+        .forEach(([indexId, index]) => options.push(`<option value="${indexId}_pct">${t(index.percentageLabel, { percentage: '' })}</option>`));
+    options.push(`<option value="ntnb">${t('scenario.optionNTNB')}</option>`);
+    options.push(`<option value="fixed_only">${t('scenario.optionFixedOnly')}</option>`);
+
+    document.querySelectorAll('#scenarioType, .comparison-type, .position-type').forEach(select => {
+        const { value } = select;
+        select.innerHTML = options.join('');
+        if (value) select.value = value;
+    });
+}
+
+/**
+ * Show the fixed rate or the index percentage input depending on the scenario
+ */
+function updateScenarioFields() {
+    const scenarioType = document.getElementById('scenarioType').value;
+    const isPercentageScenario = scenarioType.endsWith('_pct');
+    document.getElementById('fixedRateGroup').style.display = isPercentageScenario ? 'none' : 'flex';
+    document.getElementById('indexPercentageGroup').style.display = isPercentageScenario ? 'flex' : 'none';
+    document.getElementById('ntnbGroup').style.display = scenarioType === 'ntnb' ? 'flex' : 'none';
+}
+
 /**
  * Initialize the application
  */
 function init() {
-    // Set default dates
-    setDefaultDates();
+    setLocale(readSavedLocale() || matchLocale(navigator.languages || [navigator.language]));
+    applyLocale();
+    document.getElementById('localeSelect').addEventListener('change', handleLocaleChange);
+
+    updateScenarioFields();
+    document.getElementById('scenarioType').addEventListener('change', updateScenarioFields);
 
     // Add form submit listener
     const form = document.getElementById('calculatorForm');
     form.addEventListener('submit', handleCalculation);
 
+    // Keep the URL in sync with the simulation inputs
+    PERMALINK_FIELDS.forEach(id => document.getElementById(id).addEventListener('change', syncPermalink));
+    // Row edits bubble up to their list; clicks cover removed rows
+    Object.values(PERMALINK_LISTS).forEach(list => {
+        ['change', 'click'].forEach(type => document.getElementById(list.listId).addEventListener(type, syncPermalink));
+    });
+    window.addEventListener('popstate', handlePermalinkNavigation);
+    document.getElementById('copyLinkBtn').addEventListener('click', copyPermalink);
+
+    document.getElementById('addCashFlowBtn').addEventListener('click', () => addCashFlowRow());
+    document.getElementById('addComparisonBtn').addEventListener('click', () => addComparisonRow());
+    updateSolverFields();
+    document.getElementById('solverUnknown').addEventListener('change', updateSolverFields);
+    document.getElementById('solveBtn').addEventListener('click', handleSolveGoal);
+    populatePortfolioSelect();
+    document.getElementById('portfolioSelect').addEventListener('change', (event) => loadPortfolio(event.target.value));
+    document.getElementById('addPositionBtn').addEventListener('click', () => addPositionRow());
+    document.getElementById('savePortfolioBtn').addEventListener('click', handleSavePortfolio);
+    document.getElementById('deletePortfolioBtn').addEventListener('click', handleDeletePortfolio);
+    document.getElementById('calculatePortfolioBtn').addEventListener('click', handlePortfolioCalculation);
+    populateIndexSelect('contractIndex', 'igpm');
+    populateIndexSelect('loanIndex', 'ipca');
+    populateIndexSelect('statementIndex', 'ipca');
+    document.getElementById('calculateReadjustmentBtn').addEventListener('click', handleReadjustmentCalculation);
+    document.getElementById('addLoanExtraBtn').addEventListener('click', () => addLoanExtraRow());
+    document.getElementById('calculateLoanBtn').addEventListener('click', handleLoanCalculation);
+    document.getElementById('statementFile').addEventListener('change', handleStatementFile);
+    document.getElementById('calculateStatementBtn').addEventListener('click', handleStatementCalculation);
+    updateProjectionFields();
+    document.getElementById('projectionModel').addEventListener('change', updateProjectionFields);
+    document.getElementById('addProjectionRowBtn').addEventListener('click', () => addProjectionTableRow());
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        if (!lastBreakdown) return;
+        downloadFile(buildBreakdownCSV(lastBreakdown.rows, lastBreakdown.seriesLabel), `${t('export.fileName')}.csv`, 'text/csv;charset=utf-8');
+    });
+    document.getElementById('exportXlsxBtn').addEventListener('click', () => {
+        if (!lastBreakdown) return;
+        try {
+            exportBreakdownXLSX(lastBreakdown.rows, lastBreakdown.seriesLabel);
+        } catch (error) {
+            showError(error);
+        }
+    });
+    ['realValuesToggle', 'chartView', 'logScaleToggle', 'rebaseToggle'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            if (lastChartRender) lastChartRender();
+        });
+    });
+    ['rangeStart', 'rangeEnd'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            if (lastChartRender) lastChartRender();
+        });
+    });
+    document.getElementById('rangeResetBtn').addEventListener('click', () => {
+        const rangeEnd = document.getElementById('rangeEnd');
+        resetChartRange(parseInt(rangeEnd.max, 10) + 1);
+        if (lastChartRender) lastChartRender();
+    });
+
+    // Start with the last year; a shared link overrides the form and runs its simulation
+    setDefaultDates();
+    if (applyPermalinkQuery(location.search)) {
+        handleCalculation({ preventDefault() {} });
+    }
+
     console.log('IPCA Calculator initialized');
 }
 
@@ -0,0 +1,3342 @@
+// ===================================
+// IPCA Investment Calculator - Core
+// ===================================
+// Fetching, validation and calculation, with no DOM access. Loaded by the page as a
+// plain script (globals used by app.js) and by Node as a module (bin/ipca-calc).
+
+// Under Node the i18n.js functions are required into this module only, leaving the host's
+// globals alone; the page has them as globals of i18n.js (var, unlike const, may repeat them)
+var { t, getLocale, matchLocale } = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : globalThis;
+
+// Configuration
+const CONFIG = {
+    API_BASE_URL: 'https://api.bcb.gov.br/dados/serie/bcdata.sgs.{code}/dados',
+    // SGS client: per-request timeout, retries with exponential backoff and range chunking
+    API_CLIENT: {
+        TIMEOUT_MS: 20000,
+        RETRIES: 2,
+        BACKOFF_MS: 500,
+        // SGS rejects daily series requests spanning more than 10 years
+        CHUNK_YEARS: 10,
+        CONCURRENCY: 4
+    },
+    // Index registry: SGS code, periodicity, label, first available date and special compounding rules
+    // (percentageLabel is the message key of the "% of the index" scenario)
+    INDEXES: {
+        ipca: { code: 433, periodicity: 'monthly', label: 'IPCA', firstDate: '1980-01-01' },
+        ipca15: { code: 7478, periodicity: 'monthly', label: 'IPCA-15', firstDate: '2000-05-01' },
+        inpc: { code: 188, periodicity: 'monthly', label: 'INPC', firstDate: '1979-04-01' },
+        igpm: { code: 189, periodicity: 'monthly', label: 'IGP-M', firstDate: '1989-06-01' },
+        selic: {
+            code: 4390,
+            periodicity: 'monthly',
+            label: 'SELIC',
+            firstDate: '1986-07-01',
+            dailyCode: 11,
+            percentageLabel: 'index.percentageOf.selic'
+        },
+        cdi: {
+            code: 12,
+            periodicity: 'daily',
+            label: 'CDI',
+            firstDate: '1986-03-06',
+            monthlyCode: 4391,
+            percentageLabel: 'index.percentageOf.cdi'
+        },
+        tr: { code: 7811, periodicity: 'monthly', label: 'TR', firstDate: '1991-02-01' },
+        poupanca: {
+            periodicity: 'monthly',
+            label: 'Poupança',
+            firstDate: '1991-02-01',
+            compounding: 'poupanca',
+            components: ['tr', 'selic']
+        }
+    },
+    // Series used to build the timeline of the "fixed rate only" scenario
+    TIMELINE_INDEX: 'ipca',
+    DATE_FORMAT: 'dd/MM/yyyy',
+    // How the annual fixed rate accrues each month (values are message keys of the labels)
+    RATE_CONVENTIONS: {
+        equivalent: 'rateConvention.equivalent',
+        business_days: 'rateConvention.business_days',
+        simple: 'rateConvention.simple'
+    },
+    DEFAULT_RATE_CONVENTION: 'equivalent',
+    // Rounding of the Banco Central "Calculadora do Cidadão": the accumulated factor is
+    // truncated to 7 decimals, the percentage shown with 6 and values rounded to the cent
+    OFFICIAL_ROUNDING: {
+        // Price indexes it corrects month by month; SELIC is corrected with the daily
+        // series over the exact dates, so the monthly one has no official item
+        INDEXES: ['ipca', 'ipca15', 'inpc', 'igpm'],
+        FACTOR_DECIMALS: 7,
+        PERCENTAGE_DECIMALS: 6,
+        CURRENCY_DECIMALS: 2
+    },
+    LOAN_SYSTEMS: {
+        sac: 'SAC',
+        price: 'Price'
+    },
+    CACHE: {
+        KEY_PREFIX: 'ipca-calculator:series:',
+        // Within this age the cache is trusted for months the API did not have yet
+        MAX_AGE_HOURS: 12
+    },
+    PORTFOLIO_STORAGE_KEY: 'ipca-calculator:portfolios',
+    LOCALE_STORAGE_KEY: 'ipca-calculator:locale',
+    // Tesouro IPCA+ com Juros Semestrais: VNA base and coupon schedule
+    NTNB: {
+        VNA_BASE_DATE: '2000-07-15',
+        VNA_BASE_VALUE: 1000,
+        ANNUAL_COUPON_RATE: 6,
+        COUPON_MONTHS: [5, 11],
+        COUPON_DAY: 15
+    },
+    TAX: {
+        // Regressive income tax table (IR) by holding period in days
+        INCOME_TAX_BRACKETS: [
+            { maxDays: 180, rate: 22.5 },
+            { maxDays: 360, rate: 20 },
+            { maxDays: 720, rate: 17.5 },
+            { maxDays: Infinity, rate: 15 }
+        ],
+        // IOF on earnings for redemptions in the first 30 days (index = days held)
+        IOF_TABLE: [
+            100, 96, 93, 90, 86, 83, 80, 76, 73, 70,
+            66, 63, 60, 56, 53, 50, 46, 43, 40, 36,
+            33, 30, 26, 23, 20, 16, 13, 10, 6, 3
+        ]
+    }
+};
+
+// Default projection model for months without official data
+const DEFAULT_PROJECTION = { model: 'geometric', months: 12, annualRate: null, table: [], indexId: null };
+
+// ===================================
+// Utility Functions
+// ===================================
+
+/**
+ * Format a number as Brazilian Real currency, in the notation of the current locale
+ */
+function formatCurrency(value, fractionDigits = 2) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: 'BRL',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+/**
+ * Format a number as percentage
+ */
+function formatPercentage(value) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'percent',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value / 100);
+}
+
+/**
+ * Format a plain number with the separators of the current locale
+ */
+function formatNumber(value, minimumFractionDigits = 0, maximumFractionDigits = minimumFractionDigits) {
+    return new Intl.NumberFormat(getLocale(), { minimumFractionDigits, maximumFractionDigits }).format(value);
+}
+
+/**
+ * Decimal and group separators of a locale, e.g. { decimal: ',', group: '.' } for pt-BR
+ */
+function getNumberSeparators(locale = getLocale()) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    return {
+        decimal: parts.find(part => part.type === 'decimal').value,
+        group: parts.find(part => part.type === 'group').value
+    };
+}
+
+/**
+ * Parse a number typed in the notation of a locale ("1.234,56" in pt-BR, "1,234.56" in en-US)
+ * The other notation is accepted when unambiguous: a lone separator followed by something
+ * other than groups of three digits is read as the decimal point. Returns NaN when invalid.
+ */
+function parseLocaleNumber(text, locale = getLocale()) {
+    const { decimal, group } = getNumberSeparators(locale);
+    let cleaned = String(text).replace(/R\$|%|\s/g, '');
+    if (cleaned.includes(decimal)) {
+        cleaned = cleaned.split(group).join('').replace(decimal, '.');
+    } else if (cleaned.includes(group)) {
+        const isGrouped = new RegExp(`^-?\\d{1,3}(\\${group}\\d{3})+$`).test(cleaned);
+        cleaned = isGrouped ? cleaned.split(group).join('') : cleaned.replace(group, '.');
+    }
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+/**
+ * Write a number into a text input in the current locale (no grouping, up to 8 decimals)
+ */
+function formatDecimalInput(value, maximumFractionDigits = 8) {
+    if (value === null || value === undefined || !isFinite(value)) return '';
+    return new Intl.NumberFormat(getLocale(), { useGrouping: false, maximumFractionDigits }).format(value);
+}
+
+/**
+ * Whether a locale writes numeric dates day first (dd/mm/yyyy) rather than month first
+ */
+function isDayFirstLocale(locale = getLocale()) {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2000, 0, 31));
+    return parts.findIndex(part => part.type === 'day') < parts.findIndex(part => part.type === 'month');
+}
+
+/**
+ * Parse an input date (yyyy-MM-dd) as a local date
+ * new Date('yyyy-MM-dd') is read as UTC and can land on the previous day
+ */
+function parseInputDate(dateString) {
+    if (dateString instanceof Date) return new Date(dateString);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        const [year, month, day] = dateString.split('-');
+        return new Date(year, month - 1, day);
+    }
+    return new Date(dateString);
+}
+
+/**
+ * Month key (yyyy-MM) used to match cash flows and series points
+ */
+function getMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as an input date (yyyy-MM-dd)
+ */
+function formatInputDate(date) {
+    return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * First day of the month of an input date, as yyyy-MM-dd
+ */
+function getMonthStart(dateString) {
+    return `${getMonthKey(parseInputDate(dateString))}-01`;
+}
+
+/**
+ * Format date to dd/MM/yyyy for API
+ */
+function formatDateForAPI(dateString) {
+    const date = parseInputDate(dateString);
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = date.getFullYear();
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Format date for display
+ */
+function formatDateForDisplay(dateString) {
+    const date = parseInputDate(dateString);
+    return new Intl.DateTimeFormat(getLocale(), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }).format(date);
+}
+
+/**
+ * Format a date as a short numeric date of the current locale (dd/mm/yyyy in pt-BR, mm/dd/yyyy in en-US)
+ */
+function formatShortDate(dateString) {
+    return new Intl.DateTimeFormat(getLocale(), {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(parseInputDate(dateString));
+}
+
+/**
+ * Parse API date format (dd/MM/yyyy) to Date object
+ */
+function parseAPIDate(dateString) {
+    const [day, month, year] = dateString.split('/');
+    return new Date(year, month - 1, day);
+}
+
+// ===================================
+// Business Day Calendar
+// ===================================
+
+const holidayCache = new Map();
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ */
+function getEasterDate(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * National banking holidays of a year as a set of yyyy-MM-dd keys
+ */
+function getNationalHolidays(year) {
+    if (holidayCache.has(year)) {
+        return holidayCache.get(year);
+    }
+
+    const fixed = ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '12-25'];
+    // Dia da Consciência Negra became a national holiday in 2024
+    if (year >= 2024) fixed.push('11-20');
+
+    const easter = getEasterDate(year);
+    const fromEaster = (offset) => new Date(year, easter.getMonth(), easter.getDate() + offset);
+    const movable = [
+        fromEaster(-48), // Carnaval (segunda)
+        fromEaster(-47), // Carnaval (terça)
+        fromEaster(-2), // Sexta-feira Santa
+        fromEaster(60) // Corpus Christi
+    ];
+
+    const holidays = new Set(fixed.map(day => `${year}-${day}`));
+    movable.forEach(date => holidays.add(`${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`));
+
+    holidayCache.set(year, holidays);
+    return holidays;
+}
+
+/**
+ * Check whether a date is a business day (weekday and not a national holiday)
+ */
+function isBusinessDay(date) {
+    const weekday = date.getDay();
+    if (weekday === 0 || weekday === 6) return false;
+
+    const key = `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+    return !getNationalHolidays(date.getFullYear()).has(key);
+}
+
+/**
+ * Count business days from startDate (inclusive) to endDate (exclusive)
+ * Whole weeks are counted arithmetically, so long ranges (bond pricing) stay cheap.
+ */
+function countBusinessDays(startDate, endDate) {
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    if (end <= start) return 0;
+
+    const fullWeeks = Math.floor(Math.round((end - start) / 86400000) / 7);
+    let count = fullWeeks * 5;
+    const current = new Date(start);
+    current.setDate(current.getDate() + fullWeeks * 7);
+    while (current < end) {
+        const weekday = current.getDay();
+        if (weekday !== 0 && weekday !== 6) count++;
+        current.setDate(current.getDate() + 1);
+    }
+
+    // Holidays that fall on weekdays inside the range
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+        getNationalHolidays(year).forEach(key => {
+            const holiday = parseInputDate(key);
+            const weekday = holiday.getDay();
+            if (holiday >= start && holiday < end && weekday !== 0 && weekday !== 6) count--;
+        });
+    }
+
+    return count;
+}
+
+// ===================================
+// API Functions
+// ===================================
+
+/**
+ * Errors of the SGS client; showError maps each type to a message for the user
+ */
+class SeriesError extends Error {
+    constructor(message, seriesCode, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.seriesCode = seriesCode;
+        Object.assign(this, details);
+    }
+}
+
+// The API did not answer within CONFIG.API_CLIENT.TIMEOUT_MS
+class SeriesTimeoutError extends SeriesError {}
+
+// The request failed before reaching the API (offline, DNS, CORS...)
+class SeriesNetworkError extends SeriesError {}
+
+// The API answered with an error status (details: status)
+class SeriesHTTPError extends SeriesError {}
+
+// The API has no points in the requested period
+class SeriesNoDataError extends SeriesError {}
+
+// The payload is not a well-formed series (details: reason)
+class SeriesValidationError extends SeriesError {}
+
+// Months missing inside the series (details: gaps, as yyyy-MM keys)
+class SeriesGapError extends SeriesValidationError {}
+
+/**
+ * Label of an SGS code from the registry (falls back to the code itself)
+ */
+function getSeriesLabel(seriesCode) {
+    const index = Object.values(CONFIG.INDEXES).find(item =>
+        [item.code, item.dailyCode, item.monthlyCode].includes(Number(seriesCode)));
+    return index ? index.label : t('series.fallbackLabel', { code: seriesCode });
+}
+
+/**
+ * Split [startDate, endDate] into consecutive windows of at most `years` years
+ */
+function splitDateRange(startDate, endDate, years) {
+    const ranges = [];
+    let chunkStart = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+
+    while (chunkStart <= end) {
+        const next = new Date(chunkStart.getFullYear() + years, chunkStart.getMonth(), chunkStart.getDate());
+        const chunkEnd = new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1);
+        ranges.push([chunkStart, chunkEnd < end ? chunkEnd : end]);
+        chunkStart = next;
+    }
+
+    return ranges;
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight, keeping the order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (next < items.length && !failed) {
+            const current = next++;
+            try {
+                results[current] = await mapper(items[current]);
+            } catch (error) {
+                // Stop starting new items: the whole map rejects with the first error
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+    return results;
+}
+
+/**
+ * One request to the API, raced against the timeout; resolves to null when SGS answers 404
+ */
+async function requestSeriesChunk(url, seriesCode, fetchFn) {
+    const { TIMEOUT_MS } = CONFIG.API_CLIENT;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+
+    const request = (async () => {
+        let response;
+        try {
+            response = await fetchFn(url, controller ? { signal: controller.signal } : undefined);
+        } catch (error) {
+            throw new SeriesNetworkError(t('error.series.network', { series: getSeriesLabel(seriesCode), detail: error.message }),
+                seriesCode);
+        }
+
+        // SGS answers 404 when the period has no data
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new SeriesHTTPError(t('error.series.http', { status: response.status, series: getSeriesLabel(seriesCode) }),
+                seriesCode, { status: response.status });
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new SeriesValidationError(t('error.series.unreadable', { series: getSeriesLabel(seriesCode) }),
+                seriesCode, { reason: error.message });
+        }
+    })();
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            if (controller) controller.abort();
+            reject(new SeriesTimeoutError(t('error.series.timeout', { seconds: TIMEOUT_MS / 1000, series: getSeriesLabel(seriesCode) }),
+                seriesCode));
+        }, TIMEOUT_MS);
+    });
+
+    try {
+        return await Promise.race([request, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Request a chunk, retrying timeouts, connection failures, 429 and 5xx with exponential backoff
+ */
+async function requestSeriesChunkWithRetry(url, seriesCode, fetchFn) {
+    const { RETRIES, BACKOFF_MS } = CONFIG.API_CLIENT;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestSeriesChunk(url, seriesCode, fetchFn);
+        } catch (error) {
+            const isRetryable = error instanceof SeriesTimeoutError || error instanceof SeriesNetworkError ||
+                (error instanceof SeriesHTTPError && (error.status === 429 || error.status >= 500));
+            if (!isRetryable || attempt >= RETRIES) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+            console.warn(`Tentativa ${attempt + 1} da série ${seriesCode} falhou, repetindo:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, BACKOFF_MS * Math.pow(2, attempt)));
+        }
+    }
+}
+
+/**
+ * Months (yyyy-MM) missing between the first and the last point of a series
+ */
+function findSeriesGaps(seriesData) {
+    if (seriesData.length < 2) return [];
+
+    const present = new Set(seriesData.map(item => getMonthKey(parseAPIDate(item.data))));
+    const first = parseAPIDate(seriesData[0].data);
+    const last = parseAPIDate(seriesData[seriesData.length - 1].data);
+    const lastMonth = new Date(last.getFullYear(), last.getMonth(), 1);
+    const gaps = [];
+
+    for (let month = new Date(first.getFullYear(), first.getMonth() + 1, 1); month < lastMonth;
+        month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        if (!present.has(getMonthKey(month))) gaps.push(getMonthKey(month));
+    }
+
+    return gaps;
+}
+
+/**
+ * Reject series with missing months, which would otherwise be compounded over silently
+ */
+function assertNoSeriesGaps(seriesCode, seriesData) {
+    const gaps = findSeriesGaps(seriesData);
+    if (gaps.length > 0) {
+        const months = gaps.map(key => key.split('-').reverse().join('/'));
+        const listed = months.length > 6
+            ? t('error.series.gapsMore', { months: months.slice(0, 6).join(', '), count: months.length - 6 })
+            : months.join(', ');
+        throw new SeriesGapError(t('error.series.gaps', { series: getSeriesLabel(seriesCode), months: listed }),
+            seriesCode, { gaps });
+    }
+}
+
+/**
+ * Check the shape of a series: dd/MM/yyyy dates in strictly ascending order and numeric values
+ */
+function validateSeriesData(seriesCode, seriesData) {
+    const invalid = (reason) => new SeriesValidationError(
+        t('error.series.invalid', { series: getSeriesLabel(seriesCode), reason }), seriesCode, { reason });
+
+    if (!Array.isArray(seriesData)) {
+        throw invalid(t('error.series.notList'));
+    }
+
+    let previous = null;
+    for (const item of seriesData) {
+        if (!item || typeof item.data !== 'string' || !/^\d{2}\/\d{2}\/\d{4}$/.test(item.data)) {
+            throw invalid(t('error.series.invalidDate', { value: item && item.data }));
+        }
+        if (item.valor === null || item.valor === '' || !isFinite(Number(item.valor))) {
+            throw invalid(t('error.series.notNumeric', { date: item.data, value: item.valor }));
+        }
+        const date = parseAPIDate(item.data);
+        if (previous && date <= previous) {
+            throw invalid(t('error.series.outOfOrder', { date: item.data }));
+        }
+        previous = date;
+    }
+
+    return true;
+}
+
+/**
+ * Fetch series data from Banco Central API
+ * Long ranges are split into CONFIG.API_CLIENT.CHUNK_YEARS windows fetched concurrently,
+ * and the end is capped at today since SGS rejects ranges without data. The result is
+ * validated (shape, order and missing months) before it is returned.
+ * fetchFn is injectable (and CONFIG.API_BASE_URL configurable) so the client can run against a stub server.
+ * With allowEmpty, a period without data resolves to [] instead of failing.
+ */
+async function fetchSeriesData(seriesCode, startDate, endDate, fetchFn = fetch, allowEmpty = false) {
+    const today = new Date();
+    const end = parseInputDate(endDate) < today ? parseInputDate(endDate) : today;
+    const baseUrl = CONFIG.API_BASE_URL.replace('{code}', seriesCode);
+    const ranges = splitDateRange(startDate, end, CONFIG.API_CLIENT.CHUNK_YEARS);
+
+    const chunks = await mapWithConcurrency(ranges, CONFIG.API_CLIENT.CONCURRENCY, ([chunkStart, chunkEnd]) => {
+        const url = `${baseUrl}?formato=json&dataInicial=${formatDateForAPI(chunkStart)}&dataFinal=${formatDateForAPI(chunkEnd)}`;
+        return requestSeriesChunkWithRetry(url, seriesCode, fetchFn);
+    });
+
+    chunks.forEach(chunk => chunk && validateSeriesData(seriesCode, chunk));
+    const data = chunks.filter(Boolean).flat();
+    if (data.length === 0) {
+        if (allowEmpty) return [];
+        throw new SeriesNoDataError(t('error.series.noData', { series: getSeriesLabel(seriesCode) }), seriesCode);
+    }
+
+    // Chunks must also line up with each other
+    validateSeriesData(seriesCode, data);
+    assertNoSeriesGaps(seriesCode, data);
+
+    return data;
+}
+
+// ===================================
+// Series Cache
+// ===================================
+
+/**
+ * Default storage for the series cache (null when unavailable, e.g. private mode)
+ */
+function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the cached entry of a series: { rangeStart, rangeEnd, fetchedAt, data }
+ */
+function readSeriesCache(seriesCode, storage) {
+    if (!storage) return null;
+
+    try {
+        const entry = JSON.parse(storage.getItem(CONFIG.CACHE.KEY_PREFIX + seriesCode));
+        return entry && Array.isArray(entry.data) && entry.data.length > 0 ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Persist the cached entry of a series (a full storage only disables caching)
+ */
+function writeSeriesCache(seriesCode, entry, storage) {
+    if (!storage) return;
+
+    try {
+        storage.setItem(CONFIG.CACHE.KEY_PREFIX + seriesCode, JSON.stringify(entry));
+    } catch (error) {
+        console.warn(`Não foi possível salvar a série ${seriesCode} no cache:`, error);
+    }
+}
+
+/**
+ * Merge two series by date; points from newer take precedence
+ */
+function mergeSeries(older, newer) {
+    const byDate = new Map();
+    [...older, ...newer].forEach(item => byDate.set(item.data, item));
+
+    return [...byDate.values()].sort((a, b) => parseAPIDate(a.data) - parseAPIDate(b.data));
+}
+
+/**
+ * Points of a series within [startDate, endDate], mirroring the API filter
+ */
+function sliceSeries(seriesData, startDate, endDate) {
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+
+    return seriesData.filter(item => {
+        const date = parseAPIDate(item.data);
+        return date >= start && date <= end;
+    });
+}
+
+/**
+ * Get series data through the local cache
+ * Only months newer than the cached ones are requested. When the network fails and
+ * the cache covers the period, cached data is returned with staleSince set to the
+ * date it was fetched.
+ */
+async function getSeriesData(seriesCode, startDate, endDate, options = {}) {
+    const fetchFn = options.fetchFn || fetch;
+    const storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+    const now = options.now || new Date();
+
+    const cached = readSeriesCache(seriesCode, storage);
+    const isCovered = !!cached && parseInputDate(cached.rangeStart) <= parseInputDate(startDate);
+
+    let entry = cached;
+    try {
+        if (!isCovered) {
+            const data = await fetchSeriesData(seriesCode, startDate, endDate, fetchFn);
+            const isContiguous = cached && parseAPIDate(data[data.length - 1].data) >= parseInputDate(cached.rangeStart);
+
+            entry = {
+                rangeStart: startDate,
+                rangeEnd: isContiguous && cached.rangeEnd > endDate ? cached.rangeEnd : endDate,
+                fetchedAt: now.toISOString(),
+                data: isContiguous ? mergeSeries(cached.data, data) : data
+            };
+            writeSeriesCache(seriesCode, entry, storage);
+        } else {
+            const lastDate = parseAPIDate(cached.data[cached.data.length - 1].data);
+            const isFresh = now - new Date(cached.fetchedAt) < CONFIG.CACHE.MAX_AGE_HOURS * 3600000;
+            const wasRequested = endDate <= cached.rangeEnd;
+
+            if (parseInputDate(endDate) > lastDate && !(isFresh && wasRequested)) {
+                // Incremental refresh: only what comes after the last cached point
+                const nextDay = new Date(lastDate.getFullYear(), lastDate.getMonth(), lastDate.getDate() + 1);
+                const newer = await fetchSeriesData(seriesCode, nextDay, endDate, fetchFn, true);
+
+                entry = {
+                    ...cached,
+                    rangeEnd: wasRequested ? cached.rangeEnd : endDate,
+                    fetchedAt: now.toISOString(),
+                    data: mergeSeries(cached.data, newer)
+                };
+                writeSeriesCache(seriesCode, entry, storage);
+            }
+        }
+    } catch (error) {
+        const fallback = isCovered ? sliceSeries(cached.data, startDate, endDate) : [];
+        if (fallback.length === 0) {
+            throw error;
+        }
+
+        console.warn(`Usando dados em cache da série ${seriesCode}:`, error);
+        return { data: fallback, staleSince: new Date(cached.fetchedAt) };
+    }
+
+    const data = sliceSeries(entry.data, startDate, endDate);
+    if (data.length === 0) {
+        throw new SeriesNoDataError(t('error.series.noData', { series: getSeriesLabel(seriesCode) }), seriesCode);
+    }
+    // A refresh appended after the cached points must continue them month by month
+    assertNoSeriesGaps(seriesCode, data);
+
+    return { data, staleSince: null };
+}
+
+// ===================================
+// Index Registry
+// ===================================
+
+/**
+ * Special compounding rules, built from the monthly series of the components
+ */
+const COMPOUNDING_RULES = {
+    /**
+     * Poupança: 0.5% a.m. + TR, or 70% of SELIC + TR when SELIC is at or below 8.5% a.a.
+     * (rule in force for deposits since May 2012; monthly SELIC stands in for the target rate)
+     */
+    poupanca(components) {
+        const selicByDate = new Map(components.selic.map(item => [item.data, parseFloat(item.valor)]));
+        const newRuleStart = new Date(2012, 4, 1);
+
+        return components.tr.map(item => {
+            const tr = parseFloat(item.valor);
+            let base = 0.5;
+
+            if (parseAPIDate(item.data) >= newRuleStart && selicByDate.has(item.data)) {
+                const annualSelic = Math.pow(1 + selicByDate.get(item.data) / 100, 12) - 1;
+                if (annualSelic <= 0.085) {
+                    base = (Math.pow(1 + annualSelic * 0.7, 1 / 12) - 1) * 100;
+                }
+            }
+
+            return { data: item.data, valor: ((1 + base / 100) * (1 + tr / 100) - 1) * 100 };
+        });
+    }
+};
+
+/**
+ * Registry entry of an index id (e.g. 'ipca')
+ */
+function getIndex(indexId) {
+    const index = CONFIG.INDEXES[indexId];
+    if (!index) {
+        throw new Error(t('error.unknownIndex', { index: indexId }));
+    }
+    return index;
+}
+
+/**
+ * Resolve a scenario type ('<index>_fixed', '<index>_pct' or 'fixed_only') to its index
+ * Percentage scenarios ("110% do CDI") carry the percentage applied to the index rate.
+ */
+function getScenario(scenarioType, percentage = 100) {
+    if (scenarioType === 'ntnb') {
+        return { indexId: 'ipca', label: 'IPCA', useSeriesRate: true, percentage: null };
+    }
+
+    if (scenarioType === 'fixed_only') {
+        return { indexId: CONFIG.TIMELINE_INDEX, label: null, useSeriesRate: false, percentage: null };
+    }
+
+    if (scenarioType.endsWith('_pct')) {
+        const indexId = scenarioType.replace(/_pct$/, '');
+        const index = getIndex(indexId);
+        return { indexId, label: t(index.percentageLabel, { percentage: formatNumber(percentage, 0, 2) }), useSeriesRate: true, percentage };
+    }
+
+    const indexId = scenarioType.replace(/_fixed$/, '');
+    return { indexId, label: getIndex(indexId).label, useSeriesRate: true, percentage: null };
+}
+
+/**
+ * Apply a percentage of the index to monthly rates (fallback when daily data is unavailable)
+ * The month is split into its business-day rate, which is the one the percentage applies to.
+ */
+function applyPercentageOfIndex(monthlyData, percentage) {
+    return monthlyData.map(item => {
+        const monthStart = parseAPIDate(item.data);
+        monthStart.setDate(1);
+        const businessDays = countBusinessDays(monthStart, new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1));
+        const dailyRate = Math.pow(1 + parseFloat(item.valor) / 100, 1 / businessDays) - 1;
+
+        return { ...item, valor: (Math.pow(1 + dailyRate * percentage / 100, businessDays) - 1) * 100 };
+    });
+}
+
+/**
+ * Compound daily rates into monthly points dated on the 1st of each month
+ * An optional percentage is applied to each daily rate ("110% do CDI")
+ */
+function aggregateDailyToMonthly(dailyData, percentage = 100) {
+    const months = new Map();
+
+    for (const item of dailyData) {
+        const date = parseAPIDate(item.data);
+        const key = getMonthKey(date);
+        const month = months.get(key) || { data: formatDateForAPI(new Date(date.getFullYear(), date.getMonth(), 1)), factor: 1, days: 0 };
+        month.factor *= 1 + parseFloat(item.valor) / 100 * percentage / 100;
+        month.days++;
+        months.set(key, month);
+    }
+
+    return [...months.values()].map(month => ({
+        data: month.data,
+        valor: (month.factor - 1) * 100,
+        days: month.days,
+        isDailyAggregate: true
+    }));
+}
+
+/**
+ * Fetch the monthly series of an index from the registry
+ * Daily series are compounded into months (falling back to the monthly code)
+ * and composite indexes are built from their components. With a percentage,
+ * the daily series is used when available so the percentage applies day by day.
+ * seriesOptions ({ fetchFn, storage, now }) are handed to getSeriesData.
+ */
+async function fetchIndexSeries(indexId, startDate, endDate, percentage = null, seriesOptions = {}) {
+    const index = getIndex(indexId);
+
+    if (index.compounding) {
+        const components = {};
+        const staleDates = [];
+        for (const componentId of index.components) {
+            const component = await fetchIndexSeries(componentId, startDate, endDate, null, seriesOptions);
+            components[componentId] = component.data;
+            staleDates.push(component.staleSince);
+        }
+
+        const stale = staleDates.filter(Boolean);
+        return {
+            data: COMPOUNDING_RULES[index.compounding](components),
+            staleSince: stale.length > 0 ? new Date(Math.min(...stale)) : null
+        };
+    }
+
+    const dailyCode = index.periodicity === 'daily' ? index.code : index.dailyCode;
+    const monthlyCode = index.periodicity === 'daily' ? index.monthlyCode : index.code;
+
+    if (index.periodicity === 'daily' || (percentage !== null && dailyCode)) {
+        try {
+            const daily = await getSeriesData(dailyCode, startDate, endDate, seriesOptions);
+            // Money is not remunerated on the redemption day
+            const end = parseInputDate(endDate);
+            const accrued = daily.data.filter(item => parseAPIDate(item.data) < end);
+            return { data: aggregateDailyToMonthly(accrued, percentage !== null ? percentage : 100), staleSince: daily.staleSince };
+        } catch (error) {
+            if (!monthlyCode) throw error;
+            console.warn(`Série diária de ${index.label} indisponível, usando a série mensal:`, error);
+        }
+    }
+
+    const monthly = await getSeriesData(monthlyCode, startDate, endDate, seriesOptions);
+    if (percentage !== null) {
+        return { data: applyPercentageOfIndex(monthly.data, percentage), staleSince: monthly.staleSince };
+    }
+    return monthly;
+}
+
+// ===================================
+// Calculation Functions
+// ===================================
+
+/**
+ * Calculate cumulative variation for a series
+ * Uses compound formula: (1 + rate1/100) * (1 + rate2/100) * ... - 1
+ */
+function calculateCumulativeRate(seriesData) {
+    let cumulativeFactor = 1;
+
+    for (const item of seriesData) {
+        const monthlyRate = parseFloat(item.valor);
+        cumulativeFactor *= (1 + monthlyRate / 100);
+    }
+
+    // Return percentage variation
+    return (cumulativeFactor - 1) * 100;
+}
+
+/**
+ * Monthly accrual factor of the annual fixed rate for a series point
+ * - equivalent: (1 + rate)^(1/12), how "IPCA + x% a.a." products accrue
+ * - business_days: (1 + rate)^(du/252), du = business days in the month
+ * - simple: 1 + rate/12 (legacy behaviour, overstates the result)
+ */
+function getFixedRateFactor(annualFixedRate, item, convention = CONFIG.DEFAULT_RATE_CONVENTION) {
+    const annualFactor = 1 + annualFixedRate / 100;
+    // Partial months (pro rata) accrue only their share of the month
+    const fraction = item.proRata !== undefined ? item.proRata : 1;
+
+    if (convention === 'simple') {
+        return 1 + annualFixedRate / 12 / 100 * fraction;
+    }
+
+    if (convention === 'business_days') {
+        const monthStart = parseAPIDate(item.data);
+        monthStart.setDate(1);
+        const nextMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+        return Math.pow(annualFactor, countBusinessDays(monthStart, nextMonth) / 252 * fraction);
+    }
+
+    return Math.pow(annualFactor, fraction / 12);
+}
+
+/**
+ * Pro-rate the partial first and last months of a series (Tesouro VNA style)
+ * The start date accrues (inclusive) and the end date does not (exclusive).
+ * Mode 'calendar' uses calendar days and 'business' uses business days;
+ * the index rate of a partial month becomes (1 + rate)^(days / monthDays) - 1.
+ */
+function applyProRata(seriesData, startDate, endDate, mode) {
+    if (mode === 'none' || seriesData.length === 0) {
+        return seriesData;
+    }
+
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+    const countDays = (from, to) => mode === 'business' ? countBusinessDays(from, to) : daysBetween(from, to);
+
+    return seriesData.map(item => {
+        // Months built from daily rates already cover exactly the days held
+        if (item.isDailyAggregate) {
+            return item;
+        }
+
+        const monthStart = parseAPIDate(item.data);
+        monthStart.setDate(1);
+        const nextMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+
+        const periodStart = start > monthStart ? start : monthStart;
+        const periodEnd = end < nextMonth ? end : nextMonth;
+        if (periodStart.getTime() === monthStart.getTime() && periodEnd.getTime() === nextMonth.getTime()) {
+            return item;
+        }
+
+        const totalDays = countDays(monthStart, nextMonth);
+        const days = Math.max(0, countDays(periodStart, periodEnd));
+        const fraction = totalDays > 0 ? days / totalDays : 0;
+        const rate = (Math.pow(1 + parseFloat(item.valor) / 100, fraction) - 1) * 100;
+
+        return {
+            ...item,
+            valor: rate,
+            fullValor: item.valor,
+            proRata: fraction,
+            proRataDays: days,
+            proRataTotalDays: totalDays,
+            proRataMode: mode
+        };
+    });
+}
+
+/**
+ * Calculate investment value adjusted by series rate + fixed rate
+ * Fixed rate accrues monthly according to the rate convention
+ * For "Fixed Only" scenario, series rate is effectively 0
+ * With a contribution schedule the value comes from the evolution engine
+ */
+function calculateCompoundValue(initialValue, seriesData, annualFixedRate, useSeriesRate = true, schedule = null, ipcaData = null, rateConvention = CONFIG.DEFAULT_RATE_CONVENTION) {
+    if (hasCashFlows(schedule)) {
+        const evolution = calculateInvestmentEvolution(initialValue, seriesData, annualFixedRate, useSeriesRate, schedule, ipcaData, rateConvention);
+        return evolution.length > 0 ? evolution[evolution.length - 1].valueCombined : initialValue;
+    }
+
+    let adjustedValue = initialValue;
+
+    for (const item of seriesData) {
+        const monthlySeriesRate = useSeriesRate ? parseFloat(item.valor) : 0;
+        // Compound both Series rate and fixed rate
+        adjustedValue *= (1 + monthlySeriesRate / 100) * getFixedRateFactor(annualFixedRate, item, rateConvention);
+    }
+
+    return adjustedValue;
+}
+
+// ===================================
+// Exact Decimal Calculation
+// ===================================
+
+/**
+ * Parse a decimal ("0.42", "-1.5", 1234.56) into a BigInt with `scale` decimals
+ * Digits beyond the scale are truncated.
+ */
+function parseDecimalToScaled(value, scale) {
+    const match = String(value).trim().match(/^(-)?(\d+)(?:\.(\d+))?$/);
+    if (!match) {
+        throw new Error(t('error.invalidDecimal', { value }));
+    }
+
+    const [, sign, integer, fraction = ''] = match;
+    const scaled = BigInt(integer) * 10n ** BigInt(scale) + BigInt((fraction + '0'.repeat(scale)).slice(0, scale) || '0');
+    return sign ? -scaled : scaled;
+}
+
+/**
+ * Drop decimals of a scaled BigInt, truncating toward zero
+ */
+function truncateScaled(value, fromScale, toScale) {
+    return value / 10n ** BigInt(fromScale - toScale);
+}
+
+/**
+ * Drop decimals of a scaled BigInt, rounding half away from zero
+ */
+function roundScaled(value, fromScale, toScale) {
+    const divisor = 10n ** BigInt(fromScale - toScale);
+    const quotient = value / divisor;
+    const remainder = value % divisor;
+    const magnitude = remainder < 0n ? -remainder : remainder;
+
+    if (magnitude * 2n >= divisor) {
+        return quotient + (value < 0n ? -1n : 1n);
+    }
+    return quotient;
+}
+
+/**
+ * Decimal string of a scaled BigInt, e.g. (10523456n, 7) -> "1.0523456"
+ */
+function formatScaled(value, scale) {
+    const digits = (value < 0n ? -value : value).toString().padStart(scale + 1, '0');
+    const integer = digits.slice(0, digits.length - scale);
+    const fraction = scale > 0 ? `.${digits.slice(digits.length - scale)}` : '';
+    return `${value < 0n ? '-' : ''}${integer}${fraction}`;
+}
+
+/**
+ * Accumulated factor of a series in exact decimal arithmetic, with no intermediate rounding
+ * Each (1 + rate/100) is exact for the published decimals. Returns { factor, scale }.
+ */
+function calculateExactFactor(seriesData) {
+    // Starting at the factor's displayed scale keeps short periods from having fewer decimals
+    let scale = CONFIG.OFFICIAL_ROUNDING.FACTOR_DECIMALS;
+    let factor = 10n ** BigInt(scale);
+
+    for (const item of seriesData) {
+        // rate/100 has two more decimals than the published rate
+        const rateScale = (String(item.valor).split('.')[1] || '').length + 2;
+        factor *= 10n ** BigInt(rateScale) + parseDecimalToScaled(item.valor, rateScale - 2);
+        scale += rateScale;
+    }
+
+    return { factor, scale };
+}
+
+/**
+ * Check whether a series can go through the exact path: the raw published values, whole months
+ * (compounded daily rates, pro-rated months and composite indexes are already floating point,
+ * and projected months are not official figures)
+ */
+function isExactSeries(seriesData) {
+    return seriesData.length > 0 && seriesData.every(item => typeof item.valor === 'string' &&
+        item.proRata === undefined && !item.isDailyAggregate && !item.isProjection);
+}
+
+/**
+ * Correct an amount by a series with the Calculadora do Cidadão rules
+ * Factor truncated to 7 decimals, percentage rounded to 6 and the value to the cent.
+ * Returns decimal strings: { factor, percentage, value }.
+ */
+function calculateOfficialCorrection(amount, seriesData) {
+    const { FACTOR_DECIMALS, PERCENTAGE_DECIMALS, CURRENCY_DECIMALS } = CONFIG.OFFICIAL_ROUNDING;
+
+    const exact = calculateExactFactor(seriesData);
+    const factor = truncateScaled(exact.factor, exact.scale, FACTOR_DECIMALS);
+    const amountCents = roundScaled(parseDecimalToScaled(amount, CURRENCY_DECIMALS + 2), CURRENCY_DECIMALS + 2, CURRENCY_DECIMALS);
+    const value = roundScaled(amountCents * factor, CURRENCY_DECIMALS + FACTOR_DECIMALS, CURRENCY_DECIMALS);
+    const percentage = roundScaled((factor - 10n ** BigInt(FACTOR_DECIMALS)) * 100n, FACTOR_DECIMALS, PERCENTAGE_DECIMALS);
+
+    return {
+        factor: formatScaled(factor, FACTOR_DECIMALS),
+        percentage: formatScaled(percentage, PERCENTAGE_DECIMALS),
+        value: formatScaled(value, CURRENCY_DECIMALS)
+    };
+}
+
+// ===================================
+// Real (Inflation-Deflated) Values
+// ===================================
+
+/**
+ * Deflate an evolution series to end-date purchasing power (R$ de hoje) using IPCA
+ * Each point gets valueReal / valueSeriesReal / valueNetReal / totalInvestedReal.
+ * Contributions are deflated from the month they enter, so the real return reflects
+ * what the money actually bought. Net values are used when taxes were applied.
+ */
+function applyRealValues(evolution, ipcaData, startDate, endDate) {
+    const ipcaByMonth = new Map(ipcaData.map(item => [getMonthKey(parseAPIDate(item.data)), parseFloat(item.valor)]));
+
+    // IPCA level at the end of each point's month
+    let level = 1;
+    const levels = evolution.map(point => {
+        level *= 1 + (ipcaByMonth.get(getMonthKey(point.date)) || 0) / 100;
+        return level;
+    });
+    const endLevel = level;
+
+    const hasNet = evolution.length > 0 && evolution[0].valueNet !== undefined;
+    let realContributed = 0;
+    let realWithdrawn = 0;
+    let realNetWithdrawn = 0;
+    let previousNetWithdrawn = 0;
+
+    evolution.forEach((point, index) => {
+        // Flows enter at the start of the month, before its inflation
+        const flowDeflator = endLevel / (index === 0 ? 1 : levels[index - 1]);
+        const contributed = index === 0 ? point.totalContributed : point.totalContributed - evolution[index - 1].totalContributed;
+        const withdrawn = index === 0 ? point.totalWithdrawn : point.totalWithdrawn - evolution[index - 1].totalWithdrawn;
+        realContributed += contributed * flowDeflator;
+        realWithdrawn += withdrawn * flowDeflator;
+
+        if (hasNet) {
+            realNetWithdrawn += (point.netWithdrawn - previousNetWithdrawn) * flowDeflator;
+            previousNetWithdrawn = point.netWithdrawn;
+        }
+
+        const deflator = endLevel / levels[index];
+        point.deflator = deflator;
+        point.flowDeflator = flowDeflator;
+        point.valueReal = point.valueCombined * deflator;
+        point.valueSeriesReal = point.valueSeries * deflator;
+        point.totalInvestedReal = realContributed - realWithdrawn;
+        if (hasNet) point.valueNetReal = point.valueNet * deflator;
+    });
+
+    const lastPoint = evolution[evolution.length - 1];
+    const finalValue = hasNet ? lastPoint.valueNet : lastPoint.valueCombined;
+    const withdrawnValue = hasNet ? realNetWithdrawn : realWithdrawn;
+    const realTotalReturn = ((finalValue + withdrawnValue - realContributed) / realContributed) * 100;
+
+    return {
+        inflation: (endLevel - 1) * 100,
+        realTotalReturn,
+        realAnnualizedReturn: annualizeReturn(realTotalReturn, startDate, endDate),
+        isNet: hasNet
+    };
+}
+
+// ===================================
+// Monte Carlo Projection
+// ===================================
+
+/**
+ * Seedable pseudo-random generator (mulberry32) returning floats in [0, 1)
+ * The same seed always yields the same simulation.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Percentile (0-100) of a list of numbers, with linear interpolation
+ */
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Historical monthly rates (%) the simulation resamples from: the last `months`
+ * official months of the index before the projection starts
+ */
+async function fetchSimulationHistory(indexId, seriesData, months, percentage = null, seriesOptions = {}) {
+    const official = seriesData.filter(item => !item.isProjection);
+    const lastDate = parseAPIDate(official[official.length - 1].data);
+    const historyStart = new Date(lastDate.getFullYear(), lastDate.getMonth() - months + 1, 1);
+    const historyEnd = new Date(lastDate.getFullYear(), lastDate.getMonth() + 1, 1);
+
+    const { data } = await fetchIndexSeries(indexId, formatInputDate(historyStart), formatInputDate(historyEnd), percentage,
+        seriesOptions);
+    return data.slice(-months).map(item => parseFloat(item.valor));
+}
+
+/**
+ * Run a bootstrap Monte Carlo over the projected months of a series
+ * Each path replaces every projected rate by a rate drawn (with replacement) from
+ * historicalRates; evaluatePath turns a path into one value per point.
+ * Returns P10/P50/P90 bands per point and the probability of ending above the target.
+ */
+function runMonteCarlo(seriesData, historicalRates, options, evaluatePath) {
+    const random = createRandom(options.seed);
+    const valuesPerPoint = seriesData.map(() => []);
+
+    for (let path = 0; path < options.paths; path++) {
+        const pathData = seriesData.map(item => {
+            if (!item.isProjection) return item;
+
+            let rate = historicalRates[Math.floor(random() * historicalRates.length)];
+            if (item.proRata !== undefined) {
+                rate = (Math.pow(1 + rate / 100, item.proRata) - 1) * 100;
+            }
+            return { ...item, valor: rate };
+        });
+
+        evaluatePath(pathData).forEach((value, index) => valuesPerPoint[index].push(value));
+    }
+
+    const bands = valuesPerPoint.map((values, index) => ({
+        dateString: seriesData[index].data,
+        isProjection: !!seriesData[index].isProjection,
+        p10: percentile(values, 10),
+        p50: percentile(values, 50),
+        p90: percentile(values, 90)
+    }));
+
+    const finalValues = valuesPerPoint[valuesPerPoint.length - 1];
+    const hasTarget = options.targetValue > 0;
+
+    return {
+        bands,
+        finalBand: bands[bands.length - 1],
+        probabilityAboveTarget: hasTarget ? finalValues.filter(value => value > options.targetValue).length / finalValues.length * 100 : null,
+        targetValue: hasTarget ? options.targetValue : null,
+        paths: options.paths,
+        seed: options.seed,
+        sampleSize: historicalRates.length
+    };
+}
+
+// ===================================
+// Tesouro IPCA+ com Juros Semestrais (NTN-B)
+// ===================================
+
+/**
+ * Semiannual coupon rate equivalent to the 6% a.a. coupon (≈ 2,956301%)
+ */
+function getNTNBSemiannualCouponRate() {
+    return Math.pow(1 + CONFIG.NTNB.ANNUAL_COUPON_RATE / 100, 1 / 2) - 1;
+}
+
+/**
+ * VNA (valor nominal atualizado) at any date, built from the IPCA series
+ * The VNA is 1000 on 15/07/2000 and is corrected by each month's IPCA from one 15th to the
+ * next; between two 15ths it grows pro rata by business days. Months without a published
+ * IPCA (e.g. the current one) use the projected rate, or the last known one.
+ */
+function createVNACalculator(ipcaData) {
+    const ratesByMonth = new Map(ipcaData.map(item => [getMonthKey(parseAPIDate(item.data)), parseFloat(item.valor)]));
+    const lastRate = ipcaData.length > 0 ? parseFloat(ipcaData[ipcaData.length - 1].valor) : 0;
+    const base = parseInputDate(CONFIG.NTNB.VNA_BASE_DATE);
+    const anchors = [CONFIG.NTNB.VNA_BASE_VALUE]; // VNA on the 15th, by months after the base date
+
+    const monthRate = (offset) => {
+        const key = getMonthKey(new Date(base.getFullYear(), base.getMonth() + offset, 1));
+        return ratesByMonth.has(key) ? ratesByMonth.get(key) : lastRate;
+    };
+
+    return (date) => {
+        const day = CONFIG.NTNB.COUPON_DAY;
+        const offset = (date.getFullYear() - base.getFullYear()) * 12 + date.getMonth() - base.getMonth() -
+            (date.getDate() < day ? 1 : 0);
+        while (anchors.length <= offset) {
+            anchors.push(anchors[anchors.length - 1] * (1 + monthRate(anchors.length - 1) / 100));
+        }
+
+        const anchorDate = new Date(base.getFullYear(), base.getMonth() + offset, day);
+        const nextAnchorDate = new Date(base.getFullYear(), base.getMonth() + offset + 1, day);
+        const fraction = countBusinessDays(anchorDate, date) / countBusinessDays(anchorDate, nextAnchorDate);
+        return anchors[offset] * Math.pow(1 + monthRate(offset) / 100, fraction);
+    };
+}
+
+/**
+ * Coupon dates (15/05 and 15/11) after `fromDate` up to the maturity (inclusive)
+ */
+function getNTNBCouponDates(fromDate, maturityDate) {
+    const dates = [];
+    for (let year = fromDate.getFullYear(); year <= maturityDate.getFullYear(); year++) {
+        CONFIG.NTNB.COUPON_MONTHS.forEach(month => {
+            const date = new Date(year, month - 1, CONFIG.NTNB.COUPON_DAY);
+            if (date > fromDate && date <= maturityDate) dates.push(date);
+        });
+    }
+    return dates;
+}
+
+/**
+ * Unit price (PU) of an NTN-B at a date for an annual real yield
+ * The quote discounts the remaining coupons and the principal at (1 + yield)^(du/252);
+ * the price is the quote applied to the VNA. Coupons paid on the date itself are excluded.
+ */
+function priceNTNB(vna, date, maturityDate, annualYield) {
+    const couponRate = getNTNBSemiannualCouponRate();
+    const discount = (paymentDate) => Math.pow(1 + annualYield / 100, countBusinessDays(date, paymentDate) / 252);
+
+    const quote = getNTNBCouponDates(date, maturityDate)
+        .reduce((sum, couponDate) => sum + couponRate / discount(couponDate), 0) + 1 / discount(maturityDate);
+    return vna * quote;
+}
+
+/**
+ * Monthly evolution of an NTN-B position bought at `purchaseYield`, valued on the curve
+ * Coupons are paid on 15/05 and 15/11; reinvested coupons buy more bonds at the purchase
+ * yield, otherwise they leave the position as withdrawals. The principal redeemed at
+ * maturity stays in the balance. `timeline` is the monthly IPCA of the period.
+ */
+function calculateNTNBEvolution(amount, timeline, vnaAt, startDate, endDate, purchaseYield, maturityDate, reinvestCoupons) {
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+    const couponRate = getNTNBSemiannualCouponRate();
+    const vnaStart = vnaAt(start);
+    const purchasePrice = priceNTNB(vnaStart, start, maturityDate, purchaseYield);
+
+    let quantity = amount / purchasePrice;
+    let redeemedCash = 0;
+    let totalWithdrawn = 0;
+    let previousDate = start;
+    let previousValue = amount;
+    const coupons = [];
+    const evolution = [];
+
+    const valueAt = (date) => {
+        if (quantity === 0) return redeemedCash;
+        return quantity * priceNTNB(vnaAt(date), date, maturityDate, purchaseYield) + redeemedCash;
+    };
+
+    timeline.forEach(item => {
+        const monthStart = parseAPIDate(item.data);
+        const nextMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+        const valuationDate = nextMonth < end ? nextMonth : end;
+
+        let paidOut = 0;
+        let couponAmount = 0;
+        getNTNBCouponDates(previousDate, valuationDate).forEach(couponDate => {
+            if (quantity === 0 || couponDate > maturityDate) return;
+
+            const vna = vnaAt(couponDate);
+            const payment = quantity * vna * couponRate;
+            const isMaturity = couponDate.getTime() === maturityDate.getTime();
+            const reinvested = reinvestCoupons && !isMaturity;
+            coupons.push({ date: couponDate, vna, couponPerUnit: vna * couponRate, quantity, amount: payment, reinvested });
+            couponAmount += payment;
+
+            if (reinvested) {
+                quantity += payment / priceNTNB(vna, couponDate, maturityDate, purchaseYield);
+            } else {
+                paidOut += payment;
+            }
+            if (isMaturity) {
+                redeemedCash += quantity * vna;
+                quantity = 0;
+            }
+        });
+        totalWithdrawn += paidOut;
+
+        const value = valueAt(valuationDate);
+        const monthlyRate = parseFloat(item.valor);
+        const monthlyFactor = (value + paidOut) / previousValue;
+        const totalInvested = amount - totalWithdrawn;
+
+        evolution.push({
+            date: monthStart,
+            valueSeries: amount * vnaAt(valuationDate) / vnaStart,
+            valueCombined: value,
+            dateString: item.data,
+            isProjection: !!item.isProjection,
+            projectionLabel: item.projectionLabel || null,
+            proRata: undefined,
+            proRataLabel: null,
+            monthlyRate,
+            monthlyFixedRate: (monthlyFactor / (1 + monthlyRate / 100) - 1) * 100,
+            monthlyFactor,
+            cashFlow: -paidOut,
+            coupon: couponAmount,
+            couponReinvested: couponAmount > 0 && paidOut === 0,
+            totalContributed: amount,
+            totalWithdrawn,
+            totalInvested,
+            balance: value,
+            earnings: value - totalInvested
+        });
+
+        previousDate = valuationDate;
+        previousValue = value;
+    });
+
+    return { evolution, coupons, purchasePrice, vnaStart, quantity, redeemedCash };
+}
+
+/**
+ * Validate the NTN-B inputs (coupons are paid in May/November, so maturities fall on 15/05)
+ */
+function validateNTNB(ntnb, startDate, endDate, schedule = null, taxOptions = null) {
+    if (!ntnb.maturityDate) {
+        throw new Error(t('error.ntnb.maturityRequired'));
+    }
+
+    const maturity = parseInputDate(ntnb.maturityDate);
+    if (maturity.getDate() !== CONFIG.NTNB.COUPON_DAY || maturity.getMonth() !== CONFIG.NTNB.COUPON_MONTHS[0] - 1) {
+        throw new Error(t('error.ntnb.maturityMay'));
+    }
+
+    if (maturity <= parseInputDate(startDate)) {
+        throw new Error(t('error.ntnb.maturityAfterStart'));
+    }
+
+    if (parseInputDate(startDate) < parseInputDate(CONFIG.NTNB.VNA_BASE_DATE)) {
+        throw new Error(t('error.ntnb.startBeforeBase', { date: formatDateForDisplay(CONFIG.NTNB.VNA_BASE_DATE) }));
+    }
+
+    if (ntnb.currentYield !== null && ntnb.currentYield < 0) {
+        throw new Error(t('error.ntnb.negativeYield'));
+    }
+
+    if (hasCashFlows(schedule) || taxOptions) {
+        throw new Error(t('error.ntnb.unsupportedOptions'));
+    }
+}
+
+/**
+ * Calculate an NTN-B position: VNA from the IPCA, coupons, price on the curve (purchase
+ * yield) and mark-to-market (current yield) at the end date
+ */
+async function calculateNTNBScenario(scenarioInput, params) {
+    const { amount, startDate, endDate } = params;
+    const ntnb = params.ntnb;
+    const projection = params.projection || DEFAULT_PROJECTION;
+    const purchaseYield = scenarioInput.rate;
+    const maturityDate = parseInputDate(ntnb.maturityDate);
+    const end = parseInputDate(endDate);
+
+    // The VNA accumulates the IPCA since its base date
+    const projected = await fetchProjectedSeries('ipca', getMonthStart(CONFIG.NTNB.VNA_BASE_DATE), endDate, null, projection,
+        params.seriesOptions);
+    const vnaAt = createVNACalculator(projected.data);
+    const startMonth = getMonthKey(parseInputDate(startDate));
+    const timeline = projected.data.filter(item => getMonthKey(parseAPIDate(item.data)) >= startMonth);
+
+    const result = calculateNTNBEvolution(amount, timeline, vnaAt, startDate, endDate, purchaseYield, maturityDate,
+        ntnb.reinvestCoupons);
+    const { evolution, coupons } = result;
+    const lastPoint = evolution[evolution.length - 1];
+    const matured = result.quantity === 0;
+
+    const vnaEnd = vnaAt(end);
+    const curvePrice = matured ? null : priceNTNB(vnaEnd, end, maturityDate, purchaseYield);
+    const marketPrice = matured || ntnb.currentYield === null ? null : priceNTNB(vnaEnd, end, maturityDate, ntnb.currentYield);
+    const marketValue = marketPrice === null ? null : result.quantity * marketPrice + result.redeemedCash;
+
+    const realSummary = applyRealValues(evolution, timeline, startDate, endDate);
+
+    return {
+        displayLabel: getScenarioDisplayLabel(scenarioInput),
+        seriesLabel: 'IPCA',
+        amount,
+        fixedRate: purchaseYield,
+        evolution,
+        finalValue: lastPoint.valueCombined,
+        totalVariation: (vnaEnd / result.vnaStart - 1) * 100,
+        isProjection: timeline.some(item => item.isProjection),
+        averageRate: projected.averageRate,
+        projectionInfo: projected.projectionInfo,
+        cashFlowSummary: {
+            totalContributed: amount,
+            totalWithdrawn: lastPoint.totalWithdrawn
+        },
+        taxSummary: null,
+        realSummary,
+        monteCarlo: null,
+        staleDates: [projected.staleSince],
+        ntnb: {
+            coupons,
+            purchasePrice: result.purchasePrice,
+            quantity: result.quantity,
+            vnaStart: result.vnaStart,
+            vnaEnd,
+            curvePrice,
+            marketPrice,
+            curveValue: lastPoint.valueCombined,
+            marketValue,
+            currentYield: ntnb.currentYield,
+            totalCoupons: coupons.reduce((sum, coupon) => sum + coupon.amount, 0),
+            matured
+        }
+    };
+}
+
+// ===================================
+// Taxes and Fees
+// ===================================
+
+/**
+ * Days between two dates, ignoring daylight saving shifts
+ */
+function daysBetween(startDate, endDate) {
+    return Math.round((endDate - startDate) / 86400000);
+}
+
+/**
+ * Income tax rate (%) for a holding period, following the regressive table
+ */
+function getIncomeTaxRate(days) {
+    return CONFIG.TAX.INCOME_TAX_BRACKETS.find(bracket => days <= bracket.maxDays).rate;
+}
+
+/**
+ * IOF rate (%) on earnings for a holding period (zero from day 30 on)
+ */
+function getIOFRate(days) {
+    return days < CONFIG.TAX.IOF_TABLE.length ? CONFIG.TAX.IOF_TABLE[Math.max(days, 0)] : 0;
+}
+
+/**
+ * Taxes due when redeeming a gain held for a number of days
+ * IOF is charged first and IR is charged on the gain net of IOF
+ */
+function calculateRedemptionTax(gain, days, taxOptions) {
+    if (gain <= 0 || taxOptions.isExempt) {
+        return { iof: 0, incomeTax: 0 };
+    }
+
+    const iof = gain * getIOFRate(days) / 100;
+    const incomeTax = (gain - iof) * getIncomeTaxRate(days) / 100;
+    return { iof, incomeTax };
+}
+
+/**
+ * Apply custody/admin fees and taxes on top of an evolution series
+ * Each contribution is tracked as its own lot so the IR bracket follows its holding period;
+ * withdrawals redeem the oldest lots first. The net value of each point is what the
+ * investor would receive redeeming everything on that date.
+ */
+function applyTaxesAndFees(evolution, initialValue, startDate, endDate, taxOptions) {
+    const monthlyFee = taxOptions.annualFee / 12 / 100;
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+    const lots = [{ date: start, principal: initialValue, value: initialValue }];
+
+    let feesPaid = 0;
+    let taxesPaid = 0;
+    let netWithdrawn = 0;
+
+    evolution.forEach((point, index) => {
+        const flowDate = index === 0 ? start : point.date;
+
+        if (point.cashFlow > 0) {
+            lots.push({ date: flowDate, principal: point.cashFlow, value: point.cashFlow });
+        } else if (point.cashFlow < 0) {
+            let remaining = -point.cashFlow;
+
+            for (const lot of lots) {
+                if (remaining <= 0) break;
+                if (lot.value <= 0) continue;
+
+                const taken = Math.min(remaining, lot.value);
+                const share = taken / lot.value;
+                const gain = (lot.value - lot.principal) * share;
+                const tax = calculateRedemptionTax(gain, daysBetween(lot.date, flowDate), taxOptions);
+
+                lot.principal -= lot.principal * share;
+                lot.value -= taken;
+                remaining -= taken;
+                taxesPaid += tax.iof + tax.incomeTax;
+                netWithdrawn += taken - tax.iof - tax.incomeTax;
+            }
+        }
+
+        // Month's yield, then the pro rata fee on the resulting balance
+        let grossBalance = 0;
+        for (const lot of lots) {
+            lot.value *= point.monthlyFactor;
+            feesPaid += lot.value * monthlyFee;
+            lot.value *= (1 - monthlyFee);
+            grossBalance += lot.value;
+        }
+
+        // Value the point at the end of its month (or at the end date)
+        const isLast = index === evolution.length - 1;
+        const valuationDate = isLast ? end : new Date(point.date.getFullYear(), point.date.getMonth() + 1, 1);
+
+        let iofDue = 0;
+        let incomeTaxDue = 0;
+        for (const lot of lots) {
+            const tax = calculateRedemptionTax(lot.value - lot.principal, daysBetween(lot.date, valuationDate), taxOptions);
+            iofDue += tax.iof;
+            incomeTaxDue += tax.incomeTax;
+        }
+
+        point.valueNet = grossBalance - iofDue - incomeTaxDue;
+        point.iofDue = iofDue;
+        point.incomeTaxDue = incomeTaxDue;
+        point.feesPaid = feesPaid;
+        point.taxesPaid = taxesPaid;
+        point.netWithdrawn = netWithdrawn;
+    });
+
+    return evolution;
+}
+
+// ===================================
+// Scenario Comparison
+// ===================================
+
+/**
+ * Annualize a total return (%) over a period
+ */
+function annualizeReturn(totalReturn, startDate, endDate) {
+    const years = daysBetween(parseInputDate(startDate), parseInputDate(endDate)) / 365;
+    if (years <= 0 || totalReturn <= -100) return totalReturn;
+    return (Math.pow(1 + totalReturn / 100, 1 / years) - 1) * 100;
+}
+
+/**
+ * First index from which `leader` stays above `other` for good
+ * Returns 0 when it is ahead at every point, or -1 when it ends behind.
+ */
+function findBreakEvenIndex(leader, other) {
+    for (let i = leader.length - 1; i >= 0; i--) {
+        if (leader[i] <= other[i]) {
+            return i === leader.length - 1 ? -1 : i + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Compare calculated scenarios: final value, total and annualized return,
+ * the winner and the month from which it beats each of the others.
+ * Values are net of taxes and fees when the tax layer is enabled.
+ */
+function compareScenarios(results, startDate, endDate) {
+    const useNet = results[0].taxSummary !== null;
+
+    // Align the evolutions on a common monthly timeline (series may start in different months)
+    const dateStrings = [...new Set(results.flatMap(result => result.evolution.map(item => item.dateString)))]
+        .sort((a, b) => parseAPIDate(a) - parseAPIDate(b));
+
+    const scenarios = results.map(result => {
+        const byDate = new Map(result.evolution.map(item => [item.dateString, item]));
+        // Months before a scenario's first point hold the initial amount
+        const startingValue = result.amount;
+        let lastValue = startingValue;
+        const values = dateStrings.map(dateString => {
+            const item = byDate.get(dateString);
+            if (item) lastValue = useNet ? item.valueNet : item.valueCombined;
+            return lastValue;
+        });
+        let lastRealValue = startingValue * result.evolution[0].deflator;
+        const realValues = dateStrings.map(dateString => {
+            const item = byDate.get(dateString);
+            if (item) lastRealValue = useNet ? item.valueNetReal : item.valueReal;
+            return lastRealValue;
+        });
+
+        const finalValue = useNet ? result.taxSummary.netValue : result.finalValue;
+        const withdrawn = useNet ? result.taxSummary.netWithdrawn : result.cashFlowSummary.totalWithdrawn;
+        const contributed = result.cashFlowSummary.totalContributed;
+        const totalReturn = ((finalValue + withdrawn - contributed) / contributed) * 100;
+
+        return {
+            label: result.displayLabel,
+            finalValue,
+            totalReturn,
+            annualizedReturn: annualizeReturn(totalReturn, startDate, endDate),
+            realTotalReturn: result.realSummary.realTotalReturn,
+            realAnnualizedReturn: result.realSummary.realAnnualizedReturn,
+            values,
+            realValues,
+            projectionFlags: dateStrings.map(dateString => !!(byDate.get(dateString) || {}).isProjection)
+        };
+    });
+
+    const winnerIndex = scenarios.reduce((best, scenario, index) =>
+        scenario.finalValue > scenarios[best].finalValue ? index : best, 0);
+    const winner = scenarios[winnerIndex];
+
+    const breakEvens = scenarios
+        .map((scenario, index) => ({ scenario, index }))
+        .filter(({ index }) => index !== winnerIndex)
+        .map(({ scenario, index }) => {
+            const breakEvenIndex = findBreakEvenIndex(winner.values, scenario.values);
+            return {
+                otherIndex: index,
+                otherLabel: scenario.label,
+                index: breakEvenIndex,
+                dateString: breakEvenIndex > 0 ? dateStrings[breakEvenIndex] : null
+            };
+        });
+
+    return { scenarios, winnerIndex, breakEvens, dateStrings, useNet };
+}
+
+// ===================================
+// Portfolios
+// ===================================
+
+/**
+ * Saved portfolios by name: { [name]: { positions, savedAt } }
+ */
+function readPortfolios(storage = getDefaultStorage()) {
+    if (!storage) return {};
+
+    try {
+        const portfolios = JSON.parse(storage.getItem(CONFIG.PORTFOLIO_STORAGE_KEY));
+        return portfolios && typeof portfolios === 'object' ? portfolios : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save (or replace) a named portfolio
+ */
+function savePortfolio(name, positions, storage = getDefaultStorage()) {
+    if (!storage) {
+        throw new Error(t('error.portfolio.storageUnavailable'));
+    }
+
+    const portfolios = readPortfolios(storage);
+    portfolios[name] = { positions, savedAt: new Date().toISOString() };
+    try {
+        storage.setItem(CONFIG.PORTFOLIO_STORAGE_KEY, JSON.stringify(portfolios));
+    } catch (error) {
+        throw new Error(t('error.portfolio.storageFull'));
+    }
+}
+
+/**
+ * Remove a named portfolio
+ */
+function deletePortfolio(name, storage = getDefaultStorage()) {
+    if (!storage) return;
+
+    const portfolios = readPortfolios(storage);
+    delete portfolios[name];
+    storage.setItem(CONFIG.PORTFOLIO_STORAGE_KEY, JSON.stringify(portfolios));
+}
+
+/**
+ * Language chosen on a previous visit (null when none or not supported)
+ */
+function readSavedLocale(storage = getDefaultStorage()) {
+    try {
+        const locale = storage ? storage.getItem(CONFIG.LOCALE_STORAGE_KEY) : null;
+        return locale && matchLocale([locale]) === locale ? locale : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember the chosen language (best effort: the page works without storage)
+ */
+function saveLocale(locale, storage = getDefaultStorage()) {
+    try {
+        if (storage) storage.setItem(CONFIG.LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        console.warn('Não foi possível salvar o idioma:', error);
+    }
+}
+
+/**
+ * Allocation bucket of a scenario: its index, or "Prefixado" for fixed-rate only
+ */
+function getAllocationLabel(scenarioType) {
+    const { indexId, useSeriesRate } = getScenario(scenarioType);
+    return useSeriesRate ? getIndex(indexId).label : t('allocation.fixedRate');
+}
+
+/**
+ * Consolidate calculated positions into one evolution
+ * Positions are worth zero before their purchase month and are summed on a common
+ * monthly timeline; values are net of taxes and fees when the tax layer is enabled.
+ */
+function aggregatePortfolio(positions, results) {
+    const useNet = results[0].taxSummary !== null;
+    const dateStrings = [...new Set(results.flatMap(result => result.evolution.map(item => item.dateString)))]
+        .sort((a, b) => parseAPIDate(a) - parseAPIDate(b));
+
+    const items = results.map((result, index) => {
+        const byDate = new Map(result.evolution.map(item => [item.dateString, item]));
+        let lastValue = 0;
+        let lastRealValue = 0;
+        const values = [];
+        const realValues = [];
+        dateStrings.forEach(dateString => {
+            const item = byDate.get(dateString);
+            if (item) {
+                lastValue = useNet ? item.valueNet : item.valueCombined;
+                lastRealValue = useNet ? item.valueNetReal : item.valueReal;
+            }
+            values.push(lastValue);
+            realValues.push(lastRealValue);
+        });
+
+        const invested = result.cashFlowSummary.totalContributed;
+        const finalValue = useNet ? result.taxSummary.netValue : result.finalValue;
+
+        return {
+            label: result.displayLabel,
+            startDate: positions[index].startDate,
+            allocationLabel: getAllocationLabel(positions[index].scenarioType),
+            invested,
+            finalValue,
+            totalReturn: ((finalValue - invested) / invested) * 100,
+            values,
+            realValues,
+            projectionFlags: dateStrings.map(dateString => !!(byDate.get(dateString) || {}).isProjection)
+        };
+    });
+
+    const totalInvested = items.reduce((sum, item) => sum + item.invested, 0);
+    const finalValue = items.reduce((sum, item) => sum + item.finalValue, 0);
+
+    const allocationByLabel = new Map();
+    items.forEach(item => {
+        allocationByLabel.set(item.allocationLabel, (allocationByLabel.get(item.allocationLabel) || 0) + item.finalValue);
+    });
+    const allocation = [...allocationByLabel.entries()]
+        .map(([label, value]) => ({ label, value, share: finalValue > 0 ? (value / finalValue) * 100 : 0 }))
+        .sort((a, b) => b.value - a.value);
+
+    return {
+        positions: items,
+        dateStrings,
+        totals: dateStrings.map((dateString, i) => items.reduce((sum, item) => sum + item.values[i], 0)),
+        totalInvested,
+        finalValue,
+        totalReturn: ((finalValue - totalInvested) / totalInvested) * 100,
+        allocation,
+        useNet
+    };
+}
+
+// ===================================
+// Monthly Breakdown and Export
+// ===================================
+
+/**
+ * Month-by-month rows of an evolution with a subtotal row closing each year
+ * Subtotals carry the year's accumulated rates and the values at year end.
+ */
+function buildBreakdownRows(evolution) {
+    const rows = [];
+    let year = null;
+    let yearIndexFactor = 1;
+    let yearFixedFactor = 1;
+
+    const closeYear = (lastPoint) => {
+        rows.push({
+            type: 'year',
+            label: t('breakdown.yearTotal', { year }),
+            indexRate: (yearIndexFactor - 1) * 100,
+            fixedRate: (yearFixedFactor - 1) * 100,
+            valueSeries: lastPoint.valueSeries,
+            valueCombined: lastPoint.valueCombined,
+            isProjection: lastPoint.isProjection
+        });
+    };
+
+    evolution.forEach((point, index) => {
+        if (year !== null && point.date.getFullYear() !== year) {
+            closeYear(evolution[index - 1]);
+            yearIndexFactor = 1;
+            yearFixedFactor = 1;
+        }
+        year = point.date.getFullYear();
+        yearIndexFactor *= 1 + point.monthlyRate / 100;
+        yearFixedFactor *= 1 + point.monthlyFixedRate / 100;
+
+        rows.push({
+            type: 'month',
+            label: formatShortDate(point.date),
+            indexRate: point.monthlyRate,
+            fixedRate: point.monthlyFixedRate,
+            valueSeries: point.valueSeries,
+            valueCombined: point.valueCombined,
+            isProjection: point.isProjection
+        });
+    });
+
+    if (evolution.length > 0) {
+        closeYear(evolution[evolution.length - 1]);
+    }
+
+    return rows;
+}
+
+/**
+ * Column headers of the breakdown (table, CSV and spreadsheet)
+ */
+function getBreakdownHeaders(seriesLabel) {
+    const index = seriesLabel || t('breakdown.defaultIndex');
+    return [t('breakdown.date'), t('breakdown.indexRate', { index }), t('breakdown.fixedRate'),
+        t('breakdown.valueSeries', { index }), t('breakdown.valueCombined'), t('breakdown.projection')];
+}
+
+/**
+ * Number with the decimal separator of the current locale and no thousands separator (spreadsheet friendly)
+ */
+function formatPlainDecimal(value, digits) {
+    return value.toFixed(digits).replace('.', getNumberSeparators().decimal);
+}
+
+/**
+ * CSV for the spreadsheets of the current locale (pt-BR: ';' separator and decimal comma)
+ * with a BOM so Excel reads UTF-8
+ */
+function buildBreakdownCSV(rows, seriesLabel) {
+    const separator = getNumberSeparators().decimal === ',' ? ';' : ',';
+    const lines = [getBreakdownHeaders(seriesLabel).join(separator)];
+
+    rows.forEach(row => {
+        lines.push([
+            row.label,
+            formatPlainDecimal(row.indexRate, 4),
+            formatPlainDecimal(row.fixedRate, 4),
+            formatPlainDecimal(row.valueSeries, 2),
+            formatPlainDecimal(row.valueCombined, 2),
+            row.isProjection ? t('common.yes') : t('common.no')
+        ].join(separator));
+    });
+
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// ===================================
+// Chart Views
+// ===================================
+
+/**
+ * Performance of the index and of the combined rate rebased to 100 at the first point
+ * Built from the monthly factors, so contributions and withdrawals do not move it.
+ */
+function buildPerformanceIndex(evolution, base = 100) {
+    let series = base;
+    let combined = base;
+
+    return evolution.map(point => {
+        series *= 1 + point.monthlyRate / 100;
+        combined *= point.monthlyFactor;
+        return { series, combined };
+    });
+}
+
+/**
+ * Accumulated index and combined rates of each calendar year (%)
+ * Years cut by the period are flagged as partial.
+ */
+function buildYearlyReturns(evolution) {
+    const years = [];
+
+    evolution.forEach(point => {
+        const year = point.date.getFullYear();
+        let entry = years[years.length - 1];
+        if (!entry || entry.year !== year) {
+            entry = { year, indexFactor: 1, combinedFactor: 1, months: 0, isProjection: false };
+            years.push(entry);
+        }
+        entry.indexFactor *= 1 + point.monthlyRate / 100;
+        entry.combinedFactor *= point.monthlyFactor;
+        entry.months += point.proRata !== undefined ? point.proRata : 1;
+        entry.isProjection = entry.isProjection || point.isProjection;
+    });
+
+    return years.map(entry => ({
+        year: entry.year,
+        indexRate: (entry.indexFactor - 1) * 100,
+        combinedRate: (entry.combinedFactor - 1) * 100,
+        isPartial: entry.months < 11.999,
+        isProjection: entry.isProjection
+    }));
+}
+
+/**
+ * Index and combined rates accumulated over the trailing `months` points (%)
+ * The first months - 1 points have no full window and are null.
+ */
+function buildRollingReturns(evolution, months = 12) {
+    return evolution.map((point, index) => {
+        if (index < months - 1) {
+            return { dateString: point.dateString, indexRate: null, combinedRate: null, isProjection: point.isProjection };
+        }
+
+        const window = evolution.slice(index - months + 1, index + 1);
+        return {
+            dateString: point.dateString,
+            indexRate: (window.reduce((factor, item) => factor * (1 + item.monthlyRate / 100), 1) - 1) * 100,
+            combinedRate: (window.reduce((factor, item) => factor * item.monthlyFactor, 1) - 1) * 100,
+            isProjection: window.some(item => item.isProjection)
+        };
+    });
+}
+
+/**
+ * Figures of the months startIndex..endIndex of an evolution
+ * Returns are time-weighted (chained monthly factors); values are the balance before the
+ * first month (after its flows) and at the end of the last one.
+ */
+function summarizeRange(evolution, initialValue, startIndex, endIndex) {
+    const months = evolution.slice(startIndex, endIndex + 1);
+    const indexFactor = months.reduce((factor, point) => factor * (1 + point.monthlyRate / 100), 1);
+    const combinedFactor = months.reduce((factor, point) => factor * point.monthlyFactor, 1);
+    const monthCount = months.reduce((count, point) => count + (point.proRata !== undefined ? point.proRata : 1), 0);
+
+    return {
+        startDate: months[0].date,
+        endDate: months[months.length - 1].date,
+        months: monthCount,
+        startValue: (startIndex > 0 ? evolution[startIndex - 1].valueCombined : initialValue) + months[0].cashFlow,
+        endValue: months[months.length - 1].valueCombined,
+        netFlows: months.slice(1).reduce((sum, point) => sum + point.cashFlow, 0),
+        indexVariation: (indexFactor - 1) * 100,
+        totalReturn: (combinedFactor - 1) * 100,
+        annualizedReturn: monthCount > 0 ? (Math.pow(combinedFactor, 12 / monthCount) - 1) * 100 : 0,
+        isProjection: months.some(point => point.isProjection)
+    };
+}
+
+// ===================================
+// Goal Solver
+// ===================================
+
+/**
+ * Value compared against the target: net of taxes and fees when the tax layer is enabled
+ */
+function getTargetComparableValue(point) {
+    return point.valueNet !== undefined ? point.valueNet : point.valueCombined;
+}
+
+/**
+ * Find x in [low, maxHigh] where an increasing function reaches the target
+ * The upper bound doubles until it brackets the target, then regula falsi (Illinois)
+ * narrows it down. Returns { status: 'solved', x } or, when the target is out of
+ * reach, { status: 'below' } (not reached even at maxHigh) / { status: 'above' }
+ * (already exceeded at low).
+ */
+async function solveIncreasing(evaluate, target, low, high, maxHigh, tolerance = 0.005, maxIterations = 60) {
+    let fLow = await evaluate(low);
+    if (fLow >= target) return { status: 'above', x: low, value: fLow };
+
+    let fHigh = await evaluate(high);
+    while (fHigh < target) {
+        if (high >= maxHigh) return { status: 'below', x: high, value: fHigh };
+        low = high;
+        fLow = fHigh;
+        high = Math.min(high * 2, maxHigh);
+        fHigh = await evaluate(high);
+    }
+
+    let side = 0;
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const x = fHigh === fLow ? (low + high) / 2 : high - (fHigh - target) * (high - low) / (fHigh - fLow);
+        const fx = await evaluate(x);
+
+        if (Math.abs(fx - target) <= tolerance || high - low < 1e-9) {
+            return { status: 'solved', x, value: fx };
+        }
+
+        if (fx < target) {
+            low = x;
+            fLow = fx;
+            if (side === -1) fHigh = target + (fHigh - target) / 2;
+            side = -1;
+        } else {
+            high = x;
+            fHigh = fx;
+            if (side === 1) fLow = target - (target - fLow) / 2;
+            side = 1;
+        }
+    }
+
+    return { status: 'solved', x: high, value: fHigh };
+}
+
+/**
+ * Solve the main scenario for one unknown (initial amount, fixed rate/percentage or end date)
+ * so that its final value reaches `target`; every other input stays as in `params`.
+ * Returns { unknown, value, finalValue } or throws when the target is unreachable.
+ */
+async function solveGoal(scenarioInput, params, target, unknown, horizonYears = 30) {
+    const solveParams = { ...params, monteCarlo: null };
+    const finalValueOf = (result) => getTargetComparableValue(result.evolution[result.evolution.length - 1]);
+
+    if (unknown === 'amount') {
+        const evaluate = async (amount) => finalValueOf(await calculateScenario(scenarioInput, { ...solveParams, amount }));
+        const solution = await solveIncreasing(evaluate, target, 0, Math.max(target, 1), 1e12);
+
+        if (solution.status === 'above') {
+            throw new Error(t('error.goal.reachedByFlows', { target: formatCurrency(target) }));
+        }
+        if (solution.status === 'below') {
+            throw new Error(t('error.goal.amountUnreachable', { target: formatCurrency(target) }));
+        }
+        // Round up to the cent so the target is still reached
+        const amount = Math.ceil(solution.x * 100) / 100;
+        return { unknown, value: amount, finalValue: await evaluate(amount) };
+    }
+
+    if (unknown === 'rate') {
+        const isPercentageScenario = scenarioInput.scenarioType.endsWith('_pct');
+        const rateLabel = t(isPercentageScenario ? 'goal.rateLabel.percentage' : 'goal.rateLabel.fixed');
+        const evaluate = async (rate) => finalValueOf(await calculateScenario({ ...scenarioInput, rate }, solveParams));
+        const solution = await solveIncreasing(evaluate, target, 0, isPercentageScenario ? 100 : 10,
+            isPercentageScenario ? 10000 : 1000, 0.005);
+
+        if (solution.status === 'above') {
+            throw new Error(t('error.goal.exceededAtZero', { target: formatCurrency(target), rateLabel }));
+        }
+        if (solution.status === 'below') {
+            throw new Error(t('error.goal.rateUnreachable', { target: formatCurrency(target), rateLabel, rate: formatPercentage(solution.x) }));
+        }
+        const rate = Math.ceil(solution.x * 10000) / 10000;
+        return { unknown, value: rate, finalValue: await evaluate(rate) };
+    }
+
+    // End date: walk the (projected) evolution up to the horizon and take the first month at the target
+    const start = parseInputDate(params.startDate);
+    const horizon = formatInputDate(new Date(start.getFullYear() + horizonYears, start.getMonth(), start.getDate()));
+    const result = await calculateScenario(scenarioInput, { ...solveParams, endDate: horizon });
+    const index = result.evolution.findIndex(point => getTargetComparableValue(point) >= target);
+
+    if (index === -1) {
+        throw new Error(t('error.goal.dateUnreachable', { target: formatCurrency(target), years: horizonYears }));
+    }
+
+    // Confirm with a forward run ending in that month (last day, or the next 1st for series that
+    // do not accrue on the end date)
+    const month = result.evolution[index].date;
+    const candidates = [new Date(month.getFullYear(), month.getMonth() + 1, 0), new Date(month.getFullYear(), month.getMonth() + 1, 1)];
+    for (const candidate of candidates) {
+        const endDate = formatInputDate(candidate);
+        if (parseInputDate(endDate) <= start) continue;
+        const finalValue = finalValueOf(await calculateScenario(scenarioInput, { ...solveParams, endDate }));
+        if (finalValue >= target) {
+            return { unknown, value: endDate, finalValue };
+        }
+    }
+    return { unknown, value: formatInputDate(candidates[1]), finalValue: getTargetComparableValue(result.evolution[index]) };
+}
+
+// ===================================
+// Contract Readjustment
+// ===================================
+
+/**
+ * Readjust a contract value on each anniversary by the index accumulated over 12 months
+ * The reference window ends in the month before the anniversary (a contract from 15/03
+ * is readjusted every March by the index from March to February). Negative accumulations
+ * can be treated as zero, then the optional floor and cap (% per period) are applied.
+ * Returns one row per period; the first is the original value.
+ */
+function calculateReadjustments(contractValue, startDate, endDate, indexData, options = {}) {
+    const { cap = null, floor = null, ignoreNegative = false } = options;
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+    const ratesByMonth = new Map(indexData.map(item => [getMonthKey(parseAPIDate(item.data)), item]));
+
+    const periods = [{
+        period: 0,
+        date: start,
+        referenceStart: null,
+        referenceEnd: null,
+        accumulatedRate: null,
+        appliedRate: null,
+        adjustment: null,
+        previousValue: null,
+        value: contractValue,
+        isProjection: false
+    }];
+
+    let value = contractValue;
+    for (let period = 1; ; period++) {
+        const anniversary = new Date(start.getFullYear() + period, start.getMonth(), start.getDate());
+        if (anniversary > end) break;
+
+        let factor = 1;
+        let isProjection = false;
+        for (let offset = 12; offset >= 1; offset--) {
+            const item = ratesByMonth.get(getMonthKey(new Date(anniversary.getFullYear(), anniversary.getMonth() - offset, 1)));
+            if (!item) {
+                throw new Error(t('error.readjustment.noData', { date: formatShortDate(anniversary) }));
+            }
+            factor *= 1 + parseFloat(item.valor) / 100;
+            isProjection = isProjection || !!item.isProjection;
+        }
+
+        const accumulatedRate = (factor - 1) * 100;
+        let appliedRate = accumulatedRate;
+        let adjustment = null;
+        if (ignoreNegative && appliedRate < 0) {
+            appliedRate = 0;
+            adjustment = 'zero';
+        }
+        if (floor !== null && appliedRate < floor) {
+            appliedRate = floor;
+            adjustment = 'floor';
+        }
+        if (cap !== null && appliedRate > cap) {
+            appliedRate = cap;
+            adjustment = 'cap';
+        }
+
+        const previousValue = value;
+        value = previousValue * (1 + appliedRate / 100);
+        periods.push({
+            period,
+            date: anniversary,
+            referenceStart: new Date(anniversary.getFullYear(), anniversary.getMonth() - 12, 1),
+            referenceEnd: new Date(anniversary.getFullYear(), anniversary.getMonth() - 1, 1),
+            accumulatedRate,
+            appliedRate,
+            adjustment,
+            previousValue,
+            value,
+            isProjection
+        });
+    }
+
+    return periods;
+}
+
+/**
+ * Validate the readjustment inputs (at least one anniversary must fall in the period)
+ */
+function validateReadjustment(contractValue, startDate, endDate, indexId, options = {}) {
+    if (!contractValue || contractValue <= 0 || isNaN(contractValue)) {
+        throw new Error(t('error.readjustment.invalidValue'));
+    }
+    validateForm(contractValue, startDate, endDate, null, null, `${indexId}_fixed`);
+
+    const start = parseInputDate(startDate);
+    const firstAnniversary = new Date(start.getFullYear() + 1, start.getMonth(), start.getDate());
+    if (firstAnniversary > parseInputDate(endDate)) {
+        throw new Error(t('error.readjustment.noAnniversary'));
+    }
+
+    const { cap = null, floor = null } = options;
+    if ((cap !== null && !isFinite(cap)) || (floor !== null && !isFinite(floor))) {
+        throw new Error(t('error.readjustment.invalidLimits'));
+    }
+    if (cap !== null && floor !== null && floor > cap) {
+        throw new Error(t('error.readjustment.floorAboveCap'));
+    }
+
+    return true;
+}
+
+/**
+ * Fetch the index (projected where there is no official data yet) and readjust the contract
+ */
+async function calculateContractReadjustment(contractValue, startDate, endDate, indexId, options = {},
+    projection = DEFAULT_PROJECTION, seriesOptions = {}) {
+    // The first reference window starts in the contract's own month
+    const projected = await fetchProjectedSeries(indexId, getMonthStart(startDate), endDate, null, projection, seriesOptions);
+    const periods = calculateReadjustments(contractValue, startDate, endDate, projected.data, options);
+    const finalValue = periods[periods.length - 1].value;
+
+    return {
+        indexLabel: getIndex(indexId).label,
+        periods,
+        finalValue,
+        totalRate: (finalValue / contractValue - 1) * 100,
+        isProjection: periods.some(period => period.isProjection),
+        projectionInfo: projected.projectionInfo,
+        staleDates: [projected.staleSince]
+    };
+}
+
+// ===================================
+// Financing (SAC / Price)
+// ===================================
+
+/**
+ * Due date of installment `number`: same day as the contract, clamped to the end of shorter months
+ */
+function getInstallmentDate(start, number) {
+    const due = new Date(start.getFullYear(), start.getMonth() + number, 1);
+    const lastDay = new Date(due.getFullYear(), due.getMonth() + 1, 0).getDate();
+    due.setDate(Math.min(start.getDate(), lastDay));
+    return due;
+}
+
+/**
+ * Amortization schedule of a loan whose balance is corrected by an index plus a fixed rate
+ * Each month the balance is first corrected by the index of the month the period starts in,
+ * then charged the monthly equivalent of the annual rate. SAC amortizes the corrected balance
+ * in equal parts over the remaining term; Price keeps the installment constant in real terms.
+ * Extra amortizations are paid with the first installment on or after their date and the
+ * following installments are recalculated over the remaining term.
+ */
+function calculateLoanSchedule(principal, startDate, termMonths, annualRate, system, indexData, extraAmortizations = []) {
+    const start = parseInputDate(startDate);
+    const monthlyRate = annualToMonthlyRate(annualRate) / 100;
+    const ratesByMonth = new Map(indexData.map(item => [getMonthKey(parseAPIDate(item.data)), item]));
+    const extras = extraAmortizations
+        .map(entry => ({ date: parseInputDate(entry.date), amount: entry.amount }))
+        .sort((a, b) => a.date - b.date);
+
+    const rows = [];
+    const totals = { installments: 0, interest: 0, amortization: 0, correction: 0, extraAmortization: 0, totalPaid: 0 };
+    let balance = principal;
+    let previousDue = start;
+
+    for (let number = 1; number <= termMonths && balance > 0.005; number++) {
+        const due = getInstallmentDate(start, number);
+        const item = ratesByMonth.get(getMonthKey(getInstallmentDate(start, number - 1)));
+        if (!item) {
+            throw new Error(t('error.loan.noData', { date: formatShortDate(due) }));
+        }
+
+        const indexRate = parseFloat(item.valor);
+        const correction = balance * indexRate / 100;
+        balance += correction;
+
+        const interest = balance * monthlyRate;
+        const remaining = termMonths - number + 1;
+        let amortization;
+        if (system === 'sac') {
+            amortization = balance / remaining;
+        } else {
+            const installment = monthlyRate === 0
+                ? balance / remaining
+                : balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -remaining));
+            amortization = installment - interest;
+        }
+        balance -= amortization;
+
+        const extraAmortization = Math.max(0, Math.min(balance, extras
+            .filter(entry => entry.date > previousDue && entry.date <= due)
+            .reduce((sum, entry) => sum + entry.amount, 0)));
+        balance -= extraAmortization;
+
+        const installment = amortization + interest;
+        totals.installments += installment;
+        totals.interest += interest;
+        totals.amortization += amortization;
+        totals.correction += correction;
+        totals.extraAmortization += extraAmortization;
+        totals.totalPaid += installment + extraAmortization;
+
+        rows.push({
+            number,
+            date: due,
+            dateString: formatDateForAPI(due),
+            indexRate,
+            correction,
+            interest,
+            amortization,
+            installment,
+            extraAmortization,
+            balance: Math.max(balance, 0),
+            totalPaid: totals.totalPaid,
+            isProjection: !!item.isProjection
+        });
+        previousDue = due;
+    }
+
+    return { rows, totals };
+}
+
+/**
+ * Validate the financing inputs, including the extra amortization dates
+ */
+function validateLoan(principal, startDate, termMonths, indexId, annualRate, system, extraAmortizations = []) {
+    if (!principal || principal <= 0 || isNaN(principal)) {
+        throw new Error(t('error.loan.invalidPrincipal'));
+    }
+    if (!startDate || isNaN(parseInputDate(startDate).getTime())) {
+        throw new Error(t('error.loan.startRequired'));
+    }
+    if (!Number.isInteger(termMonths) || termMonths < 1 || termMonths > 480) {
+        throw new Error(t('error.loan.invalidTerm'));
+    }
+    if (!CONFIG.INDEXES[indexId]) {
+        throw new Error(t('error.loan.invalidIndex'));
+    }
+    if (!isFinite(annualRate) || annualRate < 0) {
+        throw new Error(t('error.loan.invalidRate'));
+    }
+    if (!CONFIG.LOAN_SYSTEMS[system]) {
+        throw new Error(t('error.loan.invalidSystem'));
+    }
+
+    const start = parseInputDate(startDate);
+    const lastDue = getInstallmentDate(start, termMonths);
+    extraAmortizations.forEach(entry => {
+        const date = entry.date ? parseInputDate(entry.date) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw new Error(t('error.loan.extraDateRequired'));
+        }
+        if (!entry.amount || entry.amount <= 0 || isNaN(entry.amount)) {
+            throw new Error(t('error.loan.extraAmountRequired'));
+        }
+        if (date <= start || date > lastDue) {
+            throw new Error(t('error.loan.extraOutOfTerm', { date: formatDateForDisplay(entry.date) }));
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Fetch the index (projected after the last official month) and build the schedule
+ */
+async function calculateLoan(principal, startDate, termMonths, indexId, annualRate, system, extraAmortizations = [],
+    projection = DEFAULT_PROJECTION, seriesOptions = {}) {
+    const start = parseInputDate(startDate);
+    const lastDue = getInstallmentDate(start, termMonths);
+    const projected = await fetchProjectedSeries(indexId, getMonthStart(startDate), formatInputDate(lastDue), null, projection,
+        seriesOptions);
+    const schedule = calculateLoanSchedule(principal, startDate, termMonths, annualRate, system, projected.data, extraAmortizations);
+
+    return {
+        indexLabel: getIndex(indexId).label,
+        systemLabel: CONFIG.LOAN_SYSTEMS[system],
+        principal,
+        ...schedule,
+        isProjection: schedule.rows.some(row => row.isProjection),
+        projectionInfo: projected.projectionInfo,
+        staleDates: [projected.staleSince]
+    };
+}
+
+// ===================================
+// Transaction Statement
+// ===================================
+
+// Accepted spellings of the "tipo" column (Portuguese or English, whatever the locale)
+const STATEMENT_TYPES = {
+    compra: 'buy', aplicacao: 'buy', aporte: 'buy', buy: 'buy',
+    venda: 'sell', resgate: 'sell', sell: 'sell',
+    saldo: 'value', 'valor final': 'value', 'valor de mercado': 'value', value: 'value', balance: 'value',
+    'market value': 'value'
+};
+
+/**
+ * Parse a decimal written as 1.234,56, 1,234.56 or 1234.56 (an "R$" prefix is ignored)
+ * The last separator is the decimal one; a lone comma is always decimal.
+ */
+function parseDecimalInput(text) {
+    const cleaned = String(text).replace(/R\$|\s/g, '');
+    const isCommaDecimal = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.');
+    const normalized = isCommaDecimal ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned.replace(/,/g, '');
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Parse a CSV statement with the columns data;tipo;valor (header optional, ";" or "," separated)
+ * Dates are yyyy-mm-dd or written with slashes in the order of the locale (dd/mm/yyyy in pt-BR,
+ * mm/dd/yyyy in en-US). "compra"/"venda" rows are cash flows and "saldo" rows are the market
+ * value of the position at the end of that day. Returns { transactions, valuations }.
+ */
+function parseStatementCSV(text, locale = getLocale()) {
+    const dayFirst = isDayFirstLocale(locale);
+    const transactions = [];
+    const valuations = [];
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const lineNumber = lineIndex + 1;
+        const [dateText = '', typeText = '', amountText = ''] = line.split(line.includes(';') ? ';' : ',')
+            .map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+        const dateMatch = dateText.match(/^(\d{2})\/(\d{2})\/(\d{4})$/) || dateText.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!dateMatch) {
+            // Only the first line may be a header
+            if (transactions.length === 0 && valuations.length === 0 && lineNumber === 1) return;
+            throw new Error(t('error.statement.invalidDate', { line: lineNumber, value: dateText }));
+        }
+        const date = dateText.includes('/')
+            ? `${dateMatch[3]}-${dayFirst ? dateMatch[2] : dateMatch[1]}-${dayFirst ? dateMatch[1] : dateMatch[2]}`
+            : dateText;
+        if (isNaN(parseInputDate(date).getTime()) || formatInputDate(parseInputDate(date)) !== date) {
+            throw new Error(t('error.statement.missingDate', { line: lineNumber, value: dateText }));
+        }
+
+        const type = STATEMENT_TYPES[typeText.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')];
+        if (!type) {
+            throw new Error(t('error.statement.unknownType', { line: lineNumber, value: typeText }));
+        }
+
+        const amount = parseDecimalInput(amountText);
+        if (!(amount > 0) && !(type === 'value' && amount === 0)) {
+            throw new Error(t('error.statement.invalidAmount', { line: lineNumber, value: amountText }));
+        }
+
+        if (type === 'value') {
+            valuations.push({ date, value: amount, line: lineNumber });
+        } else {
+            transactions.push({ date, type, amount, line: lineNumber });
+        }
+    });
+
+    const byDate = (a, b) => parseInputDate(a.date) - parseInputDate(b.date);
+    transactions.sort(byDate);
+    valuations.sort(byDate);
+
+    return { transactions, valuations };
+}
+
+/**
+ * Resolve the cash flows of a statement and its final market value
+ * Without a "saldo" row on or after the last transaction, the sales of the last date are
+ * taken as the redemption of the whole position and become the final value.
+ * Flows are signed from the investor's side: buys negative, sales positive.
+ */
+function buildStatementFlows(statement) {
+    const transactions = [...statement.transactions];
+    const valuations = [...statement.valuations];
+    if (transactions.length === 0) {
+        throw new Error(t('error.statement.noTransactions'));
+    }
+
+    const startDate = transactions[0].date;
+    if (transactions[0].type !== 'buy') {
+        throw new Error(t('error.statement.mustStartWithBuy'));
+    }
+
+    const lastTransactionDate = transactions[transactions.length - 1].date;
+    const lastValuation = valuations[valuations.length - 1];
+    if (!lastValuation || parseInputDate(lastValuation.date) < parseInputDate(lastTransactionDate)) {
+        const lastDay = transactions.filter(transaction => transaction.date === lastTransactionDate);
+        if (lastDay.some(transaction => transaction.type !== 'sell') || transactions.length === lastDay.length) {
+            throw new Error(t('error.statement.finalValueRequired'));
+        }
+        transactions.splice(transactions.length - lastDay.length);
+        valuations.push({
+            date: lastTransactionDate,
+            value: lastDay.reduce((sum, transaction) => sum + transaction.amount, 0),
+            line: null
+        });
+    }
+
+    const seen = new Set();
+    valuations.forEach(valuation => {
+        if (seen.has(valuation.date)) {
+            throw new Error(t('error.statement.duplicateValuation', { date: formatDateForDisplay(valuation.date) }));
+        }
+        if (parseInputDate(valuation.date) < parseInputDate(startDate)) {
+            throw new Error(t('error.statement.valuationBeforeStart', { date: formatDateForDisplay(valuation.date) }));
+        }
+        seen.add(valuation.date);
+    });
+
+    const final = valuations[valuations.length - 1];
+    if (parseInputDate(final.date) <= parseInputDate(startDate)) {
+        throw new Error(t('error.statement.tooShort'));
+    }
+
+    const flows = transactions.map(transaction => ({
+        date: transaction.date,
+        amount: transaction.type === 'buy' ? -transaction.amount : transaction.amount
+    }));
+    const sum = (type) => transactions.filter(item => item.type === type).reduce((total, item) => total + item.amount, 0);
+
+    return {
+        startDate,
+        finalDate: final.date,
+        finalValue: final.value,
+        transactions,
+        valuations,
+        flows,
+        totalBought: sum('buy'),
+        totalSold: sum('sell')
+    };
+}
+
+/**
+ * Years between two input dates on an actual/365 basis
+ */
+function yearFraction(startDate, endDate) {
+    return daysBetween(parseInputDate(startDate), parseInputDate(endDate)) / 365;
+}
+
+/**
+ * Money-weighted annual return (XIRR, actual/365) of dated flows, in %
+ * Newton's method from 10% a.a., falling back to bisection when it does not converge.
+ */
+function calculateXIRR(flows) {
+    if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+        throw new Error(t('error.xirr.needsFlows'));
+    }
+
+    const origin = flows[0].date;
+    const terms = flows.map(flow => ({ amount: flow.amount, years: yearFraction(origin, flow.date) }));
+    const npv = (rate) => terms.reduce((sum, term) => sum + term.amount / Math.pow(1 + rate, term.years), 0);
+    const derivative = (rate) => terms.reduce((sum, term) => sum - term.years * term.amount / Math.pow(1 + rate, term.years + 1), 0);
+
+    let rate = 0.1;
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const value = npv(rate);
+        if (Math.abs(value) < 1e-7) return rate * 100;
+        const next = rate - value / derivative(rate);
+        if (!isFinite(next) || next <= -1) break;
+        if (Math.abs(next - rate) < 1e-12) return next * 100;
+        rate = next;
+    }
+
+    // The NPV decreases with the rate when the buys come first
+    let low = -0.9999;
+    let high = 1;
+    while (npv(high) > 0 && high < 1e6) high *= 2;
+    if (Math.sign(npv(low)) === Math.sign(npv(high))) {
+        throw new Error(t('error.xirr.noSolution'));
+    }
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(npv(middle)) === Math.sign(npv(low))) low = middle; else high = middle;
+    }
+    return (low + high) / 2 * 100;
+}
+
+/**
+ * Time-weighted return chained over the periods between "saldo" rows
+ * Each period uses the Modified Dietz return (flows weighted by the time they were invested),
+ * which is exact when every flow falls on a valuation date. Returns { total, annualized, method,
+ * periods } in %, or null figures when a period has no capital to measure.
+ */
+function calculateTWR(transactions, valuations, startDate) {
+    let factor = 1;
+    let periodStart = startDate;
+    let startValue = 0;
+    let isFirst = true;
+
+    for (const valuation of valuations) {
+        const start = parseInputDate(periodStart);
+        const end = parseInputDate(valuation.date);
+        const length = daysBetween(start, end);
+        const periodFlows = transactions.filter(transaction => {
+            const date = parseInputDate(transaction.date);
+            return (isFirst ? date >= start : date > start) && date <= end;
+        });
+
+        let netFlow = 0;
+        let weightedFlow = 0;
+        periodFlows.forEach(transaction => {
+            const amount = transaction.type === 'buy' ? transaction.amount : -transaction.amount;
+            const weight = length > 0 ? daysBetween(parseInputDate(transaction.date), end) / length : 1;
+            netFlow += amount;
+            weightedFlow += amount * weight;
+        });
+
+        const capital = startValue + weightedFlow;
+        if (capital <= 0) {
+            return { total: null, annualized: null, method: valuations.length > 1 ? 'periods' : 'dietz', periods: valuations.length };
+        }
+        factor *= 1 + (valuation.value - startValue - netFlow) / capital;
+
+        periodStart = valuation.date;
+        startValue = valuation.value;
+        isFirst = false;
+    }
+
+    const years = yearFraction(startDate, valuations[valuations.length - 1].date);
+    return {
+        total: (factor - 1) * 100,
+        annualized: (Math.pow(factor, 1 / years) - 1) * 100,
+        method: valuations.length > 1 ? 'periods' : 'dietz',
+        periods: valuations.length
+    };
+}
+
+/**
+ * Replay a statement through "<index> + x%" and find the spread that ends at its final value
+ * The first day's buys are the initial amount and the other flows become one-off
+ * contributions/withdrawals of the scenario. Like any one-off flow they enter at the
+ * start of their month and earn the whole month, so the spread is approximate when
+ * money moves mid-month; only the first and last months are pro rata by calendar days.
+ * seriesOptions ({ fetchFn, storage, now }) reach every series request of the benchmark.
+ */
+async function analyzeStatement(statement, indexId, projection = DEFAULT_PROJECTION, seriesOptions = {}) {
+    const resolved = buildStatementFlows(statement);
+    const { startDate, finalDate, finalValue, transactions, flows } = resolved;
+
+    const amount = -flows.filter(flow => flow.date === startDate).reduce((sum, flow) => sum + flow.amount, 0);
+    const schedule = {
+        monthlyAmount: 0,
+        adjustByIPCA: false,
+        entries: flows.filter(flow => flow.date !== startDate).map(flow => ({ date: flow.date, amount: -flow.amount }))
+    };
+    const scenarioType = `${indexId}_fixed`;
+    validateForm(amount, startDate, finalDate, schedule, null, scenarioType);
+
+    const params = {
+        amount,
+        startDate,
+        endDate: finalDate,
+        rateConvention: CONFIG.DEFAULT_RATE_CONVENTION,
+        proRataMode: 'calendar',
+        schedule,
+        taxOptions: null,
+        projection,
+        monteCarlo: null,
+        ntnb: null,
+        seriesOptions
+    };
+    const runBenchmark = (rate) => calculateScenario({ scenarioType, rate, label: '' }, params);
+    const finalValueOf = (result) => result.evolution[result.evolution.length - 1].valueCombined;
+
+    const indexOnly = await runBenchmark(0);
+    const solution = await solveIncreasing(async (rate) => finalValueOf(await runBenchmark(rate)), finalValue, -50, 10, 1000, 0.005);
+    if (solution.status !== 'solved') {
+        const key = solution.status === 'above' ? 'error.statement.impliedBelow' : 'error.statement.impliedAbove';
+        throw new Error(t(key, { index: getIndex(indexId).label }));
+    }
+    const benchmark = await runBenchmark(solution.x);
+
+    return {
+        ...resolved,
+        indexLabel: getIndex(indexId).label,
+        xirr: calculateXIRR([...flows, { date: finalDate, amount: finalValue }]),
+        twr: calculateTWR(transactions, resolved.valuations, startDate),
+        impliedSpread: solution.x,
+        benchmark,
+        indexOnly,
+        isProjection: benchmark.evolution.some(point => point.isProjection),
+        staleDates: [...benchmark.staleDates, ...indexOnly.staleDates]
+    };
+}
+
+// ===================================
+// Form Validation
+// ===================================
+
+/**
+ * Validate the projection model parameters
+ */
+function validateProjection(projection, monteCarlo = null) {
+    const usesHistory = projection.model === 'geometric' || projection.model === 'montecarlo';
+    if (usesHistory && !(Number.isInteger(projection.months) && projection.months >= 1 && projection.months <= 240)) {
+        throw new Error(t('error.projection.months'));
+    }
+
+    if (monteCarlo) {
+        if (!(Number.isInteger(monteCarlo.paths) && monteCarlo.paths >= 100 && monteCarlo.paths <= 20000)) {
+            throw new Error(t('error.projection.paths'));
+        }
+        if (!Number.isInteger(monteCarlo.seed)) {
+            throw new Error(t('error.projection.seed'));
+        }
+        if (monteCarlo.targetValue < 0) {
+            throw new Error(t('error.projection.negativeTarget'));
+        }
+    }
+
+    if (projection.model === 'expected' && !(projection.annualRate > -100)) {
+        throw new Error(t('error.projection.expectedRate'));
+    }
+
+    if (projection.model === 'table') {
+        if (projection.table.length === 0) {
+            throw new Error(t('error.projection.emptyTable'));
+        }
+        if (projection.table.some(row => !Number.isInteger(row.year) || !(row.rate > -100))) {
+            throw new Error(t('error.projection.incompleteTable'));
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Validate form inputs
+ */
+function validateForm(amount, startDate, endDate, schedule = null, taxOptions = null, scenarioType = 'ipca_fixed', indexPercentage = null) {
+    // Validate amount
+    if (!amount || amount <= 0) {
+        throw new Error(t('error.form.amount'));
+    }
+
+    // Validate dates
+    if (!startDate || !endDate) {
+        throw new Error(t('error.form.dates'));
+    }
+
+    const start = parseInputDate(startDate);
+    const end = parseInputDate(endDate);
+
+    // Check if start date is before end date
+    if (start >= end) {
+        throw new Error(t('error.form.dateOrder'));
+    }
+
+    if (indexPercentage !== null && !(indexPercentage > 0)) {
+        throw new Error(t('error.form.indexPercentage'));
+    }
+
+    // Check if the index has data for the start date
+    const index = getIndex(getScenario(scenarioType).indexId);
+    const minDate = parseInputDate(index.firstDate);
+    if (start < minDate) {
+        const monthYear = new Intl.DateTimeFormat(getLocale(), { month: 'long', year: 'numeric' }).format(minDate);
+        throw new Error(t('error.form.beforeSeries', { monthYear, index: index.label }));
+    }
+
+    // Validate contribution/withdrawal schedule
+    if (schedule) {
+        if (!isFinite(schedule.monthlyAmount)) {
+            throw new Error(t('error.form.monthlyAmount'));
+        }
+
+        for (const entry of schedule.entries) {
+            if (!entry.date || !isFinite(entry.amount) || entry.amount === 0) {
+                throw new Error(t('error.form.entryIncomplete'));
+            }
+
+            const entryDate = parseInputDate(entry.date);
+            if (entryDate < parseInputDate(startDate) || entryDate > parseInputDate(endDate)) {
+                throw new Error(t('error.form.entryOutOfRange'));
+            }
+        }
+    }
+
+    if (taxOptions && !(taxOptions.annualFee >= 0 && taxOptions.annualFee < 100)) {
+        throw new Error(t('error.form.annualFee'));
+    }
+
+    return true;
+}
+
+// ===================================
+// Scenario Calculation
+// ===================================
+
+/**
+ * Default display label of a scenario, e.g. "IPCA + 5,80% a.a.", "110% do CDI", "Prefixado 12,00% a.a."
+ */
+function getScenarioDisplayLabel(scenarioInput) {
+    if (scenarioInput.label) return scenarioInput.label;
+
+    const { label } = getScenario(scenarioInput.scenarioType, scenarioInput.rate);
+    if (scenarioInput.scenarioType.endsWith('_pct')) return label;
+
+    const rate = t('rate.perYear', { rate: formatPercentage(scenarioInput.rate) });
+    if (scenarioInput.scenarioType === 'ntnb') return t('scenario.ntnbLabel', { index: label, rate });
+    return label ? t('scenario.indexPlusRate', { index: label, rate }) : t('scenario.fixedRateLabel', { rate });
+}
+
+/**
+ * Fetch and calculate one (validated) scenario with the shared parameters
+ * (amount, dates, rate convention, pro rata, schedule and taxes)
+ * params.seriesOptions ({ fetchFn, storage, now }) reach every series request, see getSeriesData.
+ */
+async function calculateScenario(scenarioInput, params) {
+    if (scenarioInput.scenarioType === 'ntnb') {
+        return calculateNTNBScenario(scenarioInput, params);
+    }
+
+    const { amount, startDate, endDate, rateConvention, proRataMode, schedule, taxOptions, seriesOptions } = params;
+    const projection = params.projection || DEFAULT_PROJECTION;
+    const { scenarioType } = scenarioInput;
+    const isPercentageScenario = scenarioType.endsWith('_pct');
+    // Percentage-of-index products ("110% do CDI") have no fixed spread
+    const fixedRate = isPercentageScenario ? 0 : scenarioInput.rate;
+    const indexPercentage = isPercentageScenario ? scenarioInput.rate : null;
+
+    // Determine index based on scenario
+    const { indexId, label: seriesLabel, useSeriesRate, percentage } = getScenario(scenarioType, indexPercentage);
+    const index = getIndex(indexId);
+
+    // Fetch Data
+    // Pro rata needs the whole start month, which the API omits for mid-month start dates
+    const usesDailyData = index.periodicity === 'daily' || (percentage !== null && !!index.dailyCode);
+    const fetchStartDate = proRataMode === 'none' || usesDailyData ? startDate : getMonthStart(startDate);
+    const projected = await fetchProjectedSeries(indexId, fetchStartDate, endDate, percentage, projection, seriesOptions);
+    const { isProjection, averageRate, projectionInfo } = projected;
+    const finalSeriesData = applyProRata(projected.data, startDate, endDate, proRataMode);
+    const staleDates = [projected.staleSince];
+
+    // IPCA deflates every scenario and drives the yearly adjustment of the monthly amount.
+    // It is fetched like the IPCA scenario itself, so "IPCA + 0%" has exactly zero real return.
+    let ipcaData = finalSeriesData;
+    if (!(useSeriesRate && indexId === 'ipca' && percentage === null)) {
+        const ipcaStartDate = proRataMode === 'none' ? startDate : getMonthStart(startDate);
+        const ipcaProjected = await fetchProjectedSeries('ipca', ipcaStartDate, endDate, null, projection, seriesOptions);
+        ipcaData = applyProRata(ipcaProjected.data, startDate, endDate, proRataMode);
+        staleDates.push(ipcaProjected.staleSince);
+    }
+
+    const totalVariation = calculateCumulativeRate(finalSeriesData);
+    const finalValue = calculateCompoundValue(amount, finalSeriesData, fixedRate, useSeriesRate, schedule, ipcaData, rateConvention);
+    const evolution = calculateInvestmentEvolution(amount, finalSeriesData, fixedRate, useSeriesRate, schedule, ipcaData, rateConvention);
+
+    // A plain index correction is what the Calculadora do Cidadão computes: report it with its exact
+    // rounding next to the simulated values, which stay on the same path as the evolution and chart
+    const officialCorrection = useSeriesRate && percentage === null && CONFIG.OFFICIAL_ROUNDING.INDEXES.includes(indexId) &&
+        !hasCashFlows(schedule) && isExactSeries(finalSeriesData)
+        ? calculateOfficialCorrection(amount, finalSeriesData)
+        : null;
+
+    const lastPoint = evolution[evolution.length - 1];
+    const cashFlowSummary = {
+        totalContributed: lastPoint.totalContributed,
+        totalWithdrawn: lastPoint.totalWithdrawn
+    };
+
+    let taxSummary = null;
+    if (taxOptions) {
+        applyTaxesAndFees(evolution, amount, startDate, endDate, taxOptions);
+        taxSummary = {
+            netValue: lastPoint.valueNet,
+            netWithdrawn: lastPoint.netWithdrawn,
+            taxes: lastPoint.taxesPaid + lastPoint.iofDue + lastPoint.incomeTaxDue,
+            fees: lastPoint.feesPaid
+        };
+    }
+
+    const realSummary = applyRealValues(evolution, ipcaData, startDate, endDate);
+
+    let monteCarlo = null;
+    if (params.monteCarlo && isProjection) {
+        const history = await fetchSimulationHistory(indexId, projected.data, projection.months, percentage, seriesOptions);
+        const followsIPCA = useSeriesRate && indexId === 'ipca' && percentage === null;
+        monteCarlo = runMonteCarlo(finalSeriesData, history, params.monteCarlo, (pathData) =>
+            calculateInvestmentEvolution(amount, pathData, fixedRate, useSeriesRate, schedule, followsIPCA ? pathData : ipcaData, rateConvention)
+                .map(point => point.valueCombined));
+    }
+
+    return {
+        displayLabel: getScenarioDisplayLabel(scenarioInput),
+        seriesLabel,
+        amount,
+        fixedRate,
+        evolution,
+        finalValue,
+        totalVariation: useSeriesRate ? totalVariation : 0,
+        officialCorrection,
+        isProjection,
+        averageRate,
+        projectionInfo,
+        cashFlowSummary,
+        taxSummary,
+        realSummary,
+        monteCarlo,
+        staleDates
+    };
+}
+
+/**
+ * Fetch an index series and extend it with projected months up to the end date
+ * The projection model decides the rate of each future month (see getProjectionRates).
+ */
+async function fetchProjectedSeries(indexId, startDate, endDate, percentage = null, projection = DEFAULT_PROJECTION,
+    seriesOptions = {}) {
+    const { data: seriesData, staleSince } = await fetchIndexSeries(indexId, startDate, endDate, percentage, seriesOptions);
+
+    // Check if we need to project future data
+    const lastDataDate = parseAPIDate(seriesData[seriesData.length - 1].data);
+    const endDateTime = parseInputDate(endDate);
+
+    if (endDateTime > lastDataDate) {
+        const projectionInfo = getProjectionRates(projection, indexId, seriesData, percentage);
+        const futureData = generateFutureData(lastDataDate, endDateTime, projectionInfo.rateForMonth)
+            .map(item => ({ ...item, projectionLabel: projectionInfo.shortLabel }));
+        return {
+            data: [...seriesData, ...futureData],
+            isProjection: true,
+            averageRate: projectionInfo.averageRate,
+            projectionInfo,
+            staleSince
+        };
+    }
+
+    return { data: seriesData, isProjection: false, averageRate: 0, projectionInfo: null, staleSince };
+}
+
+/**
+ * Geometric mean of the monthly rates of the last `months` points
+ */
+function calculateAverageRate(seriesData, months = 12) {
+    const slice = seriesData.slice(-months);
+    if (slice.length === 0) return 0;
+
+    const factor = slice.reduce((acc, item) => acc * (1 + parseFloat(item.valor) / 100), 1);
+    return (Math.pow(factor, 1 / slice.length) - 1) * 100;
+}
+
+/**
+ * Monthly rate (%) equivalent to an annual rate (%)
+ */
+function annualToMonthlyRate(annualRate) {
+    return (Math.pow(1 + annualRate / 100, 1 / 12) - 1) * 100;
+}
+
+/**
+ * Resolve the projection model for an index into a per-month rate function
+ * - geometric: geometric mean of the last N months of the series
+ * - expected: user-entered expected annual rate (e.g. Focus survey)
+ * - table: user-entered annual rate per year (years after the last one repeat it)
+ * Expected rate and table describe the main scenario's index; other indexes
+ * (IPCA deflator, comparison scenarios) fall back to the geometric mean.
+ */
+function getProjectionRates(projection, indexId, seriesData, percentage = null) {
+    const label = getIndex(indexId).label;
+    // Percentage scenarios project the index and then apply the percentage ("110% do CDI")
+    const applyPercentage = (rate, date) => percentage === null ? rate
+        : parseFloat(applyPercentageOfIndex([{ data: formatDateForAPI(date), valor: rate }], percentage)[0].valor);
+
+    if (projection.model === 'expected' && projection.indexId === indexId) {
+        const monthlyRate = annualToMonthlyRate(projection.annualRate);
+        return {
+            rateForMonth: (date) => applyPercentage(monthlyRate, date),
+            averageRate: monthlyRate,
+            description: t('projection.expected.description', {
+                index: label, annualRate: formatPercentage(projection.annualRate), monthlyRate: formatPercentage(monthlyRate)
+            }),
+            shortLabel: t('projection.expected.short', { index: label, annualRate: formatPercentage(projection.annualRate) })
+        };
+    }
+
+    if (projection.model === 'table' && projection.indexId === indexId) {
+        const rows = [...projection.table].sort((a, b) => a.year - b.year);
+        const annualRateFor = (year) => {
+            const row = [...rows].reverse().find(item => item.year <= year) || rows[0];
+            return row.rate;
+        };
+        const summary = rows.map(row => `${row.year}: ${formatPercentage(row.rate)}`).join('; ');
+        return {
+            rateForMonth: (date) => applyPercentage(annualToMonthlyRate(annualRateFor(date.getFullYear())), date),
+            averageRate: annualToMonthlyRate(rows[0].rate),
+            description: t('projection.table.description', { index: label, summary }),
+            shortLabel: t('projection.table.short', { index: label })
+        };
+    }
+
+    const months = projection.months || 12;
+    const averageRate = calculateAverageRate(seriesData, months);
+    const isMonteCarlo = projection.model === 'montecarlo';
+    return {
+        rateForMonth: () => averageRate,
+        averageRate,
+        description: t('projection.geometric.description', { index: label, months, monthlyRate: formatPercentage(averageRate) }) +
+            (isMonteCarlo ? t('projection.montecarlo.suffix') : ''),
+        shortLabel: t(isMonteCarlo ? 'projection.montecarlo.short' : 'projection.geometric.short', { months })
+    };
+}
+
+/**
+ * Projected monthly points after startDate up to endDate
+ * rate may be a fixed monthly rate or a function of the month's date
+ */
+function generateFutureData(startDate, endDate, rate) {
+    const futureData = [];
+    let currentDate = new Date(startDate);
+    const rateForMonth = typeof rate === 'function' ? rate : () => rate;
+
+    // Move to next month first
+    currentDate.setMonth(currentDate.getMonth() + 1);
+
+    while (currentDate <= endDate) {
+        futureData.push({
+            data: formatDateForAPI(currentDate),
+            valor: rateForMonth(new Date(currentDate)).toFixed(4),
+            isProjection: true
+        });
+        currentDate.setMonth(currentDate.getMonth() + 1);
+    }
+
+    return futureData;
+}
+
+/**
+ * Calculate investment evolution over time
+ * Returns both Series-only and Series+fixed values for comparison
+ */
+function calculateInvestmentEvolution(initialValue, seriesData, annualFixedRate, useSeriesRate = true, schedule = null, ipcaData = null, rateConvention = CONFIG.DEFAULT_RATE_CONVENTION) {
+    const evolution = [];
+    let currentValueSeries = initialValue;
+    let currentValueCombined = initialValue;
+
+    // Cash flow state
+    let totalContributed = initialValue;
+    let totalWithdrawn = 0;
+    let monthlyAmount = schedule ? schedule.monthlyAmount : 0;
+    let ipcaFactor12 = 1;
+    const ipcaRates = new Map((ipcaData || []).map(item => [item.data, parseFloat(item.valor)]));
+
+    seriesData.forEach((item, index) => {
+        const monthlySeriesRate = useSeriesRate ? parseFloat(item.valor) : 0;
+
+        // Apply the month's contributions/withdrawals before compounding
+        let flow = 0;
+        if (schedule) {
+            if (index > 0) {
+                if (schedule.adjustByIPCA && index % 12 === 0) {
+                    monthlyAmount *= ipcaFactor12;
+                    ipcaFactor12 = 1;
+                }
+                flow += monthlyAmount;
+            }
+            flow += getOneOffFlow(schedule, item.data);
+        }
+
+        if (flow > 0) {
+            totalContributed += flow;
+            currentValueSeries += flow;
+            currentValueCombined += flow;
+        } else if (flow < 0) {
+            // A withdrawal can never take the balance below zero
+            const withdrawal = Math.min(-flow, currentValueCombined);
+            totalWithdrawn += withdrawal;
+            currentValueCombined -= withdrawal;
+            currentValueSeries = Math.max(0, currentValueSeries - withdrawal);
+        }
+
+        const fixedFactor = getFixedRateFactor(annualFixedRate, item, rateConvention);
+        const monthlyFactor = (1 + monthlySeriesRate / 100) * fixedFactor;
+        currentValueSeries *= (1 + monthlySeriesRate / 100);
+        currentValueCombined *= monthlyFactor;
+
+        // IPCA of the month feeds the yearly adjustment of the monthly amount
+        const ipcaRate = ipcaRates.has(item.data) ? ipcaRates.get(item.data) : monthlySeriesRate;
+        ipcaFactor12 *= (1 + ipcaRate / 100);
+
+        const totalInvested = totalContributed - totalWithdrawn;
+
+        evolution.push({
+            date: parseAPIDate(item.data),
+            valueSeries: currentValueSeries,
+            valueCombined: currentValueCombined,
+            dateString: item.data,
+            isProjection: !!item.isProjection,
+            projectionLabel: item.projectionLabel || null,
+            proRata: item.proRata,
+            proRataLabel: item.proRata !== undefined ? formatProRataLabel(item) : null,
+            monthlyRate: monthlySeriesRate,
+            monthlyFixedRate: (fixedFactor - 1) * 100,
+            monthlyFactor: monthlyFactor,
+            cashFlow: flow,
+            totalContributed: totalContributed,
+            totalWithdrawn: totalWithdrawn,
+            totalInvested: totalInvested,
+            balance: currentValueCombined,
+            earnings: currentValueCombined - totalInvested
+        });
+    });
+
+    return evolution;
+}
+
+/**
+ * Describe a pro-rated month, e.g. "pro rata 13/31 dias corridos"
+ */
+function formatProRataLabel(item) {
+    const unit = t(item.proRataMode === 'business' ? 'proRata.business' : 'proRata.calendar');
+    return t('proRata.label', { days: item.proRataDays, total: item.proRataTotalDays, unit });
+}
+
+/**
+ * Sum of one-off contributions/withdrawals dated in the month of a series point
+ */
+function getOneOffFlow(schedule, apiDate) {
+    const monthKey = getMonthKey(parseAPIDate(apiDate));
+
+    return schedule.entries
+        .filter(entry => getMonthKey(parseInputDate(entry.date)) === monthKey)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Check whether a schedule moves any money besides the initial value
+ */
+function hasCashFlows(schedule) {
+    return !!schedule && (schedule.monthlyAmount !== 0 || schedule.entries.length > 0);
+}
+
+// ===================================
+// Node Module
+// ===================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        DEFAULT_PROJECTION,
+        formatCurrency,
+        formatPercentage,
+        formatNumber,
+        getNumberSeparators,
+        parseLocaleNumber,
+        formatDecimalInput,
+        isDayFirstLocale,
+        parseInputDate,
+        getMonthKey,
+        formatInputDate,
+        getMonthStart,
+        formatDateForAPI,
+        formatDateForDisplay,
+        formatShortDate,
+        parseAPIDate,
+        holidayCache,
+        getEasterDate,
+        getNationalHolidays,
+        isBusinessDay,
+        countBusinessDays,
+        SeriesError,
+        SeriesTimeoutError,
+        SeriesNetworkError,
+        SeriesHTTPError,
+        SeriesNoDataError,
+        SeriesValidationError,
+        SeriesGapError,
+        getSeriesLabel,
+        splitDateRange,
+        findSeriesGaps,
+        validateSeriesData,
+        fetchSeriesData,
+        getDefaultStorage,
+        readSeriesCache,
+        writeSeriesCache,
+        mergeSeries,
+        sliceSeries,
+        getSeriesData,
+        COMPOUNDING_RULES,
+        getIndex,
+        getScenario,
+        applyPercentageOfIndex,
+        aggregateDailyToMonthly,
+        fetchIndexSeries,
+        calculateCumulativeRate,
+        getFixedRateFactor,
+        applyProRata,
+        calculateCompoundValue,
+        parseDecimalToScaled,
+        truncateScaled,
+        roundScaled,
+        formatScaled,
+        calculateExactFactor,
+        isExactSeries,
+        calculateOfficialCorrection,
+        applyRealValues,
+        createRandom,
+        percentile,
+        fetchSimulationHistory,
+        runMonteCarlo,
+        getNTNBSemiannualCouponRate,
+        createVNACalculator,
+        getNTNBCouponDates,
+        priceNTNB,
+        calculateNTNBEvolution,
+        validateNTNB,
+        calculateNTNBScenario,
+        daysBetween,
+        getIncomeTaxRate,
+        getIOFRate,
+        calculateRedemptionTax,
+        applyTaxesAndFees,
+        annualizeReturn,
+        findBreakEvenIndex,
+        compareScenarios,
+        readPortfolios,
+        savePortfolio,
+        deletePortfolio,
+        readSavedLocale,
+        saveLocale,
+        getAllocationLabel,
+        aggregatePortfolio,
+        buildBreakdownRows,
+        getBreakdownHeaders,
+        formatPlainDecimal,
+        buildBreakdownCSV,
+        buildPerformanceIndex,
+        buildYearlyReturns,
+        buildRollingReturns,
+        summarizeRange,
+        getTargetComparableValue,
+        solveIncreasing,
+        solveGoal,
+        calculateReadjustments,
+        validateReadjustment,
+        calculateContractReadjustment,
+        getInstallmentDate,
+        calculateLoanSchedule,
+        validateLoan,
+        calculateLoan,
+        parseDecimalInput,
+        parseStatementCSV,
+        buildStatementFlows,
+        calculateXIRR,
+        calculateTWR,
+        analyzeStatement,
+        validateProjection,
+        validateForm,
+        getScenarioDisplayLabel,
+        calculateScenario,
+        fetchProjectedSeries,
+        calculateAverageRate,
+        annualToMonthlyRate,
+        getProjectionRates,
+        generateFutureData,
+        calculateInvestmentEvolution,
+        formatProRataLabel,
+        getOneOffFlow,
+        hasCashFlows
+    };
+}
@@ -0,0 +1,1114 @@
+// ===================================
+// IPCA Investment Calculator - Messages
+// ===================================
+// Message catalogs (pt-BR and en-US) and the current locale. Loaded by the page before
+// core.js and required by core.js under Node. Amounts are always in reais (BRL).
+
+const LOCALES = {
+    'pt-BR': 'Português',
+    'en-US': 'English'
+};
+const DEFAULT_LOCALE = 'pt-BR';
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Current locale (pt-BR or en-US)
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the locale used by t() and the number/date formatters (unknown locales fall back to pt-BR)
+ */
+function setLocale(locale) {
+    currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    return currentLocale;
+}
+
+/**
+ * Best supported locale for a list of browser languages (exact match first, then by language)
+ */
+function matchLocale(languages = []) {
+    const supported = Object.keys(LOCALES);
+    for (const language of languages) {
+        const exact = supported.find(locale => locale.toLowerCase() === String(language).toLowerCase());
+        if (exact) return exact;
+        const sameLanguage = supported.find(locale => locale.split('-')[0] === String(language).split('-')[0].toLowerCase());
+        if (sameLanguage) return sameLanguage;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a message key, replacing {name} placeholders with params
+ * Plural messages ({ one, other }) are chosen by params.count. Missing keys fall back to
+ * pt-BR and then to the key itself.
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale][key];
+    if (message === undefined) message = MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(currentLocale).select(params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+// ===================================
+// Catalogs
+// ===================================
+// Flat dotted keys; both locales must define the same keys.
+
+const MESSAGES = {
+    'pt-BR': {
+        // Banco Central series
+        'series.fallbackLabel': 'série {code}',
+        'error.series.network': 'Falha de conexão ao consultar {series} no Banco Central: {detail}',
+        'error.series.http': 'O Banco Central respondeu com erro {status} ao consultar {series}.',
+        'error.series.unreadable': 'O Banco Central retornou uma resposta ilegível para {series}.',
+        'error.series.timeout': 'O Banco Central não respondeu em {seconds} s ao consultar {series}.',
+        'error.series.gapsMore': '{months} e mais {count}',
+        'error.series.gaps': 'A série de {series} no Banco Central não tem dados de {months}.',
+        'error.series.invalid': 'O Banco Central retornou dados inválidos para {series} ({reason}).',
+        'error.series.notList': 'a resposta não é uma lista de pontos',
+        'error.series.invalidDate': 'data inválida: {value}',
+        'error.series.notNumeric': 'valor não numérico em {date}: {value}',
+        'error.series.outOfOrder': 'datas fora de ordem em {date}',
+        'error.series.noData': 'Nenhum dado de {series} disponível para o período selecionado.',
+
+        // Indexes, scenarios and rate conventions
+        'index.percentageOf.selic': '{percentage}% da SELIC',
+        'index.percentageOf.cdi': '{percentage}% do CDI',
+        'rateConvention.equivalent': 'Composta mensal equivalente',
+        'rateConvention.business_days': 'Dias úteis/252',
+        'rateConvention.simple': 'Proporcional (taxa/12)',
+        'error.unknownIndex': 'Índice desconhecido: {index}',
+        'error.invalidDecimal': 'Valor decimal inválido: {value}',
+
+        // NTN-B
+        'error.ntnb.maturityRequired': 'Por favor, informe a data de vencimento da NTN-B.',
+        'error.ntnb.maturityMay': 'O vencimento da NTN-B com cupons em maio/novembro deve ser em 15 de maio.',
+        'error.ntnb.maturityAfterStart': 'O vencimento da NTN-B deve ser posterior à data inicial.',
+        'error.ntnb.startBeforeBase': 'A data inicial da NTN-B deve ser a partir de {date} (data-base do VNA).',
+        'error.ntnb.negativeYield': 'A taxa atual da NTN-B não pode ser negativa.',
+        'error.ntnb.unsupportedOptions': 'Aportes, resgates e impostos ainda não são suportados no modo NTN-B.',
+
+        // Portfolios
+        'error.portfolio.storageUnavailable': 'O armazenamento local não está disponível neste navegador.',
+        'error.portfolio.storageFull': 'Não foi possível salvar a carteira: o armazenamento local está cheio.',
+        'allocation.fixedRate': 'Prefixado',
+
+        // Monthly breakdown
+        'breakdown.yearTotal': 'Total {year}',
+        'breakdown.date': 'Data',
+        'breakdown.indexRate': 'Taxa {index} (%)',
+        'breakdown.fixedRate': 'Taxa Fixa (%)',
+        'breakdown.valueSeries': 'Valor Somente {index} (R$)',
+        'breakdown.valueCombined': 'Valor Combinado (R$)',
+        'breakdown.projection': 'Projeção',
+        'breakdown.defaultIndex': 'Índice',
+        'common.yes': 'Sim',
+        'common.no': 'Não',
+
+        // Goal solver
+        'error.goal.reachedByFlows': 'A meta de {target} já é atingida apenas com os aportes, sem valor inicial.',
+        'error.goal.amountUnreachable': 'A meta de {target} é inalcançável: nenhum valor inicial a atinge neste cenário.',
+        'goal.rateLabel.percentage': 'percentual do índice',
+        'goal.rateLabel.fixed': 'taxa fixa',
+        'error.goal.exceededAtZero': 'A meta de {target} já é superada com {rateLabel} de 0%.',
+        'error.goal.rateUnreachable': 'A meta de {target} é inalcançável: nem com {rateLabel} de {rate} ela é atingida.',
+        'error.goal.dateUnreachable': 'A meta de {target} é inalcançável em até {years} anos neste cenário.',
+
+        // Contract readjustment
+        'error.readjustment.noData': 'Não há dados do índice para o reajuste de {date}.',
+        'error.readjustment.invalidValue': 'Por favor, insira um valor de contrato válido (maior que zero).',
+        'error.readjustment.noAnniversary': 'O período deve incluir ao menos um aniversário do contrato (12 meses após a data inicial).',
+        'error.readjustment.invalidLimits': 'Por favor, insira um teto e um piso de reajuste válidos.',
+        'error.readjustment.floorAboveCap': 'O piso do reajuste não pode ser maior que o teto.',
+
+        // Financing
+        'error.loan.noData': 'Não há dados do índice para a parcela de {date}.',
+        'error.loan.invalidPrincipal': 'Por favor, insira um valor financiado válido (maior que zero).',
+        'error.loan.startRequired': 'Por favor, selecione a data do contrato.',
+        'error.loan.invalidTerm': 'O prazo do financiamento deve estar entre 1 e 480 meses.',
+        'error.loan.invalidIndex': 'Selecione um índice de correção válido.',
+        'error.loan.invalidRate': 'Por favor, insira uma taxa de juros válida (zero ou maior).',
+        'error.loan.invalidSystem': 'Selecione o sistema de amortização (SAC ou Price).',
+        'error.loan.extraDateRequired': 'Informe a data de todas as amortizações extras.',
+        'error.loan.extraAmountRequired': 'Informe um valor maior que zero para todas as amortizações extras.',
+        'error.loan.extraOutOfTerm': 'A amortização extra de {date} deve estar entre a data do contrato e a última parcela.',
+
+        // Transaction statement
+        'error.statement.invalidDate': 'Linha {line} do extrato: data inválida "{value}" (use dd/mm/aaaa ou aaaa-mm-dd).',
+        'error.statement.missingDate': 'Linha {line} do extrato: data inexistente "{value}".',
+        'error.statement.unknownType': 'Linha {line} do extrato: tipo "{value}" desconhecido (use compra, venda ou saldo).',
+        'error.statement.invalidAmount': 'Linha {line} do extrato: valor inválido "{value}".',
+        'error.statement.noTransactions': 'O extrato não tem compras nem vendas.',
+        'error.statement.mustStartWithBuy': 'O extrato deve começar com uma compra.',
+        'error.statement.finalValueRequired': 'Informe o valor de mercado final (linha "saldo") ou termine o extrato com o resgate total.',
+        'error.statement.duplicateValuation': 'O extrato tem mais de um saldo em {date}.',
+        'error.statement.valuationBeforeStart': 'O saldo de {date} é anterior à primeira compra.',
+        'error.statement.tooShort': 'O extrato deve cobrir ao menos um dia entre a primeira compra e o valor final.',
+
+        // Statement returns
+        'error.xirr.needsFlows': 'O XIRR precisa de ao menos uma compra e de um resgate ou valor final.',
+        'error.xirr.noSolution': 'Não foi possível calcular o XIRR deste extrato.',
+        'error.statement.impliedBelow': 'O retorno implícito deste extrato sobre {index} fica abaixo de -50% a.a.; confira os valores.',
+        'error.statement.impliedAbove': 'O retorno implícito deste extrato sobre {index} fica acima de 1.000% a.a.; confira os valores.',
+
+        // Form validation
+        'error.projection.months': 'O número de meses do histórico deve estar entre 1 e 240.',
+        'error.projection.paths': 'O número de trajetórias deve estar entre 100 e 20.000.',
+        'error.projection.seed': 'Por favor, insira uma semente inteira para a simulação.',
+        'error.projection.negativeTarget': 'O valor alvo não pode ser negativo.',
+        'error.projection.expectedRate': 'Por favor, insira a taxa anual esperada para a projeção.',
+        'error.projection.emptyTable': 'Adicione ao menos um ano à tabela de projeção.',
+        'error.projection.incompleteTable': 'Preencha o ano e a taxa de todas as linhas da tabela de projeção.',
+        'error.form.amount': 'Por favor, insira um valor de investimento válido (maior que zero).',
+        'error.form.dates': 'Por favor, selecione as datas inicial e final.',
+        'error.form.dateOrder': 'A data inicial deve ser anterior à data final.',
+        'error.form.indexPercentage': 'Por favor, insira um percentual do índice válido (maior que zero).',
+        'error.form.beforeSeries': 'A data inicial deve ser posterior a {monthYear} (início da série {index}).',
+        'error.form.monthlyAmount': 'Por favor, insira um valor de aporte/resgate mensal válido.',
+        'error.form.entryIncomplete': 'Preencha a data e o valor de todas as movimentações avulsas.',
+        'error.form.entryOutOfRange': 'As movimentações avulsas devem estar dentro do período selecionado.',
+        'error.form.annualFee': 'Por favor, insira uma taxa de custódia/administração válida.',
+
+        // Scenario labels and projections
+        'rate.perYear': '{rate} a.a.',
+        'scenario.ntnbLabel': 'NTN-B {index} + {rate}',
+        'scenario.indexPlusRate': '{index} + {rate}',
+        'scenario.fixedRateLabel': 'Prefixado {rate}',
+        'projection.expected.description': 'taxa esperada informada para o {index}, de <strong>{annualRate} a.a.</strong> ({monthlyRate} ao mês)',
+        'projection.expected.short': '{index} esperado {annualRate} a.a.',
+        'projection.table.description': 'tabela anual informada para o {index} (<strong>{summary}</strong>)',
+        'projection.table.short': 'tabela anual do {index}',
+        'projection.geometric.description': 'média geométrica dos últimos {months} meses do {index} (<strong>{monthlyRate} ao mês</strong>)',
+        'projection.montecarlo.suffix': ' na linha central, com faixas P10–P90 por Monte Carlo reamostrando os mesmos meses',
+        'projection.geometric.short': 'média geométrica {months}m',
+        'projection.montecarlo.short': 'Monte Carlo, média {months}m na linha central',
+        'proRata.label': 'pro rata {days}/{total} {unit}',
+        'proRata.business': 'dias úteis',
+        'proRata.calendar': 'dias corridos',
+
+        // Results
+        'montecarlo.target': 'Probabilidade de superar <strong>{target}</strong>: <strong>{probability}</strong>.',
+        'montecarlo.summary': '🎲 <strong>Simulação Monte Carlo</strong> ({paths} trajetórias, semente {seed}, reamostragem de {sampleSize} meses históricos). Valor final:',
+        'ntnb.matured': 'Vencido',
+        'ntnb.noCoupons': 'Nenhum cupom pago no período.',
+        'ntnb.reinvested': 'Reinvestido',
+        'ntnb.paid': 'Pago',
+        'error.hint.attempts': ' ({count} tentativas)',
+        'error.hint.timeout': '{message}{attempts}. O serviço está lento; tente novamente em alguns instantes.',
+        'error.hint.network': 'Não foi possível conectar ao Banco Central para obter {series}{attempts}. Verifique sua conexão e tente novamente.',
+        'error.hint.unstable': '{message}{attempts}. O serviço está instável; tente novamente em alguns minutos.',
+        'error.hint.checkDates': '{message} Confira as datas do período.',
+        'error.hint.gaps': '{message} Meses sem dados não entram no cálculo; escolha outro período ou tente novamente mais tarde.',
+        'error.hint.later': '{message} Tente novamente mais tarde.',
+        'results.variationOf': 'Variação Total ({index})',
+        'results.indexVariation': 'Variação do Índice',
+        'results.realReturn': 'Retorno Real Total',
+        'results.realReturnNet': 'Retorno Real Total (líquido)',
+        'results.officialFactor': 'Fator {factor} ({percentage}%)',
+        'results.projectionWarning': '⚠️ <strong>Atenção:</strong> O período selecionado avança para o futuro. Para os meses sem dados oficiais (linhas tracejadas no gráfico), foi utilizada uma projeção. Modelo: {model}.',
+        'results.defaultProjectionModel': 'estimativa do índice',
+        'results.staleNotice': '📡 <strong>Modo offline:</strong> não foi possível consultar o Banco Central. Os resultados usam <strong>dados de {date}</strong> salvos neste navegador.',
+
+        // Cash flows and comparison
+        'cashFlow.date': 'Data da movimentação',
+        'cashFlow.type': 'Tipo da movimentação',
+        'cashFlow.contribution': 'Aporte',
+        'cashFlow.withdrawal': 'Resgate',
+        'cashFlow.amount': 'Valor da movimentação',
+        'cashFlow.remove': 'Remover movimentação',
+        'comparison.type': 'Tipo do cenário',
+        'comparison.ratePlaceholder': 'Taxa ou %',
+        'comparison.rate': 'Taxa fixa (% a.a.) ou percentual do índice',
+        'comparison.namePlaceholder': 'Nome (opcional)',
+        'comparison.name': 'Nome do cenário',
+        'comparison.remove': 'Remover cenário',
+        'comparison.netNote': 'Valores líquidos de IR, IOF e taxas.',
+        'comparison.grossNote': 'Valores brutos.',
+        'comparison.aheadAllPeriod': '{winner} ficou à frente de {other} durante todo o período.',
+        'comparison.overtakes': '{winner} supera {other} a partir de {date} (ponto de equilíbrio).',
+        'comparison.tiesAtEnd': '{winner} empata com {other} no final do período.',
+
+        // Chart tooltips
+        'chart.dateTitle': 'Data: {date}',
+        'chart.projectionSuffix': ' (Projeção)',
+        'chart.breakEvenSuffix': ' (Ponto de equilíbrio)',
+        'chart.realValuesNote': '\nValores em R$ da data final (corrigidos pelo IPCA)',
+
+        // Portfolios (page)
+        'position.name': 'Nome da posição',
+        'position.amountPlaceholder': 'Valor (R$)',
+        'position.amount': 'Valor investido (R$)',
+        'position.date': 'Data de compra',
+        'position.remove': 'Remover posição',
+        'portfolio.new': 'Nova carteira',
+        'error.portfolio.nameRequired': 'Por favor, informe um nome para a carteira.',
+        'error.portfolio.noPositions': 'Adicione pelo menos uma posição à carteira.',
+        'portfolio.confirmDelete': 'Excluir a carteira "{name}"?',
+        'portfolio.titleNamed': 'Carteira: {name}',
+        'portfolio.title': 'Carteira Consolidada',
+        'chart.portfolioTotal': 'Total da carteira: {total}',
+        'chart.endDateReais': ' (R$ da data final)',
+
+        // Contract readjustment and financing (page)
+        'common.range': '{start} a {end}',
+        'readjustment.adjustment.zero': ' (negativo → zero)',
+        'readjustment.adjustment.floor': ' (piso)',
+        'readjustment.adjustment.cap': ' (teto)',
+        'readjustment.initial': 'Inicial',
+        'readjustment.ordinal': '{period}º',
+        'readjustment.note': 'Índice: {index}.',
+        'readjustment.noteProjection': 'Índice: {index}. Linhas em itálico usam meses projetados (sem dados oficiais).',
+        'chart.contractValue': 'Valor do contrato ({index})',
+        'chart.effectiveFrom': 'Vigência a partir de {date}',
+        'chart.readjustment': '\nReajuste: {rate}',
+        'loanExtra.date': 'Data da amortização extra',
+        'loanExtra.amount': 'Valor da amortização extra',
+        'loanExtra.remove': 'Remover amortização extra',
+        'loan.title': 'Financiamento {system} — {index} + juros',
+        'common.total': 'Total',
+        'loan.paidOff': 'Quitado na parcela {count} com as amortizações extras.',
+        'loan.projectionNote': 'Linhas em itálico usam meses projetados do índice (sem dados oficiais).',
+        'chart.outstandingBalance': 'Saldo devedor',
+        'chart.totalPaid': 'Total pago acumulado',
+        'chart.installment': 'Parcela {number} — ',
+        'chart.contract': 'Contrato — ',
+
+        // Transaction statement (page)
+        'error.statement.unreadableFile': 'Não foi possível ler o arquivo {name}.',
+        'error.statement.empty': 'Cole o extrato ou escolha um arquivo CSV.',
+        'statement.impliedSpread': '{index} {sign} {rate} a.a.',
+        'statement.buy': 'Compra',
+        'statement.sell': 'Venda',
+        'statement.finalValueOn': 'Valor Final ({date})',
+        'statement.unavailable': 'Indisponível',
+        'statement.twr': '{total} ({annualized} a.a.)',
+        'statement.indexOnly': 'Só {index} (mesmos fluxos)',
+        'statement.finalValue': 'Valor final',
+        'statement.impliedNote': 'O retorno implícito reaplica as mesmas compras e vendas em {index} + taxa fixa (cada movimentação entra no início do seu mês e rende o mês inteiro, então o resultado é aproximado para movimentações no meio do mês; só o primeiro e o último mês são pro rata por dias corridos) até chegar ao valor final.',
+        'statement.twrUnavailable': 'O TWR não pôde ser calculado: algum período ficou sem capital investido.',
+        'statement.twrDietz': 'Sem saldos intermediários, o TWR é aproximado pelo método de Dietz modificado; inclua linhas de saldo nas datas das movimentações para o valor exato.',
+        'statement.projectionNote': 'O período inclui meses sem dados oficiais do índice (projetados).',
+        'chart.impliedReturn': '{label} (retorno implícito)',
+        'chart.indexOnly': 'Só {index}',
+        'chart.monthBuy': '\nCompra no mês: {amount}',
+        'chart.monthSell': '\nVenda no mês: {amount}',
+
+        // Projection table and breakdown export
+        'projectionTable.year': 'Ano',
+        'projectionTable.rate': 'Taxa anual (%)',
+        'projectionTable.remove': 'Remover ano',
+        'error.xlsxUnavailable': 'Não foi possível carregar o gerador de planilhas. Verifique sua conexão e tente novamente.',
+        'export.sheetName': 'Evolução Mensal',
+        'export.fileName': 'evolucao-investimento',
+
+        // Goal solver (page)
+        'error.solver.target': 'Por favor, informe um valor final desejado válido (maior que zero).',
+        'error.solver.horizon': 'O horizonte de busca deve ser de 1 a 100 anos.',
+        'solver.amount': 'Valor inicial necessário: <strong>{value}</strong>',
+        'solver.percentage': 'Percentual necessário: <strong>{value} do índice</strong>',
+        'solver.rate': 'Taxa fixa necessária: <strong>{value} a.a.</strong>',
+        'solver.date': 'Meta atingida em: <strong>{value}</strong>',
+        'solver.result': '🎯 {answer} (valor final de {finalValue} para a meta de {target}).',
+
+        // Chart views
+        'chart.ariaDefault': 'Gráfico da simulação',
+        'range.months': { one: '{months} mês', other: '{months} meses' },
+        'range.return': 'Rentabilidade: {total} ({annualized} a.a.)',
+        'range.balance': 'Saldo: {start} → {end}',
+        'range.contributions': 'Aportes no período: {amount}',
+        'range.withdrawals': 'Resgates no período: {amount}',
+        'range.includesProjection': ' (inclui projeção)',
+        'chart.periodColumn': 'Período',
+        'chart.ariaSummary': '{caption}: gráfico com {count} pontos; os valores estão na tabela de dados do gráfico',
+        'chart.rate': 'Taxa',
+        'chart.partialYear': ' (ano parcial)',
+        'chart.yearlyCaption': 'Variação por ano',
+        'chart.rollingCaption': 'Taxa acumulada em 12 meses',
+        'chart.seriesOnly': 'Somente {index}',
+        'chart.baseValue': 'Valor Base',
+        'chart.netValue': 'Valor Líquido',
+        'chart.totalInvested': 'Total Investido',
+        'chart.projectionWith': ' (Projeção: {label})',
+        'chart.coupon': 'Cupom NTN-B: {amount} ({status})',
+        'chart.couponReinvested': 'reinvestido',
+        'chart.couponPaid': 'pago',
+        'chart.contribution': 'Aporte: {amount}',
+        'chart.withdrawal': 'Resgate: {amount}',
+        'chart.earnings': 'Rendimento acumulado: {amount}',
+        'chart.realPerformance': 'Desempenho real (descontado o IPCA)',
+        'chart.realValues': 'Valores em R$ da data final (corrigidos pelo IPCA)',
+        'chart.unitRebased': 'base 100',
+        'chart.unitReal': 'R$ da data final',
+        'chart.monthlyCaption': 'Evolução mês a mês ({unit})',
+
+        // Scenario options and permalink
+        'scenario.optionFixed': '{index} + Taxa Fixa',
+        'scenario.optionNTNB': 'Tesouro IPCA+ com Juros Semestrais (NTN-B)',
+        'scenario.optionFixedOnly': 'Apenas Taxa Fixa',
+        'permalink.copied': 'Link copiado!',
+        'permalink.prompt': 'Copie o link da simulação:',
+        'permalink.copy': 'Copiar link',
+
+        // Page
+        'page.header.subtitle': 'Calcule o valor real do seu investimento ajustado pela inflação brasileira',
+        'page.form.title': 'Dados do Investimento',
+        'page.label.scenarioType': 'Tipo de Simulação',
+        'page.label.investmentAmount': 'Valor Inicial (R$)',
+        'page.label.fixedRate': 'Taxa Fixa Anual (% a.a.)',
+        'page.hint.fixedRate': 'Taxa adicional ao índice (ex: 5% = IPCA + 5% a.a.)',
+        'page.label.indexPercentage': 'Percentual do Índice (%)',
+        'page.hint.indexPercentage': 'Ex: 110 = 110% do CDI, aplicado sobre a taxa diária do índice',
+        'page.label.ntnbMaturity': 'Vencimento da NTN-B',
+        'page.label.ntnbCurrentYield': 'Taxa Atual (% a.a.)',
+        'page.hint.ntnb': 'A Taxa Fixa é a taxa de compra. Cupons de 6% a.a. sobre o VNA em 15/05 e 15/11; o vencimento deve ser em 15 de maio. A taxa atual (opcional) calcula a marcação a mercado na data final',
+        'page.label.rateConvention': 'Convenção da Taxa Fixa',
+        'page.option.rateConvention.equivalent': 'Composta mensal equivalente — (1 + taxa)^(1/12)',
+        'page.option.rateConvention.business_days': 'Dias úteis/252 — (1 + taxa)^(du/252)',
+        'page.option.rateConvention.simple': 'Proporcional — taxa/12',
+        'page.hint.rateConvention': 'Títulos de renda fixa brasileiros usam taxa equivalente ou base 252 dias úteis (calendário de feriados nacionais)',
+        'page.label.proRataMode': 'Meses Parciais (Pro Rata)',
+        'page.option.proRataMode.none': 'Mês cheio (sem pro rata)',
+        'page.option.proRataMode.calendar': 'Pro rata por dias corridos',
+        'page.option.proRataMode.business': 'Pro rata por dias úteis',
+        'page.hint.proRataMode': 'Aplica apenas a fração do índice e da taxa referente aos dias do primeiro e do último mês (data inicial inclusa, data final exclusa)',
+        'page.section.cashFlows': 'Aportes e Resgates',
+        'page.label.monthlyFlowType': 'Movimentação Mensal',
+        'page.option.monthlyFlowType.contribution': 'Aporte mensal',
+        'page.option.monthlyFlowType.withdrawal': 'Resgate mensal',
+        'page.label.monthlyAmount': 'Valor Mensal (R$)',
+        'page.label.cashFlowList': 'Movimentações Avulsas',
+        'page.button.addCashFlowBtn': '+ Adicionar movimentação',
+        'page.hint.cashFlows': 'Aportes e resgates são lançados no início do mês da data informada',
+        'page.section.projection': 'Projeção de Meses Futuros',
+        'page.label.projectionModel': 'Modelo de Projeção',
+        'page.option.projectionModel.geometric': 'Média geométrica dos últimos N meses',
+        'page.option.projectionModel.expected': 'Taxa anual esperada (ex: Boletim Focus)',
+        'page.option.projectionModel.table': 'Tabela de taxas por ano',
+        'page.option.projectionModel.montecarlo': 'Monte Carlo (reamostragem histórica)',
+        'page.hint.projectionModel': 'Usado quando a data final ultrapassa os dados oficiais. Taxa esperada e tabela valem para o índice do cenário principal',
+        'page.label.projectionMonths': 'Meses do Histórico (N)',
+        'page.label.simulationPaths': 'Trajetórias',
+        'page.label.simulationSeed': 'Semente',
+        'page.label.targetValue': 'Valor Alvo (R$)',
+        'page.hint.monteCarlo': 'Cada trajetória sorteia, com reposição, taxas mensais dos últimos N meses. A mesma semente reproduz o mesmo resultado',
+        'page.label.expectedAnnualRate': 'Taxa Anual Esperada (% a.a.)',
+        'page.label.projectionTableList': 'Taxa Anual por Ano (% a.a.)',
+        'page.button.addProjectionRowBtn': '+ Adicionar ano',
+        'page.hint.projectionTable': 'Anos após o último informado repetem a última taxa',
+        'page.section.solver': 'Meta (Cálculo Reverso)',
+        'page.label.solverTarget': 'Valor Final Desejado',
+        'page.label.solverUnknown': 'Calcular',
+        'page.option.solverUnknown.amount': 'Valor inicial necessário',
+        'page.option.solverUnknown.rate': 'Taxa fixa (ou % do índice) necessária',
+        'page.option.solverUnknown.endDate': 'Data em que a meta é atingida',
+        'page.label.solverHorizon': 'Buscar em até (anos)',
+        'page.button.solveBtn': 'Resolver meta',
+        'page.hint.solver': 'Os demais campos (cenário, datas, aportes, projeção e impostos) são mantidos. Com impostos ativados, a meta é o valor líquido',
+        'page.section.comparison': 'Comparar Cenários',
+        'page.button.addComparisonBtn': '+ Adicionar cenário',
+        'page.hint.comparison': 'Cada cenário usa o mesmo valor, período e aportes. Informe a taxa fixa (% a.a.) ou, para "% do CDI/SELIC", o percentual do índice',
+        'page.section.portfolio': 'Carteira',
+        'page.label.portfolioSelect': 'Carteiras salvas',
+        'page.option.portfolioSelect.empty': 'Nova carteira',
+        'page.button.savePortfolioBtn': 'Salvar',
+        'page.button.deletePortfolioBtn': 'Excluir',
+        'page.hint.portfolioStorage': 'As carteiras ficam salvas apenas neste navegador',
+        'page.button.addPositionBtn': '+ Adicionar posição',
+        'page.hint.positions': 'Cada posição tem seu valor, data de compra, cenário e taxa; todas são avaliadas até a data final, com a mesma convenção, pro rata, projeção e impostos',
+        'page.button.calculatePortfolioBtn': 'Calcular carteira',
+        'page.section.readjustment': 'Reajuste de Contrato (Aluguel)',
+        'page.label.contractValue': 'Valor do Contrato',
+        'page.label.contractIndex': 'Índice de Reajuste',
+        'page.label.contractFloor': 'Piso por Reajuste (% opcional)',
+        'page.label.contractCap': 'Teto por Reajuste (% opcional)',
+        'page.button.calculateReadjustmentBtn': 'Calcular reajustes',
+        'page.hint.readjustment': 'A Data Inicial é o início do contrato; os reajustes ocorrem a cada aniversário até a Data Final, pelo índice acumulado nos 12 meses até o mês anterior',
+        'page.section.loan': 'Financiamento (SAC / Price)',
+        'page.label.loanAmount': 'Valor Financiado',
+        'page.label.loanTerm': 'Prazo (meses)',
+        'page.label.loanIndex': 'Correção do Saldo',
+        'page.label.loanRate': 'Juros (% a.a. além do índice)',
+        'page.label.loanSystem': 'Sistema de Amortização',
+        'page.option.loanSystem.sac': 'SAC (amortização constante)',
+        'page.option.loanSystem.price': 'Price (parcela constante)',
+        'page.label.loanExtraList': 'Amortizações Extras',
+        'page.button.addLoanExtraBtn': '+ Adicionar amortização extra',
+        'page.hint.loanExtras': 'Pagas junto com a primeira parcela na data informada ou depois; as parcelas seguintes são recalculadas no prazo restante',
+        'page.button.calculateLoanBtn': 'Calcular financiamento',
+        'page.hint.loan': 'A Data Inicial é a data do contrato e a primeira parcela vence um mês depois. O saldo é corrigido mensalmente pelo índice e depois recebe os juros',
+        'page.section.statement': 'Extrato de Investimentos (XIRR)',
+        'page.label.statementFile': 'Arquivo CSV',
+        'page.label.statementText': 'Extrato (data;tipo;valor)',
+        'page.hint.statementText': 'Tipos: compra, venda e saldo (valor de mercado no fim do dia). Sem saldo final, as vendas da última data são tratadas como resgate total',
+        'page.label.statementIndex': 'Comparar com',
+        'page.button.calculateStatementBtn': 'Analisar extrato',
+        'page.section.taxes': 'Impostos e Taxas',
+        'page.label.annualFee': 'Taxa de Custódia/Administração (% a.a.)',
+        'page.hint.annualFee': 'Cobrada mensalmente, pro rata, sobre o saldo. IR pela tabela regressiva (22,5% a 15%) e IOF nos primeiros 30 dias',
+        'page.label.startDate': 'Data Inicial',
+        'page.label.endDate': 'Data Final',
+        'page.button.calculateBtn': 'Calcular',
+        'page.card.results': 'Resultados',
+        'page.button.copyLinkBtn': 'Copiar link',
+        'page.result.initialValue': 'Valor Inicial',
+        'page.result.finalValue': 'Valor Final (IPCA + Taxa Fixa)',
+        'page.result.totalVariation': 'Variação Total do IPCA',
+        'page.result.fixedRateDisplay': 'Taxa Fixa Aplicada',
+        'page.result.totalGain': 'Ganho Nominal Total',
+        'page.result.realReturnLabel': 'Retorno Real Total',
+        'page.result.realAnnualizedReturn': 'Retorno Real Anualizado',
+        'page.result.periodInflation': 'Inflação no Período (IPCA)',
+        'page.result.totalContributed': 'Total Aportado',
+        'page.result.totalWithdrawn': 'Total Resgatado',
+        'page.result.totalEarnings': 'Rendimento Líquido',
+        'page.result.period': 'Período',
+        'page.result.officialCorrection': 'Correção Oficial (Calculadora do Cidadão)',
+        'page.result.grossFinalValue': 'Valor Final Bruto',
+        'page.result.netFinalValue': 'Valor Final Líquido',
+        'page.result.taxTotal': 'IR + IOF',
+        'page.result.feeTotal': 'Custódia/Administração',
+        'page.result.netGain': 'Ganho Líquido Total',
+        'page.result.ntnbPurchasePrice': 'PU de Compra',
+        'page.result.ntnbVNA': 'VNA na Data Final',
+        'page.result.ntnbCurvePrice': 'PU na Curva (taxa de compra)',
+        'page.result.ntnbMarketPrice': 'PU a Mercado (taxa atual)',
+        'page.result.ntnbMarketValue': 'Valor a Mercado',
+        'page.result.ntnbMarkToMarket': 'Marcação a Mercado',
+        'page.result.ntnbTotalCoupons': 'Cupons Recebidos',
+        'page.caption.couponTable': 'Cupons semestrais',
+        'page.th.couponTable': 'Data',
+        'page.th.couponTable2': 'Cupom por Título',
+        'page.th.couponTable3': 'Valor do Cupom',
+        'page.th.couponTable4': 'Destino',
+        'page.card.comparison': 'Comparação de Cenários',
+        'page.th.comparisonTable': 'Cenário',
+        'page.th.comparisonTable2': 'Valor Final',
+        'page.th.comparisonTable3': 'Retorno Total',
+        'page.th.comparisonTable4': 'Retorno Anualizado',
+        'page.th.comparisonTable5': 'Retorno Real',
+        'page.th.comparisonTable6': 'Real Anualizado',
+        'page.card.portfolio': 'Carteira Consolidada',
+        'page.result.portfolioInvested': 'Total Investido',
+        'page.result.portfolioFinalValue': 'Valor na Data Final',
+        'page.result.portfolioReturn': 'Retorno Total',
+        'page.th.portfolioTable': 'Posição',
+        'page.th.portfolioTable2': 'Compra',
+        'page.th.portfolioTable3': 'Valor Investido',
+        'page.th.portfolioTable4': 'Valor Final',
+        'page.th.portfolioTable5': 'Retorno',
+        'page.caption.allocationTable': 'Alocação por índice na data final',
+        'page.th.allocationTable': 'Índice',
+        'page.th.allocationTable2': 'Valor',
+        'page.th.allocationTable3': 'Participação',
+        'page.card.readjustment': 'Reajustes do Contrato',
+        'page.result.readjustmentInitialValue': 'Valor Original',
+        'page.result.readjustmentFinalValue': 'Valor Reajustado',
+        'page.result.readjustmentTotalRate': 'Reajuste Acumulado',
+        'page.th.readjustmentTable': 'Período',
+        'page.th.readjustmentTable2': 'Vigência a partir de',
+        'page.th.readjustmentTable3': 'Referência',
+        'page.th.readjustmentTable4': 'Índice Acumulado (12 meses)',
+        'page.th.readjustmentTable5': 'Reajuste Aplicado',
+        'page.th.readjustmentTable6': 'Valor',
+        'page.card.loan': 'Financiamento',
+        'page.result.loanPrincipal': 'Valor Financiado',
+        'page.result.loanTotalPaid': 'Total Pago',
+        'page.result.loanTotalInterest': 'Total de Juros',
+        'page.result.loanTotalCorrection': 'Correção Monetária',
+        'page.result.loanFirstInstallment': 'Primeira Parcela',
+        'page.result.loanLastInstallment': 'Última Parcela',
+        'page.th.loanTable': 'Nº',
+        'page.th.loanTable2': 'Vencimento',
+        'page.th.loanTable3': 'Índice',
+        'page.th.loanTable4': 'Correção',
+        'page.th.loanTable5': 'Juros',
+        'page.th.loanTable6': 'Amortização',
+        'page.th.loanTable7': 'Amort. Extra',
+        'page.th.loanTable8': 'Parcela',
+        'page.th.loanTable9': 'Saldo Devedor',
+        'page.card.statement': 'Extrato Importado',
+        'page.result.statementBought': 'Total Aplicado',
+        'page.result.statementSold': 'Total Resgatado',
+        'page.result.statementFinalLabel': 'Valor Final',
+        'page.result.statementXIRR': 'Retorno Ponderado pelo Capital (XIRR)',
+        'page.result.statementTWR': 'Retorno Ponderado pelo Tempo (TWR)',
+        'page.result.statementImplied': 'Retorno Implícito',
+        'page.result.statementIndexOnlyLabel': 'Só o Índice',
+        'page.th.statementTable': 'Data',
+        'page.th.statementTable2': 'Tipo',
+        'page.th.statementTable3': 'Valor',
+        'page.card.chart': 'Evolução do Investimento',
+        'page.label.chartView': 'Visualização do gráfico',
+        'page.option.chartView.monthly': 'Valores mês a mês',
+        'page.option.chartView.yearly': 'Variação acumulada por ano (barras)',
+        'page.option.chartView.rolling': 'Taxa acumulada em 12 meses',
+        'page.label.chartRange': 'Período exibido',
+        'page.button.rangeResetBtn': 'Período completo',
+        'page.section.chartData': 'Tabela de dados do gráfico',
+        'page.card.breakdown': 'Evolução Mês a Mês',
+        'page.button.exportCsvBtn': 'Exportar CSV',
+        'page.button.exportXlsxBtn': 'Exportar Excel (.xlsx)',
+        'page.check.ntnbReinvest': 'Reinvestir os cupons na mesma taxa',
+        'page.check.adjustMonthlyByIPCA': 'Corrigir o valor mensal anualmente pelo IPCA',
+        'page.check.contractIgnoreNegative': 'Considerar índice acumulado negativo como zero',
+        'page.check.applyTaxes': 'Calcular valores líquidos (IR, IOF e taxas)',
+        'page.check.taxExempt': 'Isento de IR (LCI, LCA, CRI, CRA, debêntures incentivadas)',
+        'page.check.realValuesToggle': 'Valores reais (R$ de hoje)',
+        'page.check.logScaleToggle': 'Escala logarítmica',
+        'page.check.rebaseToggle': 'Base 100 no início',
+        'page.placeholder.contractFloor': 'Sem piso',
+        'page.placeholder.contractCap': 'Sem teto',
+        'page.header.title': 'Calculadora Simples Renda Fixa',
+        'page.label.localeSelect': 'Idioma',
+        'page.button.calculating': 'Calculando...',
+        'page.placeholder.portfolioName': 'Nome da carteira',
+        'page.placeholder.statementText': 'data;tipo;valor\n15/03/2021;compra;10.000,00\n10/01/2022;compra;5.000,00\n20/06/2023;venda;2.000,00\n31/12/2024;saldo;16.500,00',
+        'page.info.intro': '💡 <strong>O que significa?</strong> Se você tivesse investido',
+        'page.info.on': 'em',
+        'page.info.wouldNeed': ', precisaria de',
+        'page.info.purchasingPower': 'para manter o mesmo poder de compra, considerando a inflação medida pelo IPCA.',
+        'page.aria.investmentChart': 'Gráfico da evolução do investimento',
+        'page.aria.rangeStart': 'Início do período exibido',
+        'page.aria.rangeEnd': 'Fim do período exibido',
+        'page.footer.source': 'Dados fornecidos pelo <a href="https://www.bcb.gov.br/" target="_blank" rel="noopener noreferrer">Banco Central do Brasil</a>',
+        'page.title': 'Simulador de Investimento Renda Fixa - IPCA e SELIC'
+    },
+    'en-US': {
+        // Banco Central series
+        'series.fallbackLabel': 'series {code}',
+        'error.series.network': 'Connection failure while querying {series} at the Banco Central: {detail}',
+        'error.series.http': 'The Banco Central answered with error {status} while querying {series}.',
+        'error.series.unreadable': 'The Banco Central returned an unreadable response for {series}.',
+        'error.series.timeout': 'The Banco Central did not answer within {seconds} s while querying {series}.',
+        'error.series.gapsMore': '{months} and {count} more',
+        'error.series.gaps': 'The Banco Central series of {series} has no data for {months}.',
+        'error.series.invalid': 'The Banco Central returned invalid data for {series} ({reason}).',
+        'error.series.notList': 'the response is not a list of points',
+        'error.series.invalidDate': 'invalid date: {value}',
+        'error.series.notNumeric': 'non-numeric value on {date}: {value}',
+        'error.series.outOfOrder': 'dates out of order at {date}',
+        'error.series.noData': 'No {series} data available for the selected period.',
+
+        // Indexes, scenarios and rate conventions
+        'index.percentageOf.selic': '{percentage}% of SELIC',
+        'index.percentageOf.cdi': '{percentage}% of CDI',
+        'rateConvention.equivalent': 'Equivalent monthly compounding',
+        'rateConvention.business_days': 'Business days/252',
+        'rateConvention.simple': 'Proportional (rate/12)',
+        'error.unknownIndex': 'Unknown index: {index}',
+        'error.invalidDecimal': 'Invalid decimal value: {value}',
+
+        // NTN-B
+        'error.ntnb.maturityRequired': 'Please enter the NTN-B maturity date.',
+        'error.ntnb.maturityMay': 'An NTN-B with May/November coupons must mature on May 15.',
+        'error.ntnb.maturityAfterStart': 'The NTN-B maturity must be after the start date.',
+        'error.ntnb.startBeforeBase': 'The NTN-B start date must be on or after {date} (VNA base date).',
+        'error.ntnb.negativeYield': 'The current NTN-B yield cannot be negative.',
+        'error.ntnb.unsupportedOptions': 'Contributions, withdrawals and taxes are not supported in NTN-B mode yet.',
+
+        // Portfolios
+        'error.portfolio.storageUnavailable': 'Local storage is not available in this browser.',
+        'error.portfolio.storageFull': 'Could not save the portfolio: local storage is full.',
+        'allocation.fixedRate': 'Fixed rate',
+
+        // Monthly breakdown
+        'breakdown.yearTotal': 'Total {year}',
+        'breakdown.date': 'Date',
+        'breakdown.indexRate': '{index} rate (%)',
+        'breakdown.fixedRate': 'Fixed rate (%)',
+        'breakdown.valueSeries': '{index} only value (R$)',
+        'breakdown.valueCombined': 'Combined value (R$)',
+        'breakdown.projection': 'Projection',
+        'breakdown.defaultIndex': 'Index',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+
+        // Goal solver
+        'error.goal.reachedByFlows': 'The {target} goal is already reached by the contributions alone, with no initial amount.',
+        'error.goal.amountUnreachable': 'The {target} goal is out of reach: no initial amount reaches it in this scenario.',
+        'goal.rateLabel.percentage': 'index percentage',
+        'goal.rateLabel.fixed': 'fixed rate',
+        'error.goal.exceededAtZero': 'The {target} goal is already exceeded with a {rateLabel} of 0%.',
+        'error.goal.rateUnreachable': 'The {target} goal is out of reach: not even a {rateLabel} of {rate} reaches it.',
+        'error.goal.dateUnreachable': 'The {target} goal is out of reach within {years} years in this scenario.',
+
+        // Contract readjustment
+        'error.readjustment.noData': 'There is no index data for the {date} readjustment.',
+        'error.readjustment.invalidValue': 'Please enter a valid contract value (greater than zero).',
+        'error.readjustment.noAnniversary': 'The period must include at least one contract anniversary (12 months after the start date).',
+        'error.readjustment.invalidLimits': 'Please enter a valid readjustment cap and floor.',
+        'error.readjustment.floorAboveCap': 'The readjustment floor cannot be higher than the cap.',
+
+        // Financing
+        'error.loan.noData': 'There is no index data for the {date} installment.',
+        'error.loan.invalidPrincipal': 'Please enter a valid financed amount (greater than zero).',
+        'error.loan.startRequired': 'Please select the contract date.',
+        'error.loan.invalidTerm': 'The financing term must be between 1 and 480 months.',
+        'error.loan.invalidIndex': 'Select a valid correction index.',
+        'error.loan.invalidRate': 'Please enter a valid interest rate (zero or more).',
+        'error.loan.invalidSystem': 'Select the amortization system (SAC or Price).',
+        'error.loan.extraDateRequired': 'Enter the date of every extra amortization.',
+        'error.loan.extraAmountRequired': 'Enter an amount greater than zero for every extra amortization.',
+        'error.loan.extraOutOfTerm': 'The extra amortization of {date} must fall between the contract date and the last installment.',
+
+        // Transaction statement
+        'error.statement.invalidDate': 'Statement line {line}: invalid date "{value}" (use mm/dd/yyyy or yyyy-mm-dd).',
+        'error.statement.missingDate': 'Statement line {line}: the date "{value}" does not exist.',
+        'error.statement.unknownType': 'Statement line {line}: unknown type "{value}" (use buy, sell or balance).',
+        'error.statement.invalidAmount': 'Statement line {line}: invalid amount "{value}".',
+        'error.statement.noTransactions': 'The statement has no buys or sales.',
+        'error.statement.mustStartWithBuy': 'The statement must start with a buy.',
+        'error.statement.finalValueRequired': 'Enter the final market value (a "balance" line) or end the statement with the full redemption.',
+        'error.statement.duplicateValuation': 'The statement has more than one balance on {date}.',
+        'error.statement.valuationBeforeStart': 'The balance of {date} is before the first buy.',
+        'error.statement.tooShort': 'The statement must span at least one day between the first buy and the final value.',
+
+        // Statement returns
+        'error.xirr.needsFlows': 'The XIRR needs at least one buy and one redemption or final value.',
+        'error.xirr.noSolution': 'The XIRR of this statement could not be calculated.',
+        'error.statement.impliedBelow': 'The implied return of this statement over {index} is below -50% p.a.; check the values.',
+        'error.statement.impliedAbove': 'The implied return of this statement over {index} is above 1,000% p.a.; check the values.',
+
+        // Form validation
+        'error.projection.months': 'The number of history months must be between 1 and 240.',
+        'error.projection.paths': 'The number of paths must be between 100 and 20,000.',
+        'error.projection.seed': 'Please enter an integer seed for the simulation.',
+        'error.projection.negativeTarget': 'The target value cannot be negative.',
+        'error.projection.expectedRate': 'Please enter the expected annual rate for the projection.',
+        'error.projection.emptyTable': 'Add at least one year to the projection table.',
+        'error.projection.incompleteTable': 'Fill in the year and rate of every row of the projection table.',
+        'error.form.amount': 'Please enter a valid investment amount (greater than zero).',
+        'error.form.dates': 'Please select the start and end dates.',
+        'error.form.dateOrder': 'The start date must be before the end date.',
+        'error.form.indexPercentage': 'Please enter a valid index percentage (greater than zero).',
+        'error.form.beforeSeries': 'The start date must be after {monthYear} (start of the {index} series).',
+        'error.form.monthlyAmount': 'Please enter a valid monthly contribution/withdrawal amount.',
+        'error.form.entryIncomplete': 'Fill in the date and amount of every one-off transaction.',
+        'error.form.entryOutOfRange': 'One-off transactions must fall within the selected period.',
+        'error.form.annualFee': 'Please enter a valid custody/management fee.',
+
+        // Scenario labels and projections
+        'rate.perYear': '{rate} p.a.',
+        'scenario.ntnbLabel': 'NTN-B {index} + {rate}',
+        'scenario.indexPlusRate': '{index} + {rate}',
+        'scenario.fixedRateLabel': 'Fixed rate {rate}',
+        'projection.expected.description': 'expected rate entered for {index}, <strong>{annualRate} p.a.</strong> ({monthlyRate} per month)',
+        'projection.expected.short': 'expected {index} {annualRate} p.a.',
+        'projection.table.description': 'annual table entered for {index} (<strong>{summary}</strong>)',
+        'projection.table.short': 'annual {index} table',
+        'projection.geometric.description': 'geometric mean of the last {months} months of {index} (<strong>{monthlyRate} per month</strong>)',
+        'projection.montecarlo.suffix': ' on the central line, with P10–P90 bands by Monte Carlo resampling the same months',
+        'projection.geometric.short': 'geometric mean {months}m',
+        'projection.montecarlo.short': 'Monte Carlo, {months}m mean on the central line',
+        'proRata.label': 'pro rata {days}/{total} {unit}',
+        'proRata.business': 'business days',
+        'proRata.calendar': 'calendar days',
+
+        // Results
+        'montecarlo.target': 'Probability of exceeding <strong>{target}</strong>: <strong>{probability}</strong>.',
+        'montecarlo.summary': '🎲 <strong>Monte Carlo simulation</strong> ({paths} paths, seed {seed}, resampling {sampleSize} historical months). Final value:',
+        'ntnb.matured': 'Matured',
+        'ntnb.noCoupons': 'No coupons paid in the period.',
+        'ntnb.reinvested': 'Reinvested',
+        'ntnb.paid': 'Paid',
+        'error.hint.attempts': ' ({count} attempts)',
+        'error.hint.timeout': '{message}{attempts}. The service is slow; try again in a moment.',
+        'error.hint.network': 'Could not connect to the Banco Central to get {series}{attempts}. Check your connection and try again.',
+        'error.hint.unstable': '{message}{attempts}. The service is unstable; try again in a few minutes.',
+        'error.hint.checkDates': '{message} Check the dates of the period.',
+        'error.hint.gaps': '{message} Months without data are left out of the calculation; choose another period or try again later.',
+        'error.hint.later': '{message} Try again later.',
+        'results.variationOf': 'Total Change ({index})',
+        'results.indexVariation': 'Index Change',
+        'results.realReturn': 'Total Real Return',
+        'results.realReturnNet': 'Total Real Return (net)',
+        'results.officialFactor': 'Factor {factor} ({percentage}%)',
+        'results.projectionWarning': '⚠️ <strong>Note:</strong> The selected period extends into the future. A projection was used for the months without official data (dashed lines on the chart). Model: {model}.',
+        'results.defaultProjectionModel': 'index estimate',
+        'results.staleNotice': '📡 <strong>Offline mode:</strong> the Banco Central could not be reached. The results use <strong>data from {date}</strong> saved in this browser.',
+
+        // Cash flows and comparison
+        'cashFlow.date': 'Transaction date',
+        'cashFlow.type': 'Transaction type',
+        'cashFlow.contribution': 'Contribution',
+        'cashFlow.withdrawal': 'Withdrawal',
+        'cashFlow.amount': 'Transaction amount',
+        'cashFlow.remove': 'Remove transaction',
+        'comparison.type': 'Scenario type',
+        'comparison.ratePlaceholder': 'Rate or %',
+        'comparison.rate': 'Fixed rate (% p.a.) or index percentage',
+        'comparison.namePlaceholder': 'Name (optional)',
+        'comparison.name': 'Scenario name',
+        'comparison.remove': 'Remove scenario',
+        'comparison.netNote': 'Values net of income tax, IOF and fees.',
+        'comparison.grossNote': 'Gross values.',
+        'comparison.aheadAllPeriod': '{winner} stayed ahead of {other} for the whole period.',
+        'comparison.overtakes': '{winner} overtakes {other} from {date} (break-even point).',
+        'comparison.tiesAtEnd': '{winner} ties with {other} at the end of the period.',
+
+        // Chart tooltips
+        'chart.dateTitle': 'Date: {date}',
+        'chart.projectionSuffix': ' (Projection)',
+        'chart.breakEvenSuffix': ' (Break-even point)',
+        'chart.realValuesNote': '\nValues in R$ of the end date (adjusted by IPCA)',
+
+        // Portfolios (page)
+        'position.name': 'Position name',
+        'position.amountPlaceholder': 'Amount (R$)',
+        'position.amount': 'Amount invested (R$)',
+        'position.date': 'Purchase date',
+        'position.remove': 'Remove position',
+        'portfolio.new': 'New portfolio',
+        'error.portfolio.nameRequired': 'Please enter a name for the portfolio.',
+        'error.portfolio.noPositions': 'Add at least one position to the portfolio.',
+        'portfolio.confirmDelete': 'Delete the portfolio "{name}"?',
+        'portfolio.titleNamed': 'Portfolio: {name}',
+        'portfolio.title': 'Consolidated Portfolio',
+        'chart.portfolioTotal': 'Portfolio total: {total}',
+        'chart.endDateReais': ' (R$ of the end date)',
+
+        // Contract readjustment and financing (page)
+        'common.range': '{start} to {end}',
+        'readjustment.adjustment.zero': ' (negative → zero)',
+        'readjustment.adjustment.floor': ' (floor)',
+        'readjustment.adjustment.cap': ' (cap)',
+        'readjustment.initial': 'Initial',
+        'readjustment.ordinal': '#{period}',
+        'readjustment.note': 'Index: {index}.',
+        'readjustment.noteProjection': 'Index: {index}. Rows in italics use projected months (no official data).',
+        'chart.contractValue': 'Contract value ({index})',
+        'chart.effectiveFrom': 'Effective from {date}',
+        'chart.readjustment': '\nReadjustment: {rate}',
+        'loanExtra.date': 'Extra amortization date',
+        'loanExtra.amount': 'Extra amortization amount',
+        'loanExtra.remove': 'Remove extra amortization',
+        'loan.title': '{system} financing — {index} + interest',
+        'common.total': 'Total',
+        'loan.paidOff': 'Paid off at installment {count} with the extra amortizations.',
+        'loan.projectionNote': 'Rows in italics use projected index months (no official data).',
+        'chart.outstandingBalance': 'Outstanding balance',
+        'chart.totalPaid': 'Cumulative amount paid',
+        'chart.installment': 'Installment {number} — ',
+        'chart.contract': 'Contract — ',
+
+        // Transaction statement (page)
+        'error.statement.unreadableFile': 'Could not read the file {name}.',
+        'error.statement.empty': 'Paste the statement or choose a CSV file.',
+        'statement.impliedSpread': '{index} {sign} {rate} p.a.',
+        'statement.buy': 'Buy',
+        'statement.sell': 'Sale',
+        'statement.finalValueOn': 'Final Value ({date})',
+        'statement.unavailable': 'Unavailable',
+        'statement.twr': '{total} ({annualized} p.a.)',
+        'statement.indexOnly': '{index} only (same flows)',
+        'statement.finalValue': 'Final value',
+        'statement.impliedNote': 'The implied return replays the same buys and sales in {index} + fixed rate (each flow enters at the start of its month and earns the whole month, so the result is approximate for mid-month flows; only the first and last months are pro rata by calendar days) until it reaches the final value.',
+        'statement.twrUnavailable': 'The TWR could not be calculated: some period had no capital invested.',
+        'statement.twrDietz': 'Without intermediate balances, the TWR is approximated by the modified Dietz method; add balance lines on the dates of the flows for the exact value.',
+        'statement.projectionNote': 'The period includes months without official index data (projected).',
+        'chart.impliedReturn': '{label} (implied return)',
+        'chart.indexOnly': '{index} only',
+        'chart.monthBuy': '\nBuy in the month: {amount}',
+        'chart.monthSell': '\nSale in the month: {amount}',
+
+        // Projection table and breakdown export
+        'projectionTable.year': 'Year',
+        'projectionTable.rate': 'Annual rate (%)',
+        'projectionTable.remove': 'Remove year',
+        'error.xlsxUnavailable': 'Could not load the spreadsheet generator. Check your connection and try again.',
+        'export.sheetName': 'Monthly Evolution',
+        'export.fileName': 'investment-evolution',
+
+        // Goal solver (page)
+        'error.solver.target': 'Please enter a valid target final value (greater than zero).',
+        'error.solver.horizon': 'The search horizon must be between 1 and 100 years.',
+        'solver.amount': 'Required initial amount: <strong>{value}</strong>',
+        'solver.percentage': 'Required percentage: <strong>{value} of the index</strong>',
+        'solver.rate': 'Required fixed rate: <strong>{value} p.a.</strong>',
+        'solver.date': 'Goal reached on: <strong>{value}</strong>',
+        'solver.result': '🎯 {answer} (final value of {finalValue} for the goal of {target}).',
+
+        // Chart views
+        'chart.ariaDefault': 'Simulation chart',
+        'range.months': { one: '{months} month', other: '{months} months' },
+        'range.return': 'Return: {total} ({annualized} p.a.)',
+        'range.balance': 'Balance: {start} → {end}',
+        'range.contributions': 'Contributions in the period: {amount}',
+        'range.withdrawals': 'Withdrawals in the period: {amount}',
+        'range.includesProjection': ' (includes projection)',
+        'chart.periodColumn': 'Period',
+        'chart.ariaSummary': '{caption}: chart with {count} points; the values are in the chart data table',
+        'chart.rate': 'Rate',
+        'chart.partialYear': ' (partial year)',
+        'chart.yearlyCaption': 'Change per year',
+        'chart.rollingCaption': '12-month accumulated rate',
+        'chart.seriesOnly': '{index} only',
+        'chart.baseValue': 'Base Value',
+        'chart.netValue': 'Net Value',
+        'chart.totalInvested': 'Total Invested',
+        'chart.projectionWith': ' (Projection: {label})',
+        'chart.coupon': 'NTN-B coupon: {amount} ({status})',
+        'chart.couponReinvested': 'reinvested',
+        'chart.couponPaid': 'paid',
+        'chart.contribution': 'Contribution: {amount}',
+        'chart.withdrawal': 'Withdrawal: {amount}',
+        'chart.earnings': 'Accumulated earnings: {amount}',
+        'chart.realPerformance': 'Real performance (net of IPCA)',
+        'chart.realValues': 'Values in R$ of the end date (adjusted by IPCA)',
+        'chart.unitRebased': 'base 100',
+        'chart.unitReal': 'R$ of the end date',
+        'chart.monthlyCaption': 'Month-by-month evolution ({unit})',
+
+        // Scenario options and permalink
+        'scenario.optionFixed': '{index} + Fixed Rate',
+        'scenario.optionNTNB': 'Tesouro IPCA+ with Semiannual Coupons (NTN-B)',
+        'scenario.optionFixedOnly': 'Fixed Rate Only',
+        'permalink.copied': 'Link copied!',
+        'permalink.prompt': 'Copy the simulation link:',
+        'permalink.copy': 'Copy link',
+
+        // Page
+        'page.header.subtitle': 'Calculate the real value of your investment adjusted for Brazilian inflation',
+        'page.form.title': 'Investment Details',
+        'page.label.scenarioType': 'Simulation Type',
+        'page.label.investmentAmount': 'Initial Amount (R$)',
+        'page.label.fixedRate': 'Annual Fixed Rate (% p.a.)',
+        'page.hint.fixedRate': 'Rate added to the index (e.g. 5% = IPCA + 5% p.a.)',
+        'page.label.indexPercentage': 'Index Percentage (%)',
+        'page.hint.indexPercentage': 'E.g. 110 = 110% of CDI, applied to the daily index rate',
+        'page.label.ntnbMaturity': 'NTN-B Maturity',
+        'page.label.ntnbCurrentYield': 'Current Yield (% p.a.)',
+        'page.hint.ntnb': 'The Fixed Rate is the purchase yield. 6% p.a. coupons on the VNA on May 15 and November 15; maturity must be on May 15. The current yield (optional) marks the bond to market on the end date',
+        'page.label.rateConvention': 'Fixed Rate Convention',
+        'page.option.rateConvention.equivalent': 'Equivalent monthly compounding — (1 + rate)^(1/12)',
+        'page.option.rateConvention.business_days': 'Business days/252 — (1 + rate)^(bd/252)',
+        'page.option.rateConvention.simple': 'Proportional — rate/12',
+        'page.hint.rateConvention': 'Brazilian fixed income securities use the equivalent rate or the 252 business day basis (national holiday calendar)',
+        'page.label.proRataMode': 'Partial Months (Pro Rata)',
+        'page.option.proRataMode.none': 'Full month (no pro rata)',
+        'page.option.proRataMode.calendar': 'Pro rata by calendar days',
+        'page.option.proRataMode.business': 'Pro rata by business days',
+        'page.hint.proRataMode': 'Applies only the share of the index and rate for the days of the first and last month (start date included, end date excluded)',
+        'page.section.cashFlows': 'Contributions and Withdrawals',
+        'page.label.monthlyFlowType': 'Monthly Cash Flow',
+        'page.option.monthlyFlowType.contribution': 'Monthly contribution',
+        'page.option.monthlyFlowType.withdrawal': 'Monthly withdrawal',
+        'page.label.monthlyAmount': 'Monthly Amount (R$)',
+        'page.label.cashFlowList': 'One-off Cash Flows',
+        'page.button.addCashFlowBtn': '+ Add cash flow',
+        'page.hint.cashFlows': 'Contributions and withdrawals are booked at the start of the month of the given date',
+        'page.section.projection': 'Projection of Future Months',
+        'page.label.projectionModel': 'Projection Model',
+        'page.option.projectionModel.geometric': 'Geometric mean of the last N months',
+        'page.option.projectionModel.expected': 'Expected annual rate (e.g. Focus survey)',
+        'page.option.projectionModel.table': 'Rate table by year',
+        'page.option.projectionModel.montecarlo': 'Monte Carlo (historical resampling)',
+        'page.hint.projectionModel': 'Used when the end date goes past the official data. The expected rate and the table apply to the index of the main scenario',
+        'page.label.projectionMonths': 'History Months (N)',
+        'page.label.simulationPaths': 'Paths',
+        'page.label.simulationSeed': 'Seed',
+        'page.label.targetValue': 'Target Value (R$)',
+        'page.hint.monteCarlo': 'Each path draws, with replacement, monthly rates from the last N months. The same seed reproduces the same result',
+        'page.label.expectedAnnualRate': 'Expected Annual Rate (% p.a.)',
+        'page.label.projectionTableList': 'Annual Rate by Year (% p.a.)',
+        'page.button.addProjectionRowBtn': '+ Add year',
+        'page.hint.projectionTable': 'Years after the last one entered repeat the last rate',
+        'page.section.solver': 'Goal (Reverse Calculation)',
+        'page.label.solverTarget': 'Desired Final Value',
+        'page.label.solverUnknown': 'Calculate',
+        'page.option.solverUnknown.amount': 'Required initial amount',
+        'page.option.solverUnknown.rate': 'Required fixed rate (or % of index)',
+        'page.option.solverUnknown.endDate': 'Date the goal is reached',
+        'page.label.solverHorizon': 'Search up to (years)',
+        'page.button.solveBtn': 'Solve goal',
+        'page.hint.solver': 'The other fields (scenario, dates, cash flows, projection and taxes) are kept. With taxes enabled, the goal is the net value',
+        'page.section.comparison': 'Compare Scenarios',
+        'page.button.addComparisonBtn': '+ Add scenario',
+        'page.hint.comparison': 'Each scenario uses the same amount, period and cash flows. Enter the fixed rate (% p.a.) or, for "% of CDI/SELIC", the index percentage',
+        'page.section.portfolio': 'Portfolio',
+        'page.label.portfolioSelect': 'Saved portfolios',
+        'page.option.portfolioSelect.empty': 'New portfolio',
+        'page.button.savePortfolioBtn': 'Save',
+        'page.button.deletePortfolioBtn': 'Delete',
+        'page.hint.portfolioStorage': 'Portfolios are saved in this browser only',
+        'page.button.addPositionBtn': '+ Add position',
+        'page.hint.positions': 'Each position has its own amount, purchase date, scenario and rate; all are valued up to the end date with the same convention, pro rata, projection and taxes',
+        'page.button.calculatePortfolioBtn': 'Calculate portfolio',
+        'page.section.readjustment': 'Contract Readjustment (Rent)',
+        'page.label.contractValue': 'Contract Value',
+        'page.label.contractIndex': 'Readjustment Index',
+        'page.label.contractFloor': 'Floor per Readjustment (% optional)',
+        'page.label.contractCap': 'Cap per Readjustment (% optional)',
+        'page.button.calculateReadjustmentBtn': 'Calculate readjustments',
+        'page.hint.readjustment': 'The Start Date is the start of the contract; readjustments happen on every anniversary up to the End Date, by the index accumulated over the 12 months up to the previous month',
+        'page.section.loan': 'Financing (SAC / Price)',
+        'page.label.loanAmount': 'Financed Amount',
+        'page.label.loanTerm': 'Term (months)',
+        'page.label.loanIndex': 'Balance Correction',
+        'page.label.loanRate': 'Interest (% p.a. on top of the index)',
+        'page.label.loanSystem': 'Amortization System',
+        'page.option.loanSystem.sac': 'SAC (constant amortization)',
+        'page.option.loanSystem.price': 'Price (constant installment)',
+        'page.label.loanExtraList': 'Extra Amortizations',
+        'page.button.addLoanExtraBtn': '+ Add extra amortization',
+        'page.hint.loanExtras': 'Paid with the first installment on or after the given date; the following installments are recalculated over the remaining term',
+        'page.button.calculateLoanBtn': 'Calculate financing',
+        'page.hint.loan': 'The Start Date is the contract date and the first installment is due one month later. The balance is corrected monthly by the index and then accrues interest',
+        'page.section.statement': 'Investment Statement (XIRR)',
+        'page.label.statementFile': 'CSV File',
+        'page.label.statementText': 'Statement (date;type;amount)',
+        'page.hint.statementText': 'Types: buy, sell and balance (market value at the end of the day). Without a final balance, sales on the last date are treated as a full withdrawal',
+        'page.label.statementIndex': 'Compare with',
+        'page.button.calculateStatementBtn': 'Analyze statement',
+        'page.section.taxes': 'Taxes and Fees',
+        'page.label.annualFee': 'Custody/Management Fee (% p.a.)',
+        'page.hint.annualFee': 'Charged monthly, pro rata, on the balance. Income tax by the regressive table (22.5% to 15%) and IOF in the first 30 days',
+        'page.label.startDate': 'Start Date',
+        'page.label.endDate': 'End Date',
+        'page.button.calculateBtn': 'Calculate',
+        'page.card.results': 'Results',
+        'page.button.copyLinkBtn': 'Copy link',
+        'page.result.initialValue': 'Initial Amount',
+        'page.result.finalValue': 'Final Value (IPCA + Fixed Rate)',
+        'page.result.totalVariation': 'Total IPCA Variation',
+        'page.result.fixedRateDisplay': 'Applied Fixed Rate',
+        'page.result.totalGain': 'Total Nominal Gain',
+        'page.result.realReturnLabel': 'Total Real Return',
+        'page.result.realAnnualizedReturn': 'Annualized Real Return',
+        'page.result.periodInflation': 'Inflation in the Period (IPCA)',
+        'page.result.totalContributed': 'Total Contributed',
+        'page.result.totalWithdrawn': 'Total Withdrawn',
+        'page.result.totalEarnings': 'Net Earnings',
+        'page.result.period': 'Period',
+        'page.result.officialCorrection': 'Official Correction (Calculadora do Cidadão)',
+        'page.result.grossFinalValue': 'Gross Final Value',
+        'page.result.netFinalValue': 'Net Final Value',
+        'page.result.taxTotal': 'Income Tax + IOF',
+        'page.result.feeTotal': 'Custody/Management',
+        'page.result.netGain': 'Total Net Gain',
+        'page.result.ntnbPurchasePrice': 'Purchase Unit Price',
+        'page.result.ntnbVNA': 'VNA on the End Date',
+        'page.result.ntnbCurvePrice': 'Unit Price on the Curve (purchase yield)',
+        'page.result.ntnbMarketPrice': 'Market Unit Price (current yield)',
+        'page.result.ntnbMarketValue': 'Market Value',
+        'page.result.ntnbMarkToMarket': 'Mark to Market',
+        'page.result.ntnbTotalCoupons': 'Coupons Received',
+        'page.caption.couponTable': 'Semiannual coupons',
+        'page.th.couponTable': 'Date',
+        'page.th.couponTable2': 'Coupon per Bond',
+        'page.th.couponTable3': 'Coupon Amount',
+        'page.th.couponTable4': 'Destination',
+        'page.card.comparison': 'Scenario Comparison',
+        'page.th.comparisonTable': 'Scenario',
+        'page.th.comparisonTable2': 'Final Value',
+        'page.th.comparisonTable3': 'Total Return',
+        'page.th.comparisonTable4': 'Annualized Return',
+        'page.th.comparisonTable5': 'Real Return',
+        'page.th.comparisonTable6': 'Real Annualized',
+        'page.card.portfolio': 'Consolidated Portfolio',
+        'page.result.portfolioInvested': 'Total Invested',
+        'page.result.portfolioFinalValue': 'Value on the End Date',
+        'page.result.portfolioReturn': 'Total Return',
+        'page.th.portfolioTable': 'Position',
+        'page.th.portfolioTable2': 'Purchase',
+        'page.th.portfolioTable3': 'Amount Invested',
+        'page.th.portfolioTable4': 'Final Value',
+        'page.th.portfolioTable5': 'Return',
+        'page.caption.allocationTable': 'Allocation by index on the end date',
+        'page.th.allocationTable': 'Index',
+        'page.th.allocationTable2': 'Value',
+        'page.th.allocationTable3': 'Share',
+        'page.card.readjustment': 'Contract Readjustments',
+        'page.result.readjustmentInitialValue': 'Original Value',
+        'page.result.readjustmentFinalValue': 'Readjusted Value',
+        'page.result.readjustmentTotalRate': 'Accumulated Readjustment',
+        'page.th.readjustmentTable': 'Period',
+        'page.th.readjustmentTable2': 'Effective From',
+        'page.th.readjustmentTable3': 'Reference',
+        'page.th.readjustmentTable4': 'Accumulated Index (12 months)',
+        'page.th.readjustmentTable5': 'Applied Readjustment',
+        'page.th.readjustmentTable6': 'Value',
+        'page.card.loan': 'Financing',
+        'page.result.loanPrincipal': 'Financed Amount',
+        'page.result.loanTotalPaid': 'Total Paid',
+        'page.result.loanTotalInterest': 'Total Interest',
+        'page.result.loanTotalCorrection': 'Monetary Correction',
+        'page.result.loanFirstInstallment': 'First Installment',
+        'page.result.loanLastInstallment': 'Last Installment',
+        'page.th.loanTable': 'No.',
+        'page.th.loanTable2': 'Due Date',
+        'page.th.loanTable3': 'Index',
+        'page.th.loanTable4': 'Correction',
+        'page.th.loanTable5': 'Interest',
+        'page.th.loanTable6': 'Amortization',
+        'page.th.loanTable7': 'Extra Amort.',
+        'page.th.loanTable8': 'Installment',
+        'page.th.loanTable9': 'Outstanding Balance',
+        'page.card.statement': 'Imported Statement',
+        'page.result.statementBought': 'Total Invested',
+        'page.result.statementSold': 'Total Withdrawn',
+        'page.result.statementFinalLabel': 'Final Value',
+        'page.result.statementXIRR': 'Money-Weighted Return (XIRR)',
+        'page.result.statementTWR': 'Time-Weighted Return (TWR)',
+        'page.result.statementImplied': 'Implied Return',
+        'page.result.statementIndexOnlyLabel': 'Index Only',
+        'page.th.statementTable': 'Date',
+        'page.th.statementTable2': 'Type',
+        'page.th.statementTable3': 'Amount',
+        'page.card.chart': 'Investment Evolution',
+        'page.label.chartView': 'Chart view',
+        'page.option.chartView.monthly': 'Month-by-month values',
+        'page.option.chartView.yearly': 'Accumulated change per year (bars)',
+        'page.option.chartView.rolling': 'Rolling 12-month rate',
+        'page.label.chartRange': 'Displayed period',
+        'page.button.rangeResetBtn': 'Full period',
+        'page.section.chartData': 'Chart data table',
+        'page.card.breakdown': 'Month-by-Month Evolution',
+        'page.button.exportCsvBtn': 'Export CSV',
+        'page.button.exportXlsxBtn': 'Export Excel (.xlsx)',
+        'page.check.ntnbReinvest': 'Reinvest coupons at the same yield',
+        'page.check.adjustMonthlyByIPCA': 'Correct the monthly amount yearly by IPCA',
+        'page.check.contractIgnoreNegative': 'Treat a negative accumulated index as zero',
+        'page.check.applyTaxes': 'Calculate net values (income tax, IOF and fees)',
+        'page.check.taxExempt': 'Income tax exempt (LCI, LCA, CRI, CRA, incentivized debentures)',
+        'page.check.realValuesToggle': 'Real values (today\'s R$)',
+        'page.check.logScaleToggle': 'Logarithmic scale',
+        'page.check.rebaseToggle': 'Rebase to 100 at the start',
+        'page.placeholder.contractFloor': 'No floor',
+        'page.placeholder.contractCap': 'No cap',
+        'page.header.title': 'Simple Fixed Income Calculator',
+        'page.label.localeSelect': 'Language',
+        'page.button.calculating': 'Calculating...',
+        'page.placeholder.portfolioName': 'Portfolio name',
+        'page.placeholder.statementText': 'date;type;amount\n03/15/2021;buy;10,000.00\n01/10/2022;buy;5,000.00\n06/20/2023;sell;2,000.00\n12/31/2024;balance;16,500.00',
+        'page.info.intro': '💡 <strong>What does it mean?</strong> If you had invested',
+        'page.info.on': 'on',
+        'page.info.wouldNeed': ', you would need',
+        'page.info.purchasingPower': 'to keep the same purchasing power, considering inflation as measured by IPCA.',
+        'page.aria.investmentChart': 'Investment evolution chart',
+        'page.aria.rangeStart': 'Start of the displayed period',
+        'page.aria.rangeEnd': 'End of the displayed period',
+        'page.footer.source': 'Data provided by the <a href="https://www.bcb.gov.br/" target="_blank" rel="noopener noreferrer">Central Bank of Brazil</a>',
+        'page.title': 'Fixed Income Investment Simulator - IPCA and SELIC'
+    }
+};
+
+// Export for Node (bin/ipca-calc and core.js); the page uses the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES,
+        DEFAULT_LOCALE,
+        MESSAGES,
+        getLocale,
+        setLocale,
+        matchLocale,
+        t
+    };
+}
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+/**
+ * Evolution from November 2023: index at 1% a month, combined at 2%, 1000 invested and
+ * the cash flows given by point index (the last `projected` points are projections)
+ */
+function buildEvolution(months, cashFlows = {}, projected = 0) {
+    let value = 1000;
+    return Array.from({ length: months }, (_, index) => {
+        const date = new Date(2023, 10 + index, 1);
+        const cashFlow = cashFlows[index] || 0;
+        value = (value + cashFlow) * 1.02;
+        return {
+            date,
+            dateString: core.formatDateForAPI(date),
+            monthlyRate: 1,
+            monthlyFactor: 1.02,
+            cashFlow,
+            valueCombined: value,
+            isProjection: index >= months - projected
+        };
+    });
+}
+
+test('the rebased performance compounds the monthly rates and ignores cash flows', () => {
+    const performance = core.buildPerformanceIndex(buildEvolution(3, { 1: 5000 }));
+
+    assert.equal(performance.length, 3);
+    close(performance[0].series, 101);
+    close(performance[2].series, 100 * Math.pow(1.01, 3));
+    close(performance[2].combined, 100 * Math.pow(1.02, 3));
+    close(core.buildPerformanceIndex(buildEvolution(2), 1)[1].combined, 1.0404);
+});
+
+test('yearly returns accumulate each calendar year and flag partial and projected years', () => {
+    const years = core.buildYearlyReturns(buildEvolution(16, {}, 1));
+
+    assert.deepEqual(years.map(year => year.year), [2023, 2024, 2025]);
+    close(years[0].indexRate, (Math.pow(1.01, 2) - 1) * 100);
+    close(years[1].indexRate, (Math.pow(1.01, 12) - 1) * 100);
+    close(years[1].combinedRate, (Math.pow(1.02, 12) - 1) * 100);
+    assert.deepEqual(years.map(year => year.isPartial), [true, false, true]);
+    assert.deepEqual(years.map(year => year.isProjection), [false, false, true]);
+});
+
+test('a pro rata month counts as the fraction of the month it covers', () => {
+    const evolution = buildEvolution(14).slice(2);
+    evolution[0].proRata = 0.5;
+    evolution.push({ ...evolution[11], date: new Date(2025, 0, 1), dateString: '01/01/2025' });
+
+    const [year] = core.buildYearlyReturns(evolution);
+    assert.equal(year.year, 2024);
+    assert.equal(year.isPartial, true);
+});
+
+test('rolling returns need a full window and cover the trailing months', () => {
+    const rolling = core.buildRollingReturns(buildEvolution(14, {}, 1));
+
+    assert.equal(rolling.length, 14);
+    rolling.slice(0, 11).forEach(point => assert.equal(point.indexRate, null));
+    close(rolling[11].indexRate, (Math.pow(1.01, 12) - 1) * 100);
+    close(rolling[13].combinedRate, (Math.pow(1.02, 12) - 1) * 100);
+    assert.equal(rolling[12].isProjection, false);
+    assert.equal(rolling[13].isProjection, true);
+    assert.equal(core.buildRollingReturns(buildEvolution(4), 3)[2].dateString, '01/01/2024');
+});
+
+test('a range summary chains the factors and reports the flows inside it', () => {
+    const evolution = buildEvolution(6, { 2: 500, 4: -200 });
+    const summary = core.summarizeRange(evolution, 1000, 2, 5);
+
+    assert.equal(summary.months, 4);
+    close(summary.startValue, evolution[1].valueCombined + 500);
+    close(summary.endValue, evolution[5].valueCombined);
+    close(summary.netFlows, -200);
+    close(summary.indexVariation, (Math.pow(1.01, 4) - 1) * 100);
+    close(summary.totalReturn, (Math.pow(1.02, 4) - 1) * 100);
+    close(summary.annualizedReturn, (Math.pow(1.02, 12) - 1) * 100);
+
+    // From the first point the start is the initial amount
+    close(core.summarizeRange(evolution, 1000, 0, 1).startValue, 1000);
+});
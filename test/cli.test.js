@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { monthlySeries } = require('./helpers/bcb-stub.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ipca-calc');
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+
+function runCLI(args) {
+    // Without a global fetch, any request that skips the series file fails
+    return spawnSync(process.execPath, ['--no-experimental-fetch', CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('ipca-calc reads --series-file through the injected fetch', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipca-calc-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const seriesFile = path.join(dir, 'series.json');
+    fs.writeFileSync(seriesFile, JSON.stringify({ ipca: monthlySeries(2023, 1, IPCA_2023) }));
+
+    const run = runCLI(['--amount', '1000', '--rate', '6', '--from', '2023-01-01', '--to', '2023-12-01',
+        '--series-file', seriesFile]);
+
+    assert.equal(run.status, 0, run.stderr);
+    const report = JSON.parse(run.stdout);
+    assert.equal(report.evolution.length, 12);
+    assert.equal(report.isProjection, false);
+    const expected = IPCA_2023.reduce((value, rate) => value * (1 + rate / 100) * Math.pow(1.06, 1 / 12), 1000);
+    assert.ok(Math.abs(report.finalValue - expected) < 1e-6);
+});
+
+test('ipca-calc exits with 1 on invalid input and 2 on bad usage', () => {
+    assert.equal(runCLI(['--amount', '-5', '--from', '2023-01-01', '--to', '2023-12-01']).status, 1);
+    assert.equal(runCLI(['--unknown']).status, 2);
+});
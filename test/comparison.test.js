@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { createStubFetch, monthlySeries } = require('./helpers/bcb-stub.js');
+
+// IPCA 2023 (SGS 433) and a SELIC (SGS 4390) that only starts in February
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+const SELIC_2023 = [0.92, 1.17, 0.92, 1.12, 1.07, 1.07, 0.97, 1.00, 0.92, 0.89, 0.79];
+const NOW = new Date(2024, 0, 20, 12);
+
+// Any request that escapes the injected fetchFn fails the test
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+function scenarioParams(overrides = {}) {
+    return {
+        amount: 1000,
+        startDate: '2023-01-01',
+        endDate: '2023-12-01',
+        rateConvention: 'equivalent',
+        proRataMode: 'none',
+        schedule: null,
+        taxOptions: null,
+        projection: core.DEFAULT_PROJECTION,
+        monteCarlo: null,
+        seriesOptions: {
+            fetchFn: createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023), 4390: monthlySeries(2023, 2, SELIC_2023) }),
+            storage: null,
+            now: NOW
+        },
+        ...overrides
+    };
+}
+
+test('a scenario that starts later holds the initial amount until its first month', async () => {
+    // The withdrawal falls in the first month of the SELIC scenario
+    const params = scenarioParams({
+        schedule: { monthlyAmount: 0, adjustByIPCA: false, entries: [{ date: '2023-02-01', amount: -100 }] }
+    });
+    const ipca = await core.calculateScenario({ scenarioType: 'ipca_fixed', rate: 5, label: '' }, params);
+    const selic = await core.calculateScenario({ scenarioType: 'selic_fixed', rate: 0, label: '' }, params);
+    assert.equal(selic.evolution[0].dateString, '01/02/2023');
+    assert.equal(selic.evolution[0].cashFlow, -100);
+
+    const comparison = core.compareScenarios([ipca, selic], params.startDate, params.endDate);
+
+    assert.equal(comparison.dateStrings[0], '01/01/2023');
+    assert.equal(comparison.dateStrings.length, 12);
+    assert.equal(comparison.scenarios[1].values[0], 1000);
+    assert.equal(comparison.scenarios[1].values[1], selic.evolution[0].valueCombined);
+    assert.equal(comparison.scenarios[1].realValues[0], 1000 * selic.evolution[0].deflator);
+    assert.equal(comparison.scenarios[0].values[0], ipca.evolution[0].valueCombined);
+});
+
+test('compareScenarios picks the winner and its break-even month', async () => {
+    const params = scenarioParams();
+    const results = await Promise.all([
+        core.calculateScenario({ scenarioType: 'ipca_fixed', rate: 6, label: '' }, params),
+        core.calculateScenario({ scenarioType: 'fixed_only', rate: 8, label: '' }, params)
+    ]);
+    const comparison = core.compareScenarios(results, params.startDate, params.endDate);
+
+    assert.equal(comparison.useNet, false);
+    assert.equal(comparison.winnerIndex, 0);
+    assert.equal(comparison.scenarios[0].finalValue, results[0].finalValue);
+    assert.ok(comparison.scenarios[0].finalValue > comparison.scenarios[1].finalValue);
+    assert.equal(comparison.breakEvens.length, 1);
+    assert.equal(comparison.breakEvens[0].otherIndex, 1);
+});
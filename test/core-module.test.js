@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test('requiring core.js leaves the global object alone', () => {
+    const hostT = () => 'host';
+    globalThis.t = hostT;
+    const core = require('../core.js');
+
+    assert.equal(globalThis.t, hostT);
+    for (const name of ['getLocale', 'setLocale', 'matchLocale', 'LOCALES', 'MESSAGES']) {
+        assert.equal(name in globalThis, false, name);
+    }
+    // core still translates with its own catalog
+    assert.throws(() => core.calculateXIRR([]), { message: /XIRR/ });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { t } = require('../i18n.js');
+const { createStubFetch, monthlySeries } = require('./helpers/bcb-stub.js');
+
+// IPCA 2023 (SGS 433)
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+const NOW = new Date(2024, 0, 20, 12);
+
+// Any request that escapes the injected fetchFn fails the test
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+// January to December 2023, twelve whole months
+function scenarioParams(overrides = {}) {
+    return {
+        amount: 1000,
+        startDate: '2023-01-01',
+        endDate: '2023-12-01',
+        rateConvention: 'equivalent',
+        proRataMode: 'none',
+        schedule: null,
+        taxOptions: null,
+        projection: core.DEFAULT_PROJECTION,
+        monteCarlo: null,
+        seriesOptions: { fetchFn: createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) }), storage: null, now: NOW },
+        ...overrides
+    };
+}
+
+const compound = (amount, rates) => rates.reduce((value, rate) => value * (1 + rate / 100), amount);
+
+test('solveIncreasing converges to a known root', async () => {
+    const solution = await core.solveIncreasing(async (x) => x * x * x, 27, 0, 1, 100, 1e-9);
+
+    assert.equal(solution.status, 'solved');
+    assert.ok(Math.abs(solution.x - 3) < 1e-6);
+});
+
+test('solveIncreasing reports targets out of reach', async () => {
+    assert.equal((await core.solveIncreasing(async (x) => x, 5, 10, 20, 100)).status, 'above');
+    assert.equal((await core.solveIncreasing(async (x) => x, 500, 0, 10, 100)).status, 'below');
+});
+
+test('solveGoal finds the fixed rate that turns 1000 into 1080 in a year', async () => {
+    const goal = await core.solveGoal({ scenarioType: 'fixed_only', rate: 0, label: '' }, scenarioParams(), 1080, 'rate');
+
+    assert.equal(goal.unknown, 'rate');
+    assert.ok(Math.abs(goal.value - 8) < 0.0002);
+    assert.ok(Math.abs(goal.finalValue - 1080) < 0.005);
+});
+
+test('solveGoal finds the initial amount, rounded up to the cent', async () => {
+    const factor = compound(1, IPCA_2023) * 1.05;
+    const goal = await core.solveGoal({ scenarioType: 'ipca_fixed', rate: 5, label: '' }, scenarioParams(), 2000, 'amount');
+
+    assert.equal(goal.value, Math.ceil(2000 / factor * 100) / 100);
+    assert.ok(goal.finalValue >= 2000);
+});
+
+test('solveGoal finds the first month that reaches the target', async () => {
+    // 12% a.a. compounds monthly: 6 months give 5.83% and 7 months 6.84%
+    const goal = await core.solveGoal({ scenarioType: 'fixed_only', rate: 12, label: '' }, scenarioParams(), 1060, 'date');
+
+    assert.equal(goal.value, '2023-07-31');
+    assert.ok(Math.abs(goal.finalValue - 1000 * Math.pow(1.12, 7 / 12)) < 1e-6);
+});
+
+test('solveGoal explains a rate target the index already exceeds at zero', async () => {
+    await assert.rejects(core.solveGoal({ scenarioType: 'ipca_fixed', rate: 0, label: '' }, scenarioParams(), 1010, 'rate'), {
+        message: t('error.goal.exceededAtZero', { target: core.formatCurrency(1010), rateLabel: t('goal.rateLabel.fixed') })
+    });
+});
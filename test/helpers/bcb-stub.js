@@ -0,0 +1,66 @@
+// ===================================
+// Test helpers: stub of the Banco Central SGS API
+// ===================================
+
+/**
+ * fetch-compatible stub serving { [sgsCode]: [{ data, valor }] } like the API:
+ * points inside dataInicial..dataFinal, 404 when there are none. Every requested URL
+ * is recorded in fetchFn.calls; fail(url) can make a request throw (network failure).
+ */
+function createStubFetch(seriesByCode, fail = null) {
+    const toDate = (text) => {
+        const [day, month, year] = text.split('/').map(Number);
+        return new Date(year, month - 1, day);
+    };
+
+    const fetchFn = async (url) => {
+        fetchFn.calls.push(url);
+        if (fail && fail(url)) {
+            throw new Error('stub offline');
+        }
+
+        const match = url.match(/bcdata\.sgs\.(\d+)\/dados\?formato=json&dataInicial=([\d/]+)&dataFinal=([\d/]+)/);
+        const series = match ? seriesByCode[match[1]] : undefined;
+        if (!series) {
+            return { ok: false, status: 404, statusText: 'Not Found' };
+        }
+
+        const start = toDate(match[2]);
+        const end = toDate(match[3]);
+        const data = series.filter(item => toDate(item.data) >= start && toDate(item.data) <= end);
+        if (data.length === 0) {
+            return { ok: false, status: 404, statusText: 'Not Found' };
+        }
+        return { ok: true, status: 200, json: async () => data.map(item => ({ ...item })) };
+    };
+    fetchFn.calls = [];
+
+    return fetchFn;
+}
+
+/**
+ * In-memory Storage (getItem / setItem) for the series cache
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+/**
+ * Monthly points ({ data: '01/MM/yyyy', valor }) from a start month and a list of rates
+ */
+function monthlySeries(year, month, rates) {
+    return rates.map((rate, offset) => {
+        const date = new Date(year, month - 1 + offset, 1);
+        return {
+            data: `01/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`,
+            valor: rate.toFixed(2)
+        };
+    });
+}
+
+module.exports = { createStubFetch, createMemoryStorage, monthlySeries };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { t } = require('../i18n.js');
+const { monthlySeries } = require('./helpers/bcb-stub.js');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+// 12% a.a. is 0.948879% a.m. under the equivalent convention
+const MONTHLY_RATE = Math.pow(1.12, 1 / 12) - 1;
+const flatIndex = (months, rate = 0) => monthlySeries(2024, 1, Array(months).fill(rate));
+
+test('a Price schedule without index correction pays the annuity installment', () => {
+    const { rows, totals } = core.calculateLoanSchedule(100000, '2024-01-10', 24, 12, 'price', flatIndex(24));
+    const annuity = 100000 * MONTHLY_RATE / (1 - Math.pow(1 + MONTHLY_RATE, -24));
+
+    assert.equal(rows.length, 24);
+    rows.forEach(row => close(row.installment, annuity));
+    close(rows[0].interest, 100000 * MONTHLY_RATE);
+    close(rows[0].amortization, annuity - 100000 * MONTHLY_RATE);
+    close(rows[23].balance, 0);
+    close(totals.amortization, 100000);
+    close(totals.installments, 24 * annuity);
+    assert.equal(core.formatInputDate(rows[0].date), '2024-02-10');
+});
+
+test('a SAC schedule amortizes the same amount every month', () => {
+    const { rows, totals } = core.calculateLoanSchedule(120000, '2024-01-10', 12, 12, 'sac', flatIndex(12));
+
+    rows.forEach((row, index) => {
+        close(row.amortization, 10000);
+        close(row.interest, (120000 - 10000 * index) * MONTHLY_RATE);
+    });
+    close(rows[11].balance, 0);
+    close(totals.interest, 10000 * MONTHLY_RATE * (12 * 13 / 2));
+});
+
+test('the index corrects the balance before interest and amortization', () => {
+    const { rows } = core.calculateLoanSchedule(10000, '2024-01-31', 2, 0, 'sac', flatIndex(2, 1));
+
+    // Without interest: 10000 + 1% = 10100, half of it amortized; then 5050 + 1%
+    close(rows[0].correction, 100);
+    close(rows[0].amortization, 5050);
+    close(rows[1].correction, 50.5);
+    close(rows[1].installment, 5100.5);
+    // The due date keeps the contract day, clamped to the end of February
+    assert.equal(core.formatInputDate(rows[0].date), '2024-02-29');
+});
+
+test('an extra amortization lowers the following Price installments', () => {
+    const plain = core.calculateLoanSchedule(100000, '2024-01-10', 24, 12, 'price', flatIndex(24));
+    const extra = core.calculateLoanSchedule(100000, '2024-01-10', 24, 12, 'price', flatIndex(24),
+        [{ date: '2024-06-10', amount: 20000 }]);
+
+    // Paid with the fifth installment (10/06)
+    assert.equal(extra.rows[4].extraAmortization, 20000);
+    close(extra.rows[4].balance, plain.rows[4].balance - 20000);
+    const remaining = extra.rows[4].balance;
+    close(extra.rows[5].installment, remaining * MONTHLY_RATE / (1 - Math.pow(1 + MONTHLY_RATE, -19)));
+    close(extra.totals.extraAmortization, 20000);
+    assert.ok(extra.totals.interest < plain.totals.interest);
+});
+
+test('a missing index month is an error', () => {
+    assert.throws(() => core.calculateLoanSchedule(10000, '2024-01-10', 13, 12, 'price', flatIndex(12)),
+        { message: t('error.loan.noData', { date: core.formatShortDate(core.parseInputDate('2025-02-10')) }) });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { createStubFetch, monthlySeries } = require('./helpers/bcb-stub.js');
+
+// IPCA 2023 (SGS 433): the official months, and the history the paths resample from
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+const NOW = new Date(2024, 0, 20, 12);
+
+// Any request that escapes the injected fetchFn fails the test
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+/**
+ * IPCA from 2023 into a projected 2024, with a Monte Carlo of the projected months
+ */
+function simulate(seed, paths = 500) {
+    return core.calculateScenario({ scenarioType: 'ipca_fixed', rate: 5, label: '' }, {
+        amount: 1000,
+        startDate: '2023-01-01',
+        endDate: '2024-12-01',
+        rateConvention: 'equivalent',
+        proRataMode: 'none',
+        schedule: null,
+        taxOptions: null,
+        projection: { ...core.DEFAULT_PROJECTION, model: 'montecarlo' },
+        monteCarlo: { paths, seed, targetValue: 1200 },
+        seriesOptions: { fetchFn: createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) }), storage: null, now: NOW }
+    });
+}
+
+test('the same seed gives the same Monte Carlo bands', async () => {
+    const first = await simulate(42);
+    const second = await simulate(42);
+
+    assert.equal(first.isProjection, true);
+    assert.equal(first.monteCarlo.seed, 42);
+    assert.equal(first.monteCarlo.sampleSize, 12);
+    assert.deepEqual(second.monteCarlo.bands, first.monteCarlo.bands);
+    assert.equal(second.monteCarlo.probabilityAboveTarget, first.monteCarlo.probabilityAboveTarget);
+});
+
+test('a different seed gives different bands over the projected months', async () => {
+    const first = await simulate(42);
+    const other = await simulate(43);
+    const projected = (result) => result.monteCarlo.bands.filter(band => band.isProjection);
+
+    assert.ok(projected(first).length > 0);
+    assert.notDeepEqual(projected(other), projected(first));
+});
+
+test('official months have a single value in every band', async () => {
+    const { monteCarlo, evolution } = await simulate(7, 100);
+
+    monteCarlo.bands.filter(band => !band.isProjection).forEach((band, index) => {
+        assert.equal(band.p10, evolution[index].valueCombined);
+        assert.equal(band.p90, evolution[index].valueCombined);
+    });
+});
+
+test('createRandom repeats its sequence for a seed', () => {
+    const draw = (seed) => {
+        const random = core.createRandom(seed);
+        return Array.from({ length: 5 }, () => random());
+    };
+
+    assert.deepEqual(draw(2024), draw(2024));
+    assert.notDeepEqual(draw(2024), draw(2025));
+    assert.ok(draw(2024).every(value => value >= 0 && value < 1));
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { monthlySeries } = require('./helpers/bcb-stub.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+const date = (text) => core.parseInputDate(text);
+const MATURITY = date('2035-05-15');
+
+test('the semiannual coupon is equivalent to 6% a.a.', () => {
+    close(core.getNTNBSemiannualCouponRate(), 0.0295630141);
+    close(Math.pow(1 + core.getNTNBSemiannualCouponRate(), 2), 1.06);
+});
+
+test('coupons fall on 15/05 and 15/11 after the start, up to the maturity', () => {
+    const dates = core.getNTNBCouponDates(date('2023-05-15'), date('2025-05-15')).map(core.formatInputDate);
+
+    assert.deepEqual(dates, ['2023-11-15', '2024-05-15', '2024-11-15', '2025-05-15']);
+});
+
+test('business days skip weekends and national holidays', () => {
+    // 25/12 falls on a Monday
+    assert.equal(core.countBusinessDays(date('2023-12-18'), date('2024-01-01')), 9);
+    assert.equal(core.countBusinessDays(date('2024-01-01'), date('2024-01-01')), 0);
+});
+
+test('the VNA compounds the monthly IPCA from 15/07/2000, pro rata by business days in between', () => {
+    const vnaAt = core.createVNACalculator(monthlySeries(2000, 7, Array(24).fill(0.5)));
+
+    close(vnaAt(date('2000-07-15')), 1000);
+    close(vnaAt(date('2000-08-15')), 1005);
+    close(vnaAt(date('2001-07-15')), 1000 * Math.pow(1.005, 12));
+
+    const anchor = date('2001-07-15');
+    const next = date('2001-08-15');
+    const day = date('2001-07-31');
+    const fraction = core.countBusinessDays(anchor, day) / core.countBusinessDays(anchor, next);
+    close(vnaAt(day), 1000 * Math.pow(1.005, 12) * Math.pow(1.005, fraction));
+});
+
+test('priceNTNB discounts the coupons and the principal at the yield', () => {
+    // At a zero yield the quote is the principal plus every coupon
+    close(core.priceNTNB(4000, date('2024-11-15'), MATURITY, 0), 4000 * (1 + 21 * core.getNTNBSemiannualCouponRate()));
+
+    // One period left: the last coupon and the principal, discounted by (1 + y)^(du/252)
+    const start = date('2034-11-15');
+    const discount = Math.pow(1.065, core.countBusinessDays(start, MATURITY) / 252);
+    close(core.priceNTNB(4000, start, MATURITY, 6.5), 4000 * (1 + core.getNTNBSemiannualCouponRate()) / discount);
+});
+
+test('calculateNTNBEvolution pays the coupons on the quantity held', () => {
+    const timeline = monthlySeries(2023, 1, Array(12).fill(0));
+    const vnaAt = () => 4000;
+    const start = date('2023-01-02');
+    const amount = 10 * core.priceNTNB(4000, start, MATURITY, 6);
+    const coupon = 10 * 4000 * core.getNTNBSemiannualCouponRate();
+
+    const paid = core.calculateNTNBEvolution(amount, timeline, vnaAt, '2023-01-02', '2024-01-01', 6, MATURITY, false);
+    close(paid.quantity, 10);
+    assert.deepEqual(paid.coupons.map(item => core.formatInputDate(item.date)), ['2023-05-15', '2023-11-15']);
+    paid.coupons.forEach(item => close(item.amount, coupon, 1e-6));
+    close(paid.evolution[paid.evolution.length - 1].totalWithdrawn, 2 * coupon, 1e-6);
+
+    // Reinvested coupons buy more bonds at the purchase yield instead
+    const reinvested = core.calculateNTNBEvolution(amount, timeline, vnaAt, '2023-01-02', '2024-01-01', 6, MATURITY, true);
+    const firstPrice = core.priceNTNB(4000, date('2023-05-15'), MATURITY, 6);
+    close(reinvested.coupons[0].amount, coupon, 1e-6);
+    assert.ok(reinvested.quantity > 10 + coupon / firstPrice);
+    assert.equal(reinvested.evolution[reinvested.evolution.length - 1].totalWithdrawn, 0);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { createStubFetch } = require('./helpers/bcb-stub.js');
+
+// Stored SGS series: IPCA (433), 2019-2024
+const SERIES = {
+    433: require('./fixtures/bcb-433-ipca.json')
+};
+// Published IPCA variations for whole-month windows, each with its source
+const CASES = require('./fixtures/official-corrections.json');
+// IBGE accumulates the index number, so it may differ by 0.01 p.p. from the rounded monthly rates
+const PUBLISHED_TOLERANCE = 0.0100001;
+
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+/**
+ * Run a whole-month index correction (from/to are yyyy-MM) through the full scenario path
+ */
+function correct(index, from, to, amount, rate = 0, overrides = {}) {
+    return core.calculateScenario({ scenarioType: `${index}_fixed`, rate, label: '' }, {
+        amount: Number(amount),
+        startDate: `${from}-01`,
+        endDate: `${to}-01`,
+        rateConvention: 'equivalent',
+        proRataMode: 'none',
+        schedule: null,
+        taxOptions: null,
+        projection: core.DEFAULT_PROJECTION,
+        monteCarlo: null,
+        seriesOptions: { fetchFn: createStubFetch(SERIES), storage: null },
+        ...overrides
+    });
+}
+
+CASES.forEach(({ index, from, to, percentage, source }) => {
+    test(`${index.toUpperCase()} ${from} to ${to}: ${percentage}% (${source})`, async () => {
+        const { officialCorrection } = await correct(index, from, to, '1000.00');
+
+        assert.ok(Math.abs(Number(officialCorrection.percentage) - Number(percentage)) <= PUBLISHED_TOLERANCE,
+            `${officialCorrection.percentage}% vs published ${percentage}%`);
+        assert.ok(Math.abs((Number(officialCorrection.factor) - 1) * 100 - Number(officialCorrection.percentage)) < 1e-6);
+    });
+});
+
+test('a single month corrects by exactly its published rate', async () => {
+    const result = await correct('ipca', '2022-07', '2022-07', '1000.00');
+
+    assert.deepEqual(result.officialCorrection, { factor: '0.9932000', percentage: '-0.680000', value: '993.20' });
+});
+
+test('the official correction covers the index part when there is a fixed rate', async () => {
+    const indexOnly = await correct('ipca', '2021-01', '2021-12', '12345.67');
+    const withRate = await correct('ipca', '2021-01', '2021-12', '12345.67', 6);
+
+    assert.deepEqual(withRate.officialCorrection, indexOnly.officialCorrection);
+});
+
+test('the final value stays on the simulation path, next to the official item', async () => {
+    const result = await correct('ipca', '2020-01', '2020-12', '12345.67');
+
+    assert.equal(result.finalValue, result.evolution[result.evolution.length - 1].valueCombined);
+    assert.ok(Math.abs(result.finalValue - Number(result.officialCorrection.value)) < 0.01);
+});
+
+test('SELIC has no official item (the citizen calculator uses the daily series)', async () => {
+    const result = await correct('selic', '2023-01', '2023-12', '1000.00', 0, {
+        seriesOptions: { fetchFn: createStubFetch({ ...SERIES, 4390: SERIES[433] }), storage: null }
+    });
+
+    assert.equal(result.officialCorrection, null);
+});
+
+test('projected months never take the official path', async () => {
+    const result = await correct('ipca', '2024-01', '2026-12', '1000.00');
+
+    assert.equal(result.isProjection, true);
+    assert.equal(result.officialCorrection, null);
+});
+
+test('pro rata and cash flows leave the official path', async () => {
+    const proRata = await correct('ipca', '2023-01', '2023-12', '1000.00', 0,
+        { startDate: '2023-01-10', endDate: '2023-12-20', proRataMode: 'calendar' });
+    assert.equal(proRata.officialCorrection, null);
+
+    const withFlows = await correct('ipca', '2023-01', '2023-12', '1000.00', 0,
+        { schedule: { monthlyAmount: 100, adjustByIPCA: false, entries: [] } });
+    assert.equal(withFlows.officialCorrection, null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { t } = require('../i18n.js');
+const { monthlySeries } = require('./helpers/bcb-stub.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+// March 2023 to February 2024 at a constant monthly rate, then March 2024 at 5%
+const referenceSeries = (rate) => [...monthlySeries(2023, 3, Array(12).fill(rate)), ...monthlySeries(2024, 3, [5])];
+
+test('a contract from 15/03 is readjusted in March by the index from March to February', () => {
+    const periods = core.calculateReadjustments(2000, '2023-03-15', '2024-03-31', referenceSeries(1));
+
+    assert.equal(periods.length, 2);
+    assert.deepEqual(periods[0], {
+        period: 0, date: core.parseInputDate('2023-03-15'), referenceStart: null, referenceEnd: null,
+        accumulatedRate: null, appliedRate: null, adjustment: null, previousValue: null, value: 2000, isProjection: false
+    });
+    assert.equal(core.formatInputDate(periods[1].date), '2024-03-15');
+    assert.equal(core.formatInputDate(periods[1].referenceStart), '2023-03-01');
+    assert.equal(core.formatInputDate(periods[1].referenceEnd), '2024-02-01');
+    close(periods[1].accumulatedRate, (Math.pow(1.01, 12) - 1) * 100);
+    close(periods[1].value, 2000 * Math.pow(1.01, 12));
+    assert.equal(periods[1].adjustment, null);
+});
+
+test('the cap limits the applied rate', () => {
+    const [, period] = core.calculateReadjustments(2000, '2023-03-15', '2024-03-15', referenceSeries(1), { cap: 10 });
+
+    assert.equal(period.appliedRate, 10);
+    assert.equal(period.adjustment, 'cap');
+    close(period.value, 2200);
+});
+
+test('a negative accumulation can be ignored, and the floor applies after it', () => {
+    const deflation = referenceSeries(-0.5);
+    const [, plain] = core.calculateReadjustments(1000, '2023-03-15', '2024-03-15', deflation);
+    close(plain.value, 1000 * Math.pow(0.995, 12));
+
+    const [, zero] = core.calculateReadjustments(1000, '2023-03-15', '2024-03-15', deflation, { ignoreNegative: true });
+    assert.equal(zero.appliedRate, 0);
+    assert.equal(zero.adjustment, 'zero');
+    assert.equal(zero.value, 1000);
+
+    const [, floor] = core.calculateReadjustments(1000, '2023-03-15', '2024-03-15', deflation, { ignoreNegative: true, floor: 2 });
+    assert.equal(floor.appliedRate, 2);
+    assert.equal(floor.adjustment, 'floor');
+    close(floor.value, 1020);
+});
+
+test('a missing month of the reference window is an error', () => {
+    assert.throws(() => core.calculateReadjustments(1000, '2023-03-15', '2024-03-15', referenceSeries(1).slice(1)),
+        { message: t('error.readjustment.noData', { date: core.formatShortDate(core.parseInputDate('2024-03-15')) }) });
+});
+
+test('validateReadjustment needs an anniversary inside the period and a floor below the cap', () => {
+    assert.throws(() => core.validateReadjustment(1000, '2023-03-15', '2024-03-14', 'ipca'),
+        { message: t('error.readjustment.noAnniversary') });
+    assert.throws(() => core.validateReadjustment(1000, '2023-03-15', '2024-03-15', 'ipca', { cap: 5, floor: 6 }),
+        { message: t('error.readjustment.floorAboveCap') });
+    assert.equal(core.validateReadjustment(1000, '2023-03-15', '2024-03-15', 'ipca', { cap: 6, floor: 5 }), true);
+});
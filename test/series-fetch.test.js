@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { createStubFetch, createMemoryStorage, monthlySeries } = require('./helpers/bcb-stub.js');
+
+// IPCA 2023-2024 (SGS 433)
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+const IPCA_2024 = [0.42, 0.83, 0.16, 0.38, 0.46, 0.21, 0.38, -0.02, 0.44, 0.56, 0.39, 0.52];
+const NOW = new Date(2024, 0, 20, 12);
+
+core.CONFIG.API_CLIENT.BACKOFF_MS = 0;
+
+// Any request that escapes the injected fetchFn fails the test
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+function scenarioParams(seriesOptions, overrides = {}) {
+    return {
+        amount: 1000,
+        startDate: '2023-01-01',
+        endDate: '2023-12-31',
+        rateConvention: 'equivalent',
+        proRataMode: 'none',
+        schedule: null,
+        taxOptions: null,
+        projection: core.DEFAULT_PROJECTION,
+        monteCarlo: null,
+        seriesOptions,
+        ...overrides
+    };
+}
+
+const ipcaScenario = { scenarioType: 'ipca_fixed', rate: 0, label: '' };
+const compound = (amount, rates) => rates.reduce((value, rate) => value * (1 + rate / 100), amount);
+
+/**
+ * Weekday points of a daily series (dd/MM/yyyy) between two dates at a fixed rate
+ */
+function dailySeries(start, end, rate) {
+    const points = [];
+    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+        if (date.getDay() === 0 || date.getDay() === 6) continue;
+        points.push({ data: core.formatDateForAPI(date), valor: rate.toFixed(6) });
+    }
+    return points;
+}
+
+test('calculateScenario requests every series through seriesOptions.fetchFn', async () => {
+    const fetchFn = createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) });
+    const result = await core.calculateScenario(ipcaScenario,
+        scenarioParams({ fetchFn, storage: null, now: NOW }));
+
+    assert.ok(fetchFn.calls.length > 0);
+    assert.ok(fetchFn.calls.every(url => url.includes('bcdata.sgs.433/')));
+    assert.equal(result.evolution.length, 12);
+    assert.ok(result.evolution.every(point => !point.isProjection));
+    assert.ok(Math.abs(result.evolution[result.evolution.length - 1].valueCombined - compound(1000, IPCA_2023)) < 1e-9);
+});
+
+test('a fresh cache in seriesOptions.storage answers without a new request', async () => {
+    const storage = createMemoryStorage();
+    const first = createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) });
+    await core.calculateScenario(ipcaScenario, scenarioParams({ fetchFn: first, storage, now: NOW }));
+    assert.ok(storage.getItem(core.CONFIG.CACHE.KEY_PREFIX + 433));
+
+    const second = createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) });
+    const result = await core.calculateScenario(ipcaScenario, scenarioParams({ fetchFn: second, storage, now: NOW }));
+
+    assert.deepEqual(second.calls, []);
+    assert.deepEqual(result.staleDates.filter(Boolean), []);
+});
+
+test('an old cache is refreshed only after its last point', async () => {
+    const storage = createMemoryStorage();
+    const firstHalf = createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023.slice(0, 6)) });
+    await core.calculateScenario(ipcaScenario,
+        scenarioParams({ fetchFn: firstHalf, storage, now: new Date(2023, 6, 20) }, { endDate: '2023-06-30' }));
+
+    const fullYear = createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) });
+    const result = await core.calculateScenario(ipcaScenario, scenarioParams({ fetchFn: fullYear, storage, now: NOW }));
+
+    assert.equal(fullYear.calls.length, 1);
+    assert.match(fullYear.calls[0], /dataInicial=02\/06\/2023&dataFinal=31\/12\/2023/);
+    assert.equal(result.evolution.length, 12);
+    assert.equal(JSON.parse(storage.getItem(core.CONFIG.CACHE.KEY_PREFIX + 433)).data.length, 12);
+});
+
+test('the cache answers when the API is unreachable, flagged as stale', async () => {
+    const storage = createMemoryStorage();
+    const fetchedAt = new Date(2023, 11, 1);
+    await core.calculateScenario(ipcaScenario,
+        scenarioParams({ fetchFn: createStubFetch({ 433: monthlySeries(2023, 1, IPCA_2023) }), storage, now: fetchedAt }));
+
+    const offline = createStubFetch({}, () => true);
+    const result = await core.calculateScenario(ipcaScenario,
+        scenarioParams({ fetchFn: offline, storage, now: NOW }, { endDate: '2024-01-31' }));
+
+    assert.equal(offline.calls.length, core.CONFIG.API_CLIENT.RETRIES + 1);
+    assert.deepEqual(result.staleDates.filter(Boolean).map(date => date.getTime()), [fetchedAt.getTime()]);
+});
+
+test('API errors reach the caller when nothing is cached', async () => {
+    const offline = createStubFetch({}, () => true);
+    await assert.rejects(
+        core.calculateScenario(ipcaScenario, scenarioParams({ fetchFn: offline, storage: createMemoryStorage(), now: NOW })),
+        core.SeriesNetworkError
+    );
+});
+
+test('percentage of CDI reads the daily series from the stub', async () => {
+    const fetchFn = createStubFetch({
+        12: dailySeries(new Date(2023, 0, 1), new Date(2023, 2, 31), 0.05),
+        433: monthlySeries(2023, 1, IPCA_2023)
+    });
+    const result = await core.calculateScenario({ scenarioType: 'cdi_pct', rate: 100, label: '' },
+        scenarioParams({ fetchFn, storage: null, now: NOW }, { endDate: '2023-03-31' }));
+
+    assert.ok(fetchFn.calls.some(url => url.includes('bcdata.sgs.12/')));
+    assert.ok(!fetchFn.calls.some(url => url.includes('bcdata.sgs.4391/')));
+    assert.ok(result.finalValue > 1000);
+});
+
+test('contract readjustments across two anniversaries and loan installments use seriesOptions', async () => {
+    const seriesOptions = () => ({
+        fetchFn: createStubFetch({ 433: [...monthlySeries(2023, 1, IPCA_2023), ...monthlySeries(2024, 1, IPCA_2024)] }),
+        storage: null,
+        now: new Date(2025, 0, 20, 12)
+    });
+
+    // Anniversaries on 10/01/2024 and 10/01/2025, each readjusted by the previous calendar year
+    const readjustmentOptions = seriesOptions();
+    const readjustment = await core.calculateContractReadjustment(1000, '2023-01-10', '2025-01-31', 'ipca', {},
+        core.DEFAULT_PROJECTION, readjustmentOptions);
+    assert.ok(readjustmentOptions.fetchFn.calls.length > 0);
+    assert.equal(readjustment.periods.length, 3);
+    assert.ok(Math.abs(readjustment.periods[1].appliedRate - 4.62111393) < 1e-8);
+    assert.ok(Math.abs(readjustment.periods[1].value - 1046.21113931) < 1e-8);
+    assert.ok(Math.abs(readjustment.finalValue - 1096.75669405) < 1e-8);
+    assert.equal(readjustment.isProjection, false);
+
+    // First installment: the balance corrected by January's 0.53%, then 10% a.a. (0.797414% a.m.)
+    const loanOptions = seriesOptions();
+    const price = await core.calculateLoan(10000, '2023-01-10', 12, 'ipca', 10, 'price', [],
+        core.DEFAULT_PROJECTION, loanOptions);
+    assert.ok(loanOptions.fetchFn.calls.length > 0);
+    assert.equal(price.rows.length, 12);
+    assert.ok(Math.abs(price.rows[0].correction - 53) < 1e-9);
+    assert.ok(Math.abs(price.rows[0].interest - 80.16403373) < 1e-8);
+    assert.ok(Math.abs(price.rows[0].installment - 881.80437105) < 1e-8);
+    assert.ok(price.rows[11].balance < 1e-6);
+
+    const sac = await core.calculateLoan(10000, '2023-01-10', 12, 'ipca', 10, 'sac', [],
+        core.DEFAULT_PROJECTION, seriesOptions());
+    assert.ok(Math.abs(sac.rows[0].amortization - 837.75) < 1e-9);
+    assert.ok(Math.abs(sac.rows[0].installment - 917.91403373) < 1e-8);
+});
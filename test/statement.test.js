@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+const { t } = require('../i18n.js');
+const { createStubFetch, monthlySeries } = require('./helpers/bcb-stub.js');
+
+// IPCA 2023-2024 (SGS 433)
+const IPCA_2023 = [0.53, 0.84, 0.71, 0.61, 0.23, -0.08, 0.12, 0.23, 0.26, 0.24, 0.28, 0.56];
+const IPCA_2024 = [0.42, 0.83, 0.16, 0.38, 0.46, 0.21, 0.38, -0.02, 0.44, 0.56, 0.39, 0.52];
+const NOW = new Date(2025, 0, 20, 12);
+
+// Any request that escapes the injected fetchFn fails the test
+globalThis.fetch = async (url) => {
+    throw new Error(`global fetch called: ${url}`);
+};
+
+const compound = (amount, rates) => rates.reduce((value, rate) => value * (1 + rate / 100), amount);
+
+function stubOptions() {
+    const fetchFn = createStubFetch({ 433: [...monthlySeries(2023, 1, IPCA_2023), ...monthlySeries(2024, 1, IPCA_2024)] });
+    return { fetchFn, storage: null, now: NOW };
+}
+
+// ===================================
+// parseStatementCSV
+// ===================================
+
+test('parseStatementCSV reads a pt-BR statement with header, R$ amounts and rows out of order', () => {
+    const statement = core.parseStatementCSV([
+        'data;tipo;valor',
+        '10/01/2022;Compra;R$ 5.000,00',
+        '15/03/2021;aplicação;10.000,00',
+        '20/06/2023;Venda;2.000,5',
+        '31/12/2024;saldo;16.500,00'
+    ].join('\r\n'), 'pt-BR');
+
+    assert.deepEqual(statement.transactions, [
+        { date: '2021-03-15', type: 'buy', amount: 10000, line: 3 },
+        { date: '2022-01-10', type: 'buy', amount: 5000, line: 2 },
+        { date: '2023-06-20', type: 'sell', amount: 2000.5, line: 4 }
+    ]);
+    assert.deepEqual(statement.valuations, [{ date: '2024-12-31', value: 16500, line: 5 }]);
+});
+
+test('parseStatementCSV follows the locale for slashed dates and accepts ISO dates in any locale', () => {
+    const english = core.parseStatementCSV('03/15/2021;buy;1,234.56\n2024-12-31,balance,1500', 'en-US');
+
+    assert.deepEqual(english.transactions, [{ date: '2021-03-15', type: 'buy', amount: 1234.56, line: 1 }]);
+    assert.deepEqual(english.valuations, [{ date: '2024-12-31', value: 1500, line: 2 }]);
+});
+
+test('parseStatementCSV reports the line of an invalid row', () => {
+    assert.throws(() => core.parseStatementCSV('15/03/2021;compra;100\n31/02/2022;compra;100', 'pt-BR'),
+        { message: t('error.statement.missingDate', { line: 2, value: '31/02/2022' }) });
+    assert.throws(() => core.parseStatementCSV('15/03/2021;dividendo;100', 'pt-BR'),
+        { message: t('error.statement.unknownType', { line: 1, value: 'dividendo' }) });
+    assert.throws(() => core.parseStatementCSV('15/03/2021;compra;-100', 'pt-BR'),
+        { message: t('error.statement.invalidAmount', { line: 1, value: '-100' }) });
+});
+
+// ===================================
+// calculateXIRR
+// ===================================
+
+test('calculateXIRR of one buy and one redemption a year later is the simple annual return', () => {
+    const xirr = core.calculateXIRR([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }]);
+
+    assert.ok(Math.abs(xirr - 10) < 1e-9);
+});
+
+test('calculateXIRR zeroes the net present value of several flows', () => {
+    const flows = [
+        { date: '2023-01-01', amount: -1000 },
+        { date: '2023-04-17', amount: -500 },
+        { date: '2023-09-02', amount: 300 },
+        { date: '2024-06-30', amount: 1400 }
+    ];
+    const rate = core.calculateXIRR(flows) / 100;
+    const npv = flows.reduce((sum, flow) => sum +
+        flow.amount / Math.pow(1 + rate, core.daysBetween(new Date(2023, 0, 1), core.parseInputDate(flow.date)) / 365), 0);
+
+    assert.ok(Math.abs(npv) < 1e-6);
+});
+
+test('calculateXIRR needs money going both ways', () => {
+    assert.throws(() => core.calculateXIRR([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: -100 }]),
+        { message: t('error.xirr.needsFlows') });
+});
+
+// ===================================
+// calculateTWR
+// ===================================
+
+test('calculateTWR chains the periods between valuations, ignoring the size of the flows', () => {
+    const transactions = [
+        { date: '2023-01-01', type: 'buy', amount: 1000 },
+        { date: '2023-07-01', type: 'buy', amount: 1000 }
+    ];
+    // +10% until July (2100 after the second buy), then -10%
+    const valuations = [{ date: '2023-07-01', value: 2100 }, { date: '2024-01-01', value: 1890 }];
+    const twr = core.calculateTWR(transactions, valuations, '2023-01-01');
+
+    assert.equal(twr.method, 'periods');
+    assert.equal(twr.periods, 2);
+    assert.ok(Math.abs(twr.total - -1) < 1e-9);
+    assert.ok(Math.abs(twr.annualized - -1) < 1e-9);
+});
+
+test('calculateTWR falls back to Modified Dietz with only the final value', () => {
+    const transactions = [
+        { date: '2023-01-01', type: 'buy', amount: 1000 },
+        { date: '2023-07-02', type: 'sell', amount: 200 }
+    ];
+    const twr = core.calculateTWR(transactions, [{ date: '2024-01-01', value: 900 }], '2023-01-01');
+    // The sale was out for 183 of the 365 days
+    const expected = (900 - 1000 + 200) / (1000 - 200 * 183 / 365) * 100;
+
+    assert.equal(twr.method, 'dietz');
+    assert.ok(Math.abs(twr.total - expected) < 1e-9);
+});
+
+// ===================================
+// analyzeStatement
+// ===================================
+
+test('analyzeStatement finds the implied spread over the index with the stubbed series', async () => {
+    const seriesOptions = stubOptions();
+    const finalValue = compound(1000, IPCA_2023) * 1.05;
+    const analysis = await core.analyzeStatement({
+        transactions: [{ date: '2023-01-01', type: 'buy', amount: 1000 }],
+        valuations: [{ date: '2024-01-01', value: finalValue }]
+    }, 'ipca', core.DEFAULT_PROJECTION, seriesOptions);
+
+    assert.ok(seriesOptions.fetchFn.calls.length > 0);
+    assert.ok(Math.abs(analysis.impliedSpread - 5) < 0.005);
+    assert.ok(Math.abs(analysis.indexOnly.finalValue - compound(1000, IPCA_2023)) < 1e-6);
+    assert.ok(Math.abs(analysis.xirr - (finalValue / 1000 - 1) * 100) < 1e-9);
+    assert.equal(analysis.isProjection, false);
+});
+
+test('analyzeStatement replays later buys from the start of their month', async () => {
+    // IPCA only, with 500 more in July: the implied spread is zero
+    const finalValue = compound(compound(1000, IPCA_2023.slice(0, 6)) + 500, IPCA_2023.slice(6));
+    const analyze = (buyDate) => core.analyzeStatement({
+        transactions: [{ date: '2023-01-01', type: 'buy', amount: 1000 }, { date: buyDate, type: 'buy', amount: 500 }],
+        valuations: [{ date: '2024-01-01', value: finalValue }]
+    }, 'ipca', core.DEFAULT_PROJECTION, stubOptions());
+
+    const startOfMonth = await analyze('2023-07-01');
+    assert.ok(Math.abs(startOfMonth.impliedSpread) < 0.005);
+    assert.ok(Math.abs(startOfMonth.indexOnly.finalValue - finalValue) < 1e-6);
+
+    // A mid-month buy earns the whole month in the benchmark
+    const midMonth = await analyze('2023-07-20');
+    assert.equal(midMonth.indexOnly.finalValue, startOfMonth.indexOnly.finalValue);
+});
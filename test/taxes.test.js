@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+/**
+ * Evolution points (date, cashFlow, monthlyFactor) for consecutive months from January 2023
+ */
+function monthlyEvolution(factors, cashFlows = {}) {
+    return factors.map((monthlyFactor, index) => ({
+        date: new Date(2023, index, 1),
+        cashFlow: cashFlows[index] || 0,
+        monthlyFactor
+    }));
+}
+
+test('getIncomeTaxRate follows the regressive table at the bracket edges', () => {
+    assert.equal(core.getIncomeTaxRate(0), 22.5);
+    assert.equal(core.getIncomeTaxRate(180), 22.5);
+    assert.equal(core.getIncomeTaxRate(181), 20);
+    assert.equal(core.getIncomeTaxRate(360), 20);
+    assert.equal(core.getIncomeTaxRate(361), 17.5);
+    assert.equal(core.getIncomeTaxRate(720), 17.5);
+    assert.equal(core.getIncomeTaxRate(721), 15);
+});
+
+test('getIOFRate decreases over the first 30 days and is zero from day 30 on', () => {
+    assert.equal(core.getIOFRate(0), 100);
+    assert.equal(core.getIOFRate(1), 96);
+    assert.equal(core.getIOFRate(15), 50);
+    assert.equal(core.getIOFRate(29), 3);
+    assert.equal(core.getIOFRate(30), 0);
+    assert.equal(core.getIOFRate(400), 0);
+});
+
+test('calculateRedemptionTax charges IOF first and IR on the gain net of IOF', () => {
+    // 10 days: IOF 66% of 100, then 22.5% of the remaining 34
+    const early = core.calculateRedemptionTax(100, 10, { isExempt: false });
+    close(early.iof, 66);
+    close(early.incomeTax, 7.65);
+
+    assert.deepEqual(core.calculateRedemptionTax(100, 400, { isExempt: false }), { iof: 0, incomeTax: 17.5 });
+    assert.deepEqual(core.calculateRedemptionTax(100, 10, { isExempt: true }), { iof: 0, incomeTax: 0 });
+    assert.deepEqual(core.calculateRedemptionTax(-50, 10, { isExempt: false }), { iof: 0, incomeTax: 0 });
+});
+
+test('applyTaxesAndFees values a year-long position net of 17.5% IR', () => {
+    const evolution = monthlyEvolution(Array(12).fill(1.01));
+    core.applyTaxesAndFees(evolution, 1000, '2023-01-01', '2024-01-01', { annualFee: 0, isExempt: false });
+
+    // 365 days held: 17.5% on the gain
+    const gross = 1000 * Math.pow(1.01, 12);
+    const last = evolution[evolution.length - 1];
+    close(last.incomeTaxDue, (gross - 1000) * 0.175);
+    close(last.valueNet, 1000 + (gross - 1000) * 0.825);
+    assert.equal(last.iofDue, 0);
+    assert.equal(last.feesPaid, 0);
+
+    // Valued on 01/02/2023 (31 days): 22.5%, no IOF
+    close(evolution[0].valueNet, 1000 + 10 * 0.775);
+});
+
+test('applyTaxesAndFees charges the custody fee monthly on the grown balance', () => {
+    const evolution = monthlyEvolution([1, 1]);
+    core.applyTaxesAndFees(evolution, 1200, '2023-01-01', '2023-03-01', { annualFee: 1.2, isExempt: true });
+
+    // 0.1% a month, exempt from taxes
+    close(evolution[0].feesPaid, 1.2);
+    close(evolution[1].feesPaid, 1.2 + 1198.8 * 0.001);
+    close(evolution[1].valueNet, 1200 * 0.999 * 0.999);
+});
+
+test('applyTaxesAndFees redeems the oldest lot first and taxes it by its own holding period', () => {
+    // 1000 in January and 1000 more in June, +10% in both months, then 1100 withdrawn in July
+    const evolution = monthlyEvolution([1.1, 1, 1, 1, 1, 1.1, 1], { 5: 1000, 6: -1100 });
+    core.applyTaxesAndFees(evolution, 1000, '2023-01-01', '2023-08-01', { annualFee: 0, isExempt: false });
+
+    // The whole withdrawal comes from the January lot (1210): 1100/1210 of its 210 gain,
+    // held 181 days (20%)
+    const withdrawal = evolution[6];
+    close(withdrawal.taxesPaid, 1100 / 1210 * 210 * 0.20);
+    close(withdrawal.netWithdrawn, 1100 - withdrawal.taxesPaid);
+});